@@ -1,7 +1,11 @@
+const dotenv = require("dotenv");
+
+// Load environment variables before the modules that read them at load time
+dotenv.config();
+
 const express = require("express");
 const mongoose = require("mongoose");
 const cors = require("cors");
-const dotenv = require("dotenv");
 const path = require("path");
 const feedbackRoutes = require("./routes/feedbackRoutes");
 const coachRoutes = require("./routes/coachRoutes");
@@ -9,11 +13,12 @@ const authRoutes = require("./routes/authRoutes");
 // Import routes
 const workoutRoutes = require("./routes/workoutRoutes");
 const userRoutes = require("./routes/userRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const fileRoutes = require("./routes/fileRoutes");
+const availabilityRoutes = require("./routes/availabilityRoutes");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJSDoc = require("swagger-jsdoc");
-
-// Load environment variables
-dotenv.config();
+const csrf = require("./middleware/csrf");
 
 // Initialize express app
 const app = express();
@@ -58,12 +63,25 @@ try {
   process.exit(1);
 }
 
+// Behind a load balancer, trust it so req.ip is the client address (used for sign-in throttling)
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
-app.use(cors());
-app.use(express.json({ limit: "50mb" }));
-app.use(express.urlencoded({ limit: "50mb", extended: true }));
+// Cookie sessions from another origin need credentialed CORS with explicit origins
+const corsOrigins = process.env.CORS_ORIGINS
+  ? process.env.CORS_ORIGINS.split(",").map((origin) => origin.trim())
+  : null;
+app.use(cors(corsOrigins ? { origin: corsOrigins, credentials: true } : {}));
+// Files are uploaded as multipart (see middleware/upload.js), so JSON bodies stay small
+const bodyLimit = process.env.JSON_BODY_LIMIT || "1mb";
+app.use(express.json({ limit: bodyLimit }));
+app.use(express.urlencoded({ limit: bodyLimit, extended: true }));
 const cookieParser = require("cookie-parser");
 app.use(cookieParser());
+app.use(csrf);
 
 // Connect to MongoDB
 mongoose
@@ -82,6 +100,16 @@ app.use("/coaches", coachRoutes);
 app.use("/workouts", workoutRoutes);
 app.use("/feedbacks", feedbackRoutes);
 app.use("/users", userRoutes);
+app.use("/admin", adminRoutes);
+app.use("/files", fileRoutes);
+app.use("/availability", availabilityRoutes);
+
+// Local OpenID Connect provider for development and tests
+const { isMockIdpEnabled, createMockIdp } = require("./utils/mockIdp");
+if (isMockIdpEnabled()) {
+  const { apiBaseUrl } = require("./utils/urls");
+  app.use("/mock-idp", createMockIdp({ issuer: `${apiBaseUrl()}/mock-idp` }));
+}
 app.use(
   "/api-docs",
   swaggerUi.serve,
@@ -0,0 +1,525 @@
+const User = require("../models/User");
+const CoachInvitation = require("../models/CoachInvitation");
+const RoleChange = require("../models/RoleChange");
+const LoginAttempt = require("../models/LoginAttempt");
+const GymSettings = require("../models/GymSettings");
+const mongoose = require("mongoose");
+const { generateToken, hashToken } = require("../utils/tokens");
+const { revokeAllSessions } = require("../utils/session");
+const { issueActionToken } = require("../utils/actionTokens");
+const { sendMail } = require("../utils/mailer");
+const { passwordResetEmail } = require("../utils/emailTemplates");
+const { isValidTimeZone } = require("../utils/time");
+const { escapeRegex } = require("../utils/regex");
+const { validateEmail } = require("../utils/email");
+
+const VALID_ROLES = ["CLIENT", "COACH", "ADMIN"];
+const VALID_STATUSES = ["ACTIVE", "SUSPENDED"];
+const DEFAULT_INVITATION_TTL_DAYS = 7;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const USER_SORT_FIELDS = ["createdAt", "firstName", "lastName", "email", "role"];
+const MAX_PAGE_SIZE = 100;
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const toUserSummary = (user) => ({
+  id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  status: user.status || "ACTIVE",
+  emailVerified: Boolean(user.emailVerified),
+  passwordResetRequired: Boolean(user.passwordResetRequired),
+  preferableActivity: user.preferableActivity || "",
+  target: user.target,
+  createdAt: user.createdAt,
+});
+
+// POST /admin/coach-invitations
+exports.createCoachInvitation = async (req, res) => {
+  try {
+    const expiresInDays =
+      Number(req.body?.expiresInDays) || DEFAULT_INVITATION_TTL_DAYS;
+
+    if (!req.body?.email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+    if (!validateEmail(req.body.email)) {
+      return res.status(400).json({ message: "Invalid email format" });
+    }
+    // Sign-up claims the invitation by the lowercased email
+    const email = req.body.email.toLowerCase();
+
+    if (expiresInDays < 1 || expiresInDays > 30) {
+      return res
+        .status(400)
+        .json({ message: "expiresInDays must be between 1 and 30" });
+    }
+
+    // User emails keep the case they signed up with
+    const existingUser = await User.findOne({ email: new RegExp(`^${escapeRegex(email)}$`, "i") });
+    if (existingUser) {
+      return res.status(409).json({
+        message: "A user with this email already exists, change their role instead",
+      });
+    }
+
+    const token = generateToken();
+    const invitation = await CoachInvitation.create({
+      email,
+      tokenHash: hashToken(token),
+      invitedBy: req.user.id,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    });
+
+    // The raw token is only returned here; the coach passes it to /auth/sign-up
+    res.status(201).json({
+      id: invitation._id,
+      email: invitation.email,
+      expiresAt: invitation.expiresAt,
+      invitationToken: token,
+    });
+  } catch (error) {
+    console.error("Error creating coach invitation:", error);
+    res.status(500).json({ message: "Error creating coach invitation" });
+  }
+};
+
+// GET /admin/coach-invitations
+exports.getCoachInvitations = async (req, res) => {
+  try {
+    const invitations = await CoachInvitation.find()
+      .select("-tokenHash")
+      .sort({ createdAt: -1 });
+
+    const now = new Date();
+    const content = invitations.map((invitation) => ({
+      id: invitation._id,
+      email: invitation.email,
+      invitedBy: invitation.invitedBy,
+      createdAt: invitation.createdAt,
+      expiresAt: invitation.expiresAt,
+      usedAt: invitation.usedAt,
+      usedBy: invitation.usedBy || "",
+      status: invitation.usedAt
+        ? "USED"
+        : invitation.expiresAt < now
+        ? "EXPIRED"
+        : "PENDING",
+    }));
+
+    res.status(200).json({ content });
+  } catch (error) {
+    console.error("Error fetching coach invitations:", error);
+    res.status(500).json({ message: "Error fetching coach invitations" });
+  }
+};
+
+// PATCH /admin/users/:userId/role
+exports.updateUserRole = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const { role, reason } = req.body || {};
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: "Invalid role",
+        validOptions: VALID_ROLES,
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({ message: `User already has role ${role}` });
+    }
+
+    // Never leave the gym without an administrator
+    if (user.role === "ADMIN") {
+      const adminCount = await User.countDocuments({ role: "ADMIN" });
+      if (adminCount <= 1) {
+        return res
+          .status(400)
+          .json({ message: "Cannot change the role of the last admin" });
+      }
+    }
+
+    const fromRole = user.role;
+    user.role = role;
+    await user.save();
+
+    await RoleChange.create({
+      userId: user._id,
+      fromRole,
+      toRole: role,
+      changedBy: req.user.id,
+      source: "ADMIN",
+      reason,
+    });
+
+    // Existing access tokens carry the old role
+    await revokeAllSessions(user._id, "ROLE_CHANGED");
+
+    res.status(200).json({
+      id: user._id,
+      email: user.email,
+      role: user.role,
+    });
+  } catch (error) {
+    console.error("Error updating user role:", error);
+    res.status(500).json({ message: "Error updating user role" });
+  }
+};
+
+// GET /admin/users - search, filter, sort and paginate users
+exports.getUsers = async (req, res) => {
+  try {
+    const { role, activity, target, status, createdFrom, createdTo, search } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(req.query.size) || 20, 1), MAX_PAGE_SIZE);
+
+    const filter = {};
+
+    if (role) {
+      if (!VALID_ROLES.includes(role)) {
+        return res.status(400).json({ message: "Invalid role", validOptions: VALID_ROLES });
+      }
+      filter.role = role;
+    }
+
+    if (status) {
+      if (!VALID_STATUSES.includes(status)) {
+        return res.status(400).json({ message: "Invalid status", validOptions: VALID_STATUSES });
+      }
+      // Users created before statuses existed have none and count as active
+      filter.status = status === "ACTIVE" ? { $ne: "SUSPENDED" } : status;
+    }
+
+    if (activity) {
+      filter.preferableActivity = activity;
+    }
+
+    if (target) {
+      filter.target = target;
+    }
+
+    if (createdFrom || createdTo) {
+      const from = createdFrom ? parseDate(createdFrom) : null;
+      const to = createdTo ? parseDate(createdTo) : null;
+      if ((createdFrom && !from) || (createdTo && !to)) {
+        return res.status(400).json({ message: "createdFrom and createdTo must be valid dates" });
+      }
+      filter.createdAt = {};
+      if (from) filter.createdAt.$gte = from;
+      if (to) filter.createdAt.$lte = to;
+    }
+
+    if (typeof search === "string" && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), "i");
+      filter.$or = [{ firstName: pattern }, { lastName: pattern }, { email: pattern }];
+    }
+
+    if (req.query.sort !== undefined && typeof req.query.sort !== "string") {
+      return res.status(400).json({ message: "sort must be a single field,order value" });
+    }
+    const [sortField, sortOrderRaw] = (req.query.sort || "createdAt,desc").split(",");
+    if (!USER_SORT_FIELDS.includes(sortField)) {
+      return res.status(400).json({
+        message: "Invalid sort field",
+        validOptions: USER_SORT_FIELDS,
+      });
+    }
+    const sort = { [sortField]: sortOrderRaw === "asc" ? 1 : -1, _id: 1 };
+
+    const [users, totalElements] = await Promise.all([
+      User.find(filter)
+        .sort(sort)
+        .skip((page - 1) * size)
+        .limit(size)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      content: users.map(toUserSummary),
+      currentPage: page,
+      totalElements,
+      totalPages: Math.ceil(totalElements / size),
+    });
+  } catch (error) {
+    console.error("Error fetching users:", error);
+    res.status(500).json({ message: "Error fetching users" });
+  }
+};
+
+// POST /admin/users/:userId/suspend
+exports.suspendUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    if (String(userId) === String(req.user.id)) {
+      return res.status(400).json({ message: "You cannot suspend your own account" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.status === "SUSPENDED") {
+      return res.status(400).json({ message: "User is already suspended" });
+    }
+
+    user.status = "SUSPENDED";
+    user.suspendedAt = new Date();
+    user.suspendedReason = req.body?.reason;
+    user.suspendedBy = req.user.id;
+    await user.save();
+
+    await revokeAllSessions(user._id, "SUSPENDED");
+
+    res.status(200).json(toUserSummary(user));
+  } catch (error) {
+    console.error("Error suspending user:", error);
+    res.status(500).json({ message: "Error suspending user" });
+  }
+};
+
+// POST /admin/users/:userId/reactivate
+exports.reactivateUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.status !== "SUSPENDED") {
+      return res.status(400).json({ message: "User is not suspended" });
+    }
+
+    user.status = "ACTIVE";
+    user.suspendedAt = undefined;
+    user.suspendedReason = undefined;
+    user.suspendedBy = undefined;
+    await user.save();
+
+    res.status(200).json(toUserSummary(user));
+  } catch (error) {
+    console.error("Error reactivating user:", error);
+    res.status(500).json({ message: "Error reactivating user" });
+  }
+};
+
+// POST /admin/users/:userId/force-password-reset - sign the user out and make them choose a new password
+exports.forcePasswordReset = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    user.passwordResetRequired = true;
+    await user.save();
+
+    await revokeAllSessions(user._id, "PASSWORD_RESET_REQUIRED");
+
+    const token = await issueActionToken(user._id, "PASSWORD_RESET", PASSWORD_RESET_TTL_MINUTES);
+    await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+
+    res.status(200).json(toUserSummary(user));
+  } catch (error) {
+    console.error("Error forcing password reset:", error);
+    res.status(500).json({ message: "Error forcing password reset" });
+  }
+};
+
+// DELETE /admin/users/:userId/sessions - sign a compromised account out everywhere
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(userId).select("_id");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const revokedSessions = await revokeAllSessions(user._id, "ADMIN_REVOKED");
+
+    res.status(200).json({ message: "All sessions revoked", revokedSessions });
+  } catch (error) {
+    console.error("Error revoking sessions:", error);
+    res.status(500).json({ message: "Error revoking sessions" });
+  }
+};
+
+// GET /admin/users/:userId/role-changes
+exports.getRoleChanges = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const changes = await RoleChange.find({ userId })
+      .sort({ createdAt: -1 })
+      .populate("changedBy", "firstName lastName email");
+
+    const content = changes.map((change) => ({
+      id: change._id,
+      fromRole: change.fromRole,
+      toRole: change.toRole,
+      source: change.source,
+      reason: change.reason || "",
+      changedBy: change.changedBy,
+      createdAt: change.createdAt,
+    }));
+
+    res.status(200).json({ content });
+  } catch (error) {
+    console.error("Error fetching role changes:", error);
+    res.status(500).json({ message: "Error fetching role changes" });
+  }
+};
+
+// GET /admin/locked-accounts?scope=ACCOUNT|IP
+exports.getLockedAccounts = async (req, res) => {
+  try {
+    const scope = req.query.scope || "ACCOUNT";
+    if (!["ACCOUNT", "IP"].includes(scope)) {
+      return res.status(400).json({ message: "scope must be ACCOUNT or IP" });
+    }
+
+    const locks = await LoginAttempt.find({
+      scope,
+      lockedUntil: { $gt: new Date() },
+    }).sort({ lockedUntil: -1 });
+
+    const content = locks.map((lock) => ({
+      id: lock._id,
+      scope: lock.scope,
+      identifier: lock.identifier,
+      lockCount: lock.lockCount,
+      lastFailureAt: lock.lastFailureAt,
+      lockedUntil: lock.lockedUntil,
+    }));
+
+    res.status(200).json({ content });
+  } catch (error) {
+    console.error("Error fetching locked accounts:", error);
+    res.status(500).json({ message: "Error fetching locked accounts" });
+  }
+};
+
+// DELETE /admin/locked-accounts/:lockId
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { lockId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(lockId)) {
+      return res.status(400).json({ message: "Invalid lock ID format" });
+    }
+
+    const lock = await LoginAttempt.findByIdAndDelete(lockId);
+    if (!lock) {
+      return res.status(404).json({ message: "Lock not found" });
+    }
+
+    res.status(200).json({ message: `Unlocked ${lock.identifier}` });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    res.status(500).json({ message: "Error unlocking account" });
+  }
+};
+
+// GET /admin/settings/two-factor
+exports.getTwoFactorSettings = async (req, res) => {
+  try {
+    const settings = await GymSettings.getSettings();
+    res.status(200).json({ requiredRoles: settings.twoFactorRequiredRoles });
+  } catch (error) {
+    console.error("Error fetching two-factor settings:", error);
+    res.status(500).json({ message: "Error fetching two-factor settings" });
+  }
+};
+
+// PUT /admin/settings/two-factor
+exports.updateTwoFactorSettings = async (req, res) => {
+  try {
+    const { requiredRoles } = req.body || {};
+    if (
+      !Array.isArray(requiredRoles) ||
+      requiredRoles.some((role) => !VALID_ROLES.includes(role))
+    ) {
+      return res.status(400).json({
+        message: "requiredRoles must be an array of roles",
+        validOptions: VALID_ROLES,
+      });
+    }
+
+    const settings = await GymSettings.getSettings();
+    settings.twoFactorRequiredRoles = [...new Set(requiredRoles)];
+    await settings.save();
+
+    res.status(200).json({ requiredRoles: settings.twoFactorRequiredRoles });
+  } catch (error) {
+    console.error("Error updating two-factor settings:", error);
+    res.status(500).json({ message: "Error updating two-factor settings" });
+  }
+};
+
+// GET /admin/settings/time-zone
+exports.getTimeZoneSettings = async (req, res) => {
+  try {
+    const settings = await GymSettings.getSettings();
+    res.status(200).json({ timeZone: settings.timeZone });
+  } catch (error) {
+    console.error("Error fetching time zone settings:", error);
+    res.status(500).json({ message: "Error fetching time zone settings" });
+  }
+};
+
+// PUT /admin/settings/time-zone
+exports.updateTimeZoneSettings = async (req, res) => {
+  try {
+    const { timeZone } = req.body || {};
+    if (!isValidTimeZone(timeZone)) {
+      return res.status(400).json({
+        message: "Invalid time zone. Use an IANA name such as Asia/Kolkata",
+      });
+    }
+
+    const settings = await GymSettings.getSettings();
+    settings.timeZone = timeZone;
+    await settings.save();
+
+    res.status(200).json({ timeZone: settings.timeZone });
+  } catch (error) {
+    console.error("Error updating time zone settings:", error);
+    res.status(500).json({ message: "Error updating time zone settings" });
+  }
+};
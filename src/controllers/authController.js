@@ -1,14 +1,50 @@
 const User = require("../models/User");
+const CoachInvitation = require("../models/CoachInvitation");
+const RoleChange = require("../models/RoleChange");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const {
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+} = require("../utils/session");
+const {
+  issueActionToken,
+  findActionToken,
+  consumeActionToken,
+} = require("../utils/actionTokens");
+const {
+  checkPasswordRules,
+  validatePassword,
+  setPassword,
+} = require("../utils/passwordPolicy");
+const { sendMail } = require("../utils/mailer");
+const {
+  passwordResetEmail,
+  accountLockedEmail,
+  magicLinkEmail,
+} = require("../utils/emailTemplates");
+const {
+  sendVerificationEmail,
+  readVerificationToken,
+} = require("../utils/emailVerification");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountAttempts,
+} = require("../utils/loginThrottle");
 
-/**
- * Validate email format
- */
-function validateEmail(email) {
-  const emailRegex = /^[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,6}$/;
-  return emailRegex.test(email);
-}
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const ACCOUNT_UNLOCK_TTL_MINUTES = Number(process.env.ACCOUNT_UNLOCK_TTL_MINUTES) || 60;
+const MAGIC_LINK_TTL_MINUTES = Number(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+const { hashToken } = require("../utils/tokens");
+const { validateEmail } = require("../utils/email");
+const { completeSignIn } = require("../utils/signIn");
+const {
+  sendSession,
+  clearSessionCookies,
+  readRefreshToken,
+} = require("../utils/authCookies");
 
 /**
  * Validate name (only letters and spaces allowed)
@@ -19,46 +55,25 @@ function validateName(name) {
 }
 
 /**
- * Validate password strength
- * Returns an object with isValid and message properties
+ * Count a failed sign-in; when it locks the account, email the owner an unlock link
  */
-function validatePassword(password) {
-  // Check if password is too long
-  if (password.length > 29) {
-    return { isValid: false, message: "Password too long" };
-  }
-  
-  // Check if password is too short
-  if (password.length < 8) {
-    return { isValid: false, message: "Password must be at least 8 characters long" };
-  }
-  
-  // Check for uppercase letter
-  const hasUpperCase = /[A-Z]/.test(password);
-  if (!hasUpperCase) {
-    return { isValid: false, message: "Password must contain at least one capital letter" };
-  }
-  
-  // Check for special character
-  const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
-  if (!hasSpecialChar) {
-    return { isValid: false, message: "Password must contain at least one special character" };
-  }
-  
-  // Check for number
-  const hasNumber = /\d/.test(password);
-  if (!hasNumber) {
-    return { isValid: false, message: "Password must contain at least one number" };
+async function handleFailedLogin(email, ip, user) {
+  const { accountLocked } = await recordLoginFailure(email, ip);
+
+  if (accountLocked && user) {
+    try {
+      const token = await issueActionToken(user._id, "ACCOUNT_UNLOCK", ACCOUNT_UNLOCK_TTL_MINUTES);
+      await sendMail(accountLockedEmail(user, token, ACCOUNT_UNLOCK_TTL_MINUTES));
+    } catch (error) {
+      console.error("Error sending account unlock email:", error);
+    }
   }
-  
-  // If all checks pass
-  return { isValid: true, message: "Strong password" };
 }
 
 // Register a new user
 exports.registerUser = async (req, res) => {
   try {
-    const { firstName, lastName, email, password, preferableActivity, target } = req.body;
+    const { firstName, lastName, email, password, preferableActivity, target, invitationToken } = req.body;
 
     // Check for required fields
     if (!firstName || !lastName || !email || !password || !preferableActivity || !target) {
@@ -81,7 +96,7 @@ exports.registerUser = async (req, res) => {
     }
     
     // Validate password strength
-    const passwordValidation = validatePassword(password);
+    const passwordValidation = checkPasswordRules(password);
     if (!passwordValidation.isValid) {
       return res.status(400).json({ message: passwordValidation.message });
     }
@@ -116,18 +131,31 @@ exports.registerUser = async (req, res) => {
       return res.status(400).json({ message: "Invalid target" });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    // Coaches sign up by redeeming an admin-issued invitation, everyone else is a client
+    let role = "CLIENT";
+    let invitation = null;
+
+    if (invitationToken !== undefined && typeof invitationToken !== "string") {
+      return res.status(400).json({ message: "Invalid or expired invitation" });
+    }
+    if (invitationToken) {
+      // Claim the invitation atomically so it can only be redeemed once
+      invitation = await CoachInvitation.findOneAndUpdate(
+        {
+          tokenHash: hashToken(invitationToken),
+          email: email.toLowerCase(),
+          usedAt: null,
+          expiresAt: { $gt: new Date() }
+        },
+        { usedAt: new Date() },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(400).json({ message: "Invalid or expired invitation" });
+      }
 
-    // Determine role based on email pattern
-    let role;
-    const coachEmailRegex = /^coach([0-9]|[1-9][0-9])@gmail\.com$/;
-    
-    if (email && coachEmailRegex.test(email)) {
       role = "COACH";
-    } else {
-      role = "CLIENT";
     }
 
     // Create new user
@@ -135,38 +163,46 @@ exports.registerUser = async (req, res) => {
       firstName,
       lastName,
       email,
-      password: hashedPassword,
       role,
       preferableActivity,
       target
     });
+    await setPassword(user, password);
 
-    // Save user
-    await user.save();
+    // Save user, releasing the invitation again if that fails
+    try {
+      await user.save();
+    } catch (error) {
+      if (invitation) {
+        await CoachInvitation.updateOne({ _id: invitation._id }, { usedAt: null });
+      }
+      throw error;
+    }
 
-    // Create user object without password for token
-    const userForToken = {
-      id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      imageUrl: user.imageUrl || ""
-    };
-
-    // Create JWT token with complete user object
-    const token = jwt.sign(
-      { user: userForToken }, 
-      process.env.JWT_SECRET || "secret", 
-      { expiresIn: "7d" }
-    );
-
-    // Return success response with token
-    res.status(201).json({ 
-      message: "User registered successfully",
-      token,
-      user: userForToken
-    });
+    if (invitation) {
+      invitation.usedBy = user._id;
+      await invitation.save();
+
+      await RoleChange.create({
+        userId: user._id,
+        toRole: role,
+        changedBy: invitation.invitedBy,
+        source: "INVITATION"
+      });
+    }
+
+    // Accounts start unverified; a failed email must not fail the sign-up, the user can ask for a new one
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Error sending verification email:", error);
+    }
+
+    // Start a session: short-lived access token plus a rotating refresh token
+    const session = await createSession(user, req);
+
+    // Return success response with tokens
+    sendSession(res, 201, session, { message: "User registered successfully" });
   } catch (error) {
     console.error("Error registering user:", error);
     res.status(500).json({ message: "Error registering user" });
@@ -192,48 +228,287 @@ exports.loginUser = async (req, res) => {
       return res.status(400).json({ message: "Invalid email format" });
     }
 
+    // Refuse before touching bcrypt while the account or IP is backing off or locked
+    const throttle = await checkLoginAllowed(email, req.ip);
+    if (!throttle.allowed) {
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        message: throttle.locked && throttle.scope === "ACCOUNT"
+          ? "Account temporarily locked after too many failed sign-in attempts. Use the link sent to your email to unlock it, or try again later."
+          : `Too many failed sign-in attempts. Try again in ${throttle.retryAfterSeconds} seconds.`,
+        retryAfterSeconds: throttle.retryAfterSeconds
+      });
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
+      await handleFailedLogin(email, req.ip, null);
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
     // Check password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
+      await handleFailedLogin(email, req.ip, user);
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Create user object without password for token
-    const userForToken = {
-      id: user._id,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      email: user.email,
-      role: user.role,
-      imageUrl: user.imageUrl || ""
-    };
-
-    // Create JWT token with complete user object
-    const token = jwt.sign(
-      { user: userForToken }, 
-      process.env.JWT_SECRET || "secret", 
-      { expiresIn: "7d" }
-    );
-
-    // Return success response with token and user data
-    res.status(200).json({ 
-      user: userForToken,
-      token
-    });
+    await clearAccountAttempts(email);
+
+    // Either a session (user, token, refreshToken) or a two-factor challenge
+    await completeSignIn(req, res, user);
   } catch (error) {
     console.error("Error logging in:", error);
     res.status(500).json({ message: "Error logging in" });
   }
 };
 
-// No need for logout functionality with token-based auth
-// The client simply discards the token
-exports.logoutUser = (req, res) => {
-  res.status(200).json({ message: "Logged out successfully" });
-};
\ No newline at end of file
+// Email a one-time sign-in link. Answers the same way whether or not the account exists
+exports.requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({ message: "Invalid email format" });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await issueActionToken(user._id, "MAGIC_LINK", MAGIC_LINK_TTL_MINUTES);
+      await sendMail(magicLinkEmail(user, token, MAGIC_LINK_TTL_MINUTES));
+    }
+
+    res.status(200).json({
+      message: "If an account exists for this email, a sign-in link has been sent"
+    });
+  } catch (error) {
+    console.error("Error requesting magic link:", error);
+    res.status(500).json({ message: "Error requesting sign-in link" });
+  }
+};
+
+// Redeem a sign-in link; continues exactly like a successful password sign-in
+exports.verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (typeof token !== "string" || !token) {
+      return res.status(400).json({ message: "Token is required" });
+    }
+
+    const magicLink = await consumeActionToken(token, "MAGIC_LINK");
+    if (!magicLink) {
+      return res.status(400).json({ message: "Invalid or expired sign-in link" });
+    }
+
+    const user = await User.findById(magicLink.userId);
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired sign-in link" });
+    }
+
+    // Opening the link proves the user controls the mailbox
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    await completeSignIn(req, res, user);
+  } catch (error) {
+    console.error("Error signing in with magic link:", error);
+    res.status(500).json({ message: "Error signing in with magic link" });
+  }
+};
+
+// Exchange a refresh token for a new access/refresh token pair
+exports.refreshToken = async (req, res) => {
+  try {
+    // From the body, or the refresh cookie in cookie session mode
+    const refreshToken = readRefreshToken(req);
+
+    if (typeof refreshToken !== "string" || !refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const session = await rotateRefreshToken(refreshToken, req);
+    if (!session) {
+      return res.status(401).json({ message: "Invalid refresh token" });
+    }
+
+    sendSession(res, 200, session);
+  } catch (error) {
+    console.error("Error refreshing token:", error);
+    res.status(500).json({ message: "Error refreshing token" });
+  }
+};
+
+// Logout revokes the current session, invalidating its access and refresh tokens
+exports.logoutUser = async (req, res) => {
+  try {
+    await revokeSession(req.sessionId, "LOGOUT");
+    clearSessionCookies(res);
+    res.status(200).json({ message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Error logging out:", error);
+    res.status(500).json({ message: "Error logging out" });
+  }
+};
+
+// Confirm the email address with the token from the verification email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (typeof token !== "string" || !token) {
+      return res.status(400).json({ message: "Verification token is required" });
+    }
+
+    const claims = readVerificationToken(token);
+    if (!claims) {
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+
+    const user = await User.findById(claims.userId);
+    if (!user || user.email !== claims.email) {
+      return res.status(400).json({ message: "Invalid or expired verification token" });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+
+    // Access tokens carry the flag, so clients call /auth/refresh to pick it up
+    res.status(200).json({ message: "Email verified successfully" });
+  } catch (error) {
+    console.error("Error verifying email:", error);
+    res.status(500).json({ message: "Error verifying email" });
+  }
+};
+
+// Send the logged-in user a new verification email
+exports.resendVerificationEmail = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: "Email is already verified" });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.status(200).json({ message: "Verification email sent" });
+  } catch (error) {
+    console.error("Error resending verification email:", error);
+    res.status(500).json({ message: "Error resending verification email" });
+  }
+};
+
+// Lift a sign-in lockout with the token from the "account locked" email
+exports.unlockAccount = async (req, res) => {
+  try {
+    const { token } = req.body || {};
+
+    if (typeof token !== "string" || !token) {
+      return res.status(400).json({ message: "Unlock token is required" });
+    }
+
+    const unlockToken = await consumeActionToken(token, "ACCOUNT_UNLOCK");
+    if (!unlockToken) {
+      return res.status(400).json({ message: "Invalid or expired unlock token" });
+    }
+
+    const user = await User.findById(unlockToken.userId);
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired unlock token" });
+    }
+
+    await clearAccountAttempts(user.email);
+
+    res.status(200).json({ message: "Account unlocked, you can sign in again" });
+  } catch (error) {
+    console.error("Error unlocking account:", error);
+    res.status(500).json({ message: "Error unlocking account" });
+  }
+};
+
+// Email a password reset link. Always answers the same way so it cannot be used to probe for accounts
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ message: "Email is required" });
+    }
+
+    if (!validateEmail(email)) {
+      return res.status(400).json({ message: "Invalid email format" });
+    }
+
+    const user = await User.findOne({ email });
+    if (user) {
+      const token = await issueActionToken(user._id, "PASSWORD_RESET", PASSWORD_RESET_TTL_MINUTES);
+      await sendMail(passwordResetEmail(user, token, PASSWORD_RESET_TTL_MINUTES));
+    }
+
+    res.status(200).json({
+      message: "If an account exists for this email, a password reset link has been sent"
+    });
+  } catch (error) {
+    console.error("Error requesting password reset:", error);
+    res.status(500).json({ message: "Error requesting password reset" });
+  }
+};
+
+// Set a new password using the token from the reset email
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, newPassword } = req.body || {};
+
+    if (typeof token !== "string" || !token || typeof newPassword !== "string" || !newPassword) {
+      return res.status(400).json({ message: "Token and new password are required" });
+    }
+
+    // Validate before consuming the token so a rejected password does not burn it
+    const pendingToken = await findActionToken(token, "PASSWORD_RESET");
+    if (!pendingToken) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+
+    const user = await User.findById(pendingToken.userId).select("+passwordHistory");
+    if (!user) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+
+    const passwordValidation = await validatePassword(newPassword, user);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({ message: passwordValidation.message });
+    }
+
+    const resetToken = await consumeActionToken(token, "PASSWORD_RESET");
+    if (!resetToken) {
+      return res.status(400).json({ message: "Invalid or expired reset token" });
+    }
+
+    await setPassword(user, newPassword);
+    user.passwordResetRequired = false;
+    await user.save();
+
+    // Whoever knew the old password must not stay logged in
+    await revokeAllSessions(user._id, "PASSWORD_RESET");
+
+    res.status(200).json({ message: "Password has been reset successfully" });
+  } catch (error) {
+    console.error("Error resetting password:", error);
+    res.status(500).json({ message: "Error resetting password" });
+  }
+};
@@ -0,0 +1,542 @@
+const CoachAvailability = require("../models/CoachAvailability");
+const User = require("../models/User");
+const mongoose = require("mongoose");
+const {
+  isValidTimeZone,
+  formatDate,
+  toLocalISOString,
+  addDays,
+  dayRange,
+  gymTimeZone,
+} = require("../utils/time");
+const {
+  toSlot,
+  sortSlots,
+  slotsOverlap,
+  slotLabel,
+  formatSlot,
+  toSlotResponse,
+} = require("../utils/timeSlots");
+const {
+  WEEKDAYS,
+  weekdayOf,
+  findBookings,
+  loadCoachSchedules,
+  freeSlots,
+} = require("../utils/availability");
+
+const MAX_SLOTS_PER_DAY = 24;
+const MAX_VACATION_DAYS = 366;
+const MAX_REASON_LENGTH = 200;
+// Longest from..to range of the availability calendars, and the default length
+const MAX_RANGE_DAYS = 31;
+const DEFAULT_RANGE_DAYS = 7;
+const ACTIVITIES = User.schema.path("preferableActivity").enumValues;
+const SLOT_FORMAT_HINT = 'Use { "startMinute": 630, "duration": 60 } or "10:30 AM - 11:30 AM".';
+
+// "YYYY-MM-DD" that is a real calendar date
+const isValidDate = (value) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+};
+
+const isValidReason = (reason) =>
+  reason === undefined || (typeof reason === "string" && reason.length <= MAX_REASON_LENGTH);
+
+// The coach, their availability and the zone its dates and slots are in; null if
+// coachId is not a coach or the coach is suspended
+const loadCoachAvailability = async (coachId) => {
+  const coach = await User.findOne({
+    _id: coachId,
+    role: "COACH",
+    status: { $ne: "SUSPENDED" },
+  }).select("availableTimeSlots timeZone");
+  if (!coach) return null;
+
+  return {
+    coach,
+    availability: await CoachAvailability.forCoach(coach),
+    timeZone: coach.timeZone || (await gymTimeZone()),
+  };
+};
+
+// Past one-off entries no longer affect anything, so they are dropped on every save
+const saveAvailability = (availability, timeZone) => {
+  const today = formatDate(new Date(), timeZone);
+  availability.extraSlots = availability.extraSlots.filter((extraSlot) => extraSlot.date >= today);
+  availability.blockedDates = availability.blockedDates.filter((blocked) => blocked.date >= today);
+  availability.vacations = availability.vacations.filter((vacation) => vacation.to >= today);
+  return availability.save();
+};
+
+// Booked workouts of the coach on the calendar days from..to (inclusive)
+const findConflicts = async (coachId, from, to, timeZone) => {
+  const workouts = await findBookings(
+    { coachId },
+    dayRange(from, timeZone).start,
+    dayRange(to, timeZone).end
+  );
+
+  return workouts
+    .sort((a, b) => a.dateTime - b.dateTime)
+    .map((workout) => ({ id: workout._id, dateTime: workout.dateTime }));
+};
+
+const toScheduleResponse = (availability, timeZone) => ({
+  coachId: availability.coachId,
+  timeZone,
+  // Coaches who never saved a schedule still run on the seeded default
+  isDefault: availability.isNew,
+  weeklySchedule: Object.fromEntries(
+    WEEKDAYS.map((day) => [
+      day,
+      sortSlots(availability.weeklySchedule?.[day] || []).map(toSlotResponse),
+    ])
+  ),
+  extraSlots: availability.extraSlots
+    .map((extraSlot) => ({
+      id: extraSlot._id,
+      date: extraSlot.date,
+      slot: toSlotResponse(extraSlot.slot),
+    }))
+    .sort((a, b) => a.date.localeCompare(b.date)),
+  blockedDates: availability.blockedDates
+    .map((blocked) => ({ id: blocked._id, date: blocked.date, reason: blocked.reason || "" }))
+    .sort((a, b) => a.date.localeCompare(b.date)),
+  vacations: availability.vacations
+    .map((vacation) => ({
+      id: vacation._id,
+      from: vacation.from,
+      to: vacation.to,
+      reason: vacation.reason || "",
+    }))
+    .sort((a, b) => a.from.localeCompare(b.from)),
+  updatedAt: availability.updatedAt || null,
+});
+
+// GET /coaches/:coachId/schedule - the coach's availability rules
+exports.getSchedule = async (req, res) => {
+  try {
+    const { coachId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(coachId)) {
+      return res.status(400).json({ message: "Invalid coach ID format" });
+    }
+
+    const loaded = await loadCoachAvailability(coachId);
+    if (!loaded) {
+      return res.status(404).json({ message: "Coach not found" });
+    }
+
+    res.status(200).json(toScheduleResponse(loaded.availability, loaded.timeZone));
+  } catch (error) {
+    console.error("Error fetching schedule:", error);
+    res.status(500).json({ message: "Error fetching schedule" });
+  }
+};
+
+// PUT /coaches/:coachId/schedule/weekly - replace the recurring slots of every weekday
+exports.updateWeeklySchedule = async (req, res) => {
+  try {
+    const { coachId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(coachId)) {
+      return res.status(400).json({ message: "Invalid coach ID format" });
+    }
+
+    const body = req.body || {};
+    const unknownDays = Object.keys(body).filter((day) => !WEEKDAYS.includes(day));
+    if (unknownDays.length) {
+      return res.status(400).json({
+        message: `Unknown weekdays: ${unknownDays.join(", ")}`,
+        validOptions: WEEKDAYS,
+      });
+    }
+
+    // Weekdays left out of the body have no slots
+    const weeklySchedule = {};
+    for (const day of WEEKDAYS) {
+      const slots = body[day] === undefined ? [] : body[day];
+      if (!Array.isArray(slots) || slots.length > MAX_SLOTS_PER_DAY) {
+        return res
+          .status(400)
+          .json({ message: `${day} must be an array of at most ${MAX_SLOTS_PER_DAY} slots` });
+      }
+
+      const parsed = slots.map(toSlot);
+      if (parsed.includes(null)) {
+        return res.status(400).json({ message: `${day} has an invalid slot. ${SLOT_FORMAT_HINT}` });
+      }
+
+      // Duplicates are dropped; any other overlap is an error
+      const daySlots = sortSlots(parsed);
+      const overlapping = daySlots.find((slot, index) =>
+        daySlots.slice(index + 1).some((other) => slotsOverlap(slot, other))
+      );
+      if (overlapping) {
+        return res
+          .status(400)
+          .json({ message: `${day} has overlapping slots (${slotLabel(overlapping)})` });
+      }
+
+      weeklySchedule[day] = daySlots;
+    }
+
+    const loaded = await loadCoachAvailability(coachId);
+    if (!loaded) {
+      return res.status(404).json({ message: "Coach not found" });
+    }
+
+    const { availability, timeZone } = loaded;
+    availability.weeklySchedule = weeklySchedule;
+    await saveAvailability(availability, timeZone);
+
+    res.status(200).json(toScheduleResponse(availability, timeZone));
+  } catch (error) {
+    console.error("Error updating weekly schedule:", error);
+    res.status(500).json({ message: "Error updating weekly schedule" });
+  }
+};
+
+// POST /coaches/:coachId/schedule/extra-slots - a one-off slot on a date
+exports.addExtraSlot = async (req, res) => {
+  try {
+    const { coachId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(coachId)) {
+      return res.status(400).json({ message: "Invalid coach ID format" });
+    }
+
+    const { date, slot: requestedSlot } = req.body || {};
+    const slot = toSlot(requestedSlot);
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: "date must be a valid date in YYYY-MM-DD format" });
+    }
+    if (!slot) {
+      return res.status(400).json({ message: `slot is required. ${SLOT_FORMAT_HINT}` });
+    }
+
+    const loaded = await loadCoachAvailability(coachId);
+    if (!loaded) {
+      return res.status(404).json({ message: "Coach not found" });
+    }
+
+    const { availability, timeZone } = loaded;
+    if (date < formatDate(new Date(), timeZone)) {
+      return res.status(400).json({ message: "date must not be in the past" });
+    }
+
+    const sameDaySlots = [
+      ...(availability.weeklySchedule?.[weekdayOf(date)] || []),
+      ...availability.extraSlots
+        .filter((extraSlot) => extraSlot.date === date)
+        .map((extraSlot) => extraSlot.slot),
+    ];
+    const overlapping = sameDaySlots.find((other) => slotsOverlap(slot, other));
+    if (overlapping) {
+      return res
+        .status(409)
+        .json({ message: `The slot overlaps ${slotLabel(overlapping)} on ${date}` });
+    }
+
+    availability.extraSlots.push({ date, slot });
+    await saveAvailability(availability, timeZone);
+
+    res.status(201).json(toScheduleResponse(availability, timeZone));
+  } catch (error) {
+    console.error("Error adding extra slot:", error);
+    res.status(500).json({ message: "Error adding extra slot" });
+  }
+};
+
+// POST /coaches/:coachId/schedule/blocked-dates - a day without any slots
+exports.addBlockedDate = async (req, res) => {
+  try {
+    const { coachId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(coachId)) {
+      return res.status(400).json({ message: "Invalid coach ID format" });
+    }
+
+    const { date, reason } = req.body || {};
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: "date must be a valid date in YYYY-MM-DD format" });
+    }
+    if (!isValidReason(reason)) {
+      return res
+        .status(400)
+        .json({ message: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    const loaded = await loadCoachAvailability(coachId);
+    if (!loaded) {
+      return res.status(404).json({ message: "Coach not found" });
+    }
+
+    const { availability, timeZone } = loaded;
+    if (date < formatDate(new Date(), timeZone)) {
+      return res.status(400).json({ message: "date must not be in the past" });
+    }
+    if (availability.blockedDates.some((blocked) => blocked.date === date)) {
+      return res.status(409).json({ message: "This date is already blocked" });
+    }
+
+    availability.blockedDates.push({ date, reason });
+    await saveAvailability(availability, timeZone);
+
+    // Bookings are kept; the coach decides whether to cancel them
+    res.status(201).json({
+      ...toScheduleResponse(availability, timeZone),
+      conflictingWorkouts: await findConflicts(coachId, date, date, timeZone),
+    });
+  } catch (error) {
+    console.error("Error blocking date:", error);
+    res.status(500).json({ message: "Error blocking date" });
+  }
+};
+
+// POST /coaches/:coachId/schedule/vacations - consecutive days without any slots
+exports.addVacation = async (req, res) => {
+  try {
+    const { coachId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(coachId)) {
+      return res.status(400).json({ message: "Invalid coach ID format" });
+    }
+
+    const { from, to, reason } = req.body || {};
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res
+        .status(400)
+        .json({ message: "from and to must be valid dates in YYYY-MM-DD format" });
+    }
+    if (from > to) {
+      return res.status(400).json({ message: "from must not be after to" });
+    }
+    if (addDays(from, MAX_VACATION_DAYS) <= to) {
+      return res
+        .status(400)
+        .json({ message: `A vacation can last at most ${MAX_VACATION_DAYS} days` });
+    }
+    if (!isValidReason(reason)) {
+      return res
+        .status(400)
+        .json({ message: `reason must be a string of at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    const loaded = await loadCoachAvailability(coachId);
+    if (!loaded) {
+      return res.status(404).json({ message: "Coach not found" });
+    }
+
+    const { availability, timeZone } = loaded;
+    if (to < formatDate(new Date(), timeZone)) {
+      return res.status(400).json({ message: "The vacation must not be in the past" });
+    }
+    if (availability.vacations.some((vacation) => vacation.from <= to && from <= vacation.to)) {
+      return res.status(409).json({ message: "The vacation overlaps another vacation" });
+    }
+
+    availability.vacations.push({ from, to, reason });
+    await saveAvailability(availability, timeZone);
+
+    // Bookings are kept; the coach decides whether to cancel them
+    res.status(201).json({
+      ...toScheduleResponse(availability, timeZone),
+      conflictingWorkouts: await findConflicts(coachId, from, to, timeZone),
+    });
+  } catch (error) {
+    console.error("Error adding vacation:", error);
+    res.status(500).json({ message: "Error adding vacation" });
+  }
+};
+
+// The DELETE handlers only differ in the list the entry is removed from
+const removeEntry = (listName, label) => async (req, res) => {
+  try {
+    const { coachId, entryId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(coachId) || !mongoose.Types.ObjectId.isValid(entryId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const loaded = await loadCoachAvailability(coachId);
+    if (!loaded) {
+      return res.status(404).json({ message: "Coach not found" });
+    }
+
+    const { availability, timeZone } = loaded;
+    const entry = availability[listName].id(entryId);
+    if (!entry) {
+      return res.status(404).json({ message: `${label} not found` });
+    }
+
+    entry.deleteOne();
+    await saveAvailability(availability, timeZone);
+
+    res.status(200).json(toScheduleResponse(availability, timeZone));
+  } catch (error) {
+    console.error(`Error removing ${label.toLowerCase()}:`, error);
+    res.status(500).json({ message: `Error removing ${label.toLowerCase()}` });
+  }
+};
+
+// DELETE /coaches/:coachId/schedule/extra-slots/:entryId
+exports.deleteExtraSlot = removeEntry("extraSlots", "Extra slot");
+
+// DELETE /coaches/:coachId/schedule/blocked-dates/:entryId
+exports.deleteBlockedDate = removeEntry("blockedDates", "Blocked date");
+
+// DELETE /coaches/:coachId/schedule/vacations/:entryId
+exports.deleteVacation = removeEntry("vacations", "Vacation");
+
+// { from, to, start, end } of the ?from=&to= calendar days in `timeZone`, or { error }.
+// from defaults to today, to to a week from from.
+const parseCalendarRange = ({ from, to }, timeZone) => {
+  const firstDate = from === undefined ? formatDate(new Date(), timeZone) : from;
+  const lastDate = to === undefined ? addDays(firstDate, DEFAULT_RANGE_DAYS - 1) : to;
+  if (!isValidDate(firstDate) || !isValidDate(lastDate)) {
+    return { error: "from and to must be valid dates in YYYY-MM-DD format" };
+  }
+  if (firstDate > lastDate) {
+    return { error: "from must not be after to" };
+  }
+  if (addDays(firstDate, MAX_RANGE_DAYS) <= lastDate) {
+    return { error: `The range can span at most ${MAX_RANGE_DAYS} days` };
+  }
+  return {
+    from: firstDate,
+    to: lastDate,
+    start: dayRange(firstDate, timeZone).start,
+    end: dayRange(lastDate, timeZone).end,
+  };
+};
+
+// A free slot occurrence as returned by the calendars, in the caller's zone
+const toFreeSlotResponse = (instants, timeZone) => ({
+  start: instants.start,
+  end: instants.end,
+  time: toLocalISOString(instants.start, timeZone).slice(11, 16),
+  duration: instants.slot.duration,
+  label: formatSlot(instants, timeZone),
+});
+
+// Every date from..to with the entries of `slots` that start on it, in `timeZone`
+const groupByDay = (slots, { from, to }, timeZone) => {
+  const days = new Map();
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    days.set(date, []);
+  }
+  for (const slot of slots) {
+    days.get(formatDate(slot.start, timeZone))?.push(slot);
+  }
+  return [...days].map(([date, daySlots]) => ({ date, slots: daySlots }));
+};
+
+// GET /coaches/:coachId/availability - free slots of a coach, per day
+exports.getCoachAvailability = async (req, res) => {
+  try {
+    const { coachId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(coachId)) {
+      return res.status(400).json({ message: "Invalid coach ID format" });
+    }
+
+    const { timeZone: requestedTimeZone } = req.query;
+    if (requestedTimeZone !== undefined && !isValidTimeZone(requestedTimeZone)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid timeZone. Use an IANA name such as Europe/Berlin." });
+    }
+
+    // Dates are calendar days in the caller's zone (?timeZone=, else the gym's)
+    const gymZone = await gymTimeZone();
+    const timeZone = requestedTimeZone || gymZone;
+    const range = parseCalendarRange(req.query, timeZone);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const [schedule] = await loadCoachSchedules(
+      { _id: new mongoose.Types.ObjectId(coachId) },
+      range.start,
+      range.end
+    );
+    if (!schedule) {
+      return res.status(404).json({ message: "Coach not found" });
+    }
+
+    const slots = freeSlots(schedule, gymZone, range.start, range.end).map((instants) =>
+      toFreeSlotResponse(instants, timeZone)
+    );
+
+    res.status(200).json({
+      coachId,
+      timeZone,
+      from: range.from,
+      to: range.to,
+      days: groupByDay(slots, range, timeZone),
+    });
+  } catch (error) {
+    console.error("Error fetching coach availability:", error);
+    res.status(500).json({ message: "Error fetching coach availability" });
+  }
+};
+
+// GET /availability - free slots of all coaches, per day
+exports.getAvailability = async (req, res) => {
+  try {
+    const { activity, timeZone: requestedTimeZone } = req.query;
+    if (requestedTimeZone !== undefined && !isValidTimeZone(requestedTimeZone)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid timeZone. Use an IANA name such as Europe/Berlin." });
+    }
+
+    const filter = {};
+    if (activity !== undefined) {
+      // Case-insensitive match against the known activities
+      filter.preferableActivity = ACTIVITIES.find(
+        (known) => known.toLowerCase() === String(activity).toLowerCase()
+      );
+      if (!filter.preferableActivity) {
+        return res.status(400).json({ message: "Invalid activity", validOptions: ACTIVITIES });
+      }
+    }
+
+    // Dates are calendar days in the caller's zone (?timeZone=, else the gym's)
+    const gymZone = await gymTimeZone();
+    const timeZone = requestedTimeZone || gymZone;
+    const range = parseCalendarRange(req.query, timeZone);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const schedules = await loadCoachSchedules(filter, range.start, range.end);
+
+    const coaches = [];
+    const slots = [];
+    for (const schedule of schedules) {
+      const coachSlots = freeSlots(schedule, gymZone, range.start, range.end);
+      if (!coachSlots.length) continue;
+
+      const { coach } = schedule;
+      coaches.push({
+        id: coach._id,
+        firstName: coach.firstName,
+        lastName: coach.lastName,
+        preferableActivity: coach.preferableActivity,
+        image: { thumbnail: coach.image?.thumbnail || "" },
+      });
+      for (const instants of coachSlots) {
+        slots.push({ coachId: coach._id, ...toFreeSlotResponse(instants, timeZone) });
+      }
+    }
+    slots.sort((a, b) => a.start - b.start);
+
+    res.status(200).json({
+      timeZone,
+      from: range.from,
+      to: range.to,
+      coaches,
+      days: groupByDay(slots, range, timeZone),
+    });
+  } catch (error) {
+    console.error("Error fetching availability:", error);
+    res.status(500).json({ message: "Error fetching availability" });
+  }
+};
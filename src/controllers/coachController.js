@@ -1,16 +1,246 @@
 const Feedback = require("../models/Feedback");
 const Workout = require("../models/Workout");
 const User = require("../models/User");
+const CoachAvailability = require("../models/CoachAvailability");
 const mongoose = require("mongoose");
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatDate,
+  dayRange,
+  gymTimeZone,
+} = require("../utils/time");
+const { MAX_DURATION, formatSlot, toSlotResponse } = require("../utils/timeSlots");
+const {
+  loadAvailability,
+  slotsBetween,
+  findSlotAt,
+  findBookings,
+  isFree,
+} = require("../utils/availability");
+const { escapeRegex } = require("../utils/regex");
+const {
+  ratingPrior,
+  weightedRatingExpression,
+  toRatingResponse,
+} = require("../utils/coachRatings");
 
-// Get all coaches
+const MAX_PAGE_SIZE = 100;
+const COACH_SORT_FIELDS = {
+  // Bayesian average, so a handful of reviews does not outrank many
+  rating: ["weightedRating", "rating.count"],
+  popularity: ["workoutCount"],
+  name: ["firstName", "lastName"],
+};
+// Workouts that do not count towards a coach's popularity
+const UNBOOKED_STATES = ["AVAILABLE", "CANCELED"];
+
+// Public profile fields of a coach listing; listings only need the smaller avatar variants
+const COACH_LISTING_FIELDS = {
+  firstName: 1,
+  lastName: 1,
+  email: 1,
+  role: 1,
+  title: 1,
+  about: 1,
+  "image.thumbnail": 1,
+  "image.card": 1,
+  specializations: 1,
+  preferableActivity: 1,
+  availableTimeSlots: 1,
+  rating: 1,
+  timeZone: 1,
+  workoutCount: 1,
+};
+
+const parseRating = (value) => {
+  if (value === undefined) return undefined;
+  const rating = Number(value);
+  return value !== "" && rating >= 0 && rating <= 5 ? rating : null;
+};
+
+/**
+ * Ids of the coaches in `coaches` with a free, future slot: the slot starting
+ * at `at` when given, otherwise any slot starting within [start, end)
+ */
+const findAvailableCoachIds = async (coaches, gymZone, { start, end, at }) => {
+  // Slots starting late in the range can run past its end
+  const bookings = await findBookings(
+    { coachId: { $in: coaches.map((coach) => coach._id) } },
+    start,
+    new Date(end.getTime() + MAX_DURATION * 60000)
+  );
+  const availability = await loadAvailability(coaches);
+  const now = new Date();
+
+  return coaches
+    .filter((coach) => {
+      // Slots are wall-clock times in the coach's own zone
+      const coachZone = coach.timeZone || gymZone;
+      const rules = availability.get(String(coach._id));
+      const coachBookings = bookings.filter((booking) => String(booking.coachId) === String(coach._id));
+      const isOpen = (instants) => instants.start > now && isFree(coachBookings, instants);
+
+      if (at) {
+        const slot = findSlotAt(rules, at, coachZone);
+        return slot && isOpen({ start: at, end: new Date(at.getTime() + slot.duration * 60000) });
+      }
+      return slotsBetween(rules, coachZone, start, end).some(isOpen);
+    })
+    .map((coach) => coach._id);
+};
+
+// GET /coaches - search, filter, sort and page through the coaches
 exports.getCoaches = async (req, res) => {
   try {
-    const coaches = await User.find({ role: "COACH" }).select(
-      "-password -bookedTimeSlots"
-    );
+    const {
+      activity,
+      specialization,
+      search,
+      date,
+      time,
+      timeZone: requestedTimeZone,
+    } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(req.query.size) || 10, 1), MAX_PAGE_SIZE);
+
+    if (req.query.sort !== undefined && typeof req.query.sort !== "string") {
+      return res.status(400).json({ message: "sort must be a single field,order value" });
+    }
+    const [sortField, sortOrderRaw] = (req.query.sort || "rating,desc").split(",");
+    if (!COACH_SORT_FIELDS[sortField]) {
+      return res.status(400).json({
+        message: "Invalid sort field",
+        validOptions: Object.keys(COACH_SORT_FIELDS),
+      });
+    }
+    const sortOrder = sortOrderRaw === "asc" ? 1 : -1;
+    const sort = {};
+    for (const field of COACH_SORT_FIELDS[sortField]) {
+      sort[field] = sortOrder;
+    }
+    sort._id = 1;
 
-    res.json(coaches);
+    const minRating = parseRating(req.query.minRating);
+    const maxRating = parseRating(req.query.maxRating);
+    if (minRating === null || maxRating === null) {
+      return res.status(400).json({ message: "minRating and maxRating must be numbers between 0 and 5" });
+    }
+    if (minRating !== undefined && maxRating !== undefined && minRating > maxRating) {
+      return res.status(400).json({ message: "minRating must not be greater than maxRating" });
+    }
+
+    if (requestedTimeZone !== undefined && !isValidTimeZone(requestedTimeZone)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid timeZone. Use an IANA name such as Europe/Berlin." });
+    }
+    if (time !== undefined && date === undefined) {
+      return res.status(400).json({ message: "time requires a date" });
+    }
+
+    const filter = { role: "COACH", status: { $ne: "SUSPENDED" } };
+
+    if (activity) {
+      filter.preferableActivity = new RegExp(`^${escapeRegex(String(activity))}$`, "i");
+    }
+
+    if (specialization) {
+      filter.specializations = new RegExp(`^${escapeRegex(String(specialization))}$`, "i");
+    }
+
+    // Every word has to match the first or the last name
+    if (typeof search === "string" && search.trim()) {
+      filter.$and = search
+        .trim()
+        .split(/\s+/)
+        .map((word) => {
+          const pattern = new RegExp(escapeRegex(word), "i");
+          return { $or: [{ firstName: pattern }, { lastName: pattern }] };
+        });
+    }
+
+    // Availability: date (and time) are in the caller's zone (?timeZone=, else the gym's)
+    if (date !== undefined) {
+      if (typeof date !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ message: "date must be in YYYY-MM-DD format" });
+      }
+      if (time !== undefined && (typeof time !== "string" || !/^([01]\d|2[0-3]):[0-5]\d$/.test(time))) {
+        return res.status(400).json({ message: "time must be in HH:MM (24-hour) format" });
+      }
+
+      const gymZone = await gymTimeZone();
+      const timeZone = requestedTimeZone || gymZone;
+      const { start, end } = dayRange(date, timeZone);
+      if (Number.isNaN(start.getTime()) || formatDate(start, timeZone) !== date) {
+        return res.status(400).json({ message: "date must be a valid calendar date" });
+      }
+      const at = time !== undefined ? zonedTimeToUtc(date, time, timeZone) : null;
+
+      const candidates = await User.find(filter)
+        .select("availableTimeSlots timeZone")
+        .lean();
+      filter._id = { $in: await findAvailableCoachIds(candidates, gymZone, { start, end, at }) };
+    }
+
+    // Coaches without ratings have no average and drop out of a rating range
+    if (minRating !== undefined || maxRating !== undefined) {
+      filter["rating.average"] = {};
+      if (minRating !== undefined) filter["rating.average"].$gte = minRating;
+      if (maxRating !== undefined) filter["rating.average"].$lte = maxRating;
+    }
+
+    const prior = await ratingPrior();
+
+    const [result] = await User.aggregate([
+      { $match: filter },
+      {
+        $lookup: {
+          from: Workout.collection.name,
+          let: { coachId: "$_id" },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ["$coachId", "$$coachId"] },
+                state: { $nin: UNBOOKED_STATES },
+              },
+            },
+            { $count: "count" },
+          ],
+          as: "workoutStats",
+        },
+      },
+      {
+        $addFields: {
+          weightedRating: weightedRatingExpression(prior),
+          workoutCount: { $ifNull: [{ $first: "$workoutStats.count" }, 0] },
+        },
+      },
+      {
+        $facet: {
+          content: [
+            { $sort: sort },
+            { $skip: (page - 1) * size },
+            { $limit: size },
+            { $project: COACH_LISTING_FIELDS },
+          ],
+          total: [{ $count: "count" }],
+        },
+      },
+    ]);
+
+    const totalElements = result.total[0]?.count || 0;
+
+    res.status(200).json({
+      content: result.content.map((coach) => ({
+        ...coach,
+        availableTimeSlots: (coach.availableTimeSlots || []).map(toSlotResponse),
+        rating: toRatingResponse(coach.rating, prior),
+      })),
+      currentPage: page,
+      totalElements,
+      totalPages: Math.ceil(totalElements / size),
+    });
   } catch (error) {
     console.error("Error getting coaches:", error);
     res.status(500).json({ message: "Error getting coaches" });
@@ -21,17 +251,26 @@ exports.getCoaches = async (req, res) => {
 exports.getCoachById = async (req, res) => {
   
   try {
-    
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({ message: "Invalid coach ID format" });
+    }
+
+    // Public endpoint: only the fields the coach listing exposes
     const coach = await User.findOne({
       _id: req.params.id,
       role: "COACH",
-    }).select("-password -bookedTimeSlots");
+      status: { $ne: "SUSPENDED" },
+    }).select(COACH_LISTING_FIELDS);
 
     if (!coach) {
       return res.status(404).json({ message: "Coach not found" });
     }
 
-    res.json(coach);
+    res.json({
+      ...coach.toObject(),
+      availableTimeSlots: coach.availableTimeSlots.map(toSlotResponse),
+      rating: toRatingResponse(coach.rating, await ratingPrior()),
+    });
   } catch (error) {
     console.error("Error getting coach:", error);
     res.status(500).json({ message: "Error getting coach" });
@@ -43,7 +282,7 @@ exports.getAvailableSlots = async (req, res) => {
 
   try {
     const { coachId, date } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(coachId)) {
+    if (!mongoose.isValidObjectId(coachId)) {
       return res.status(400).json({ message: "Invalid coach ID format" });
     }
     if (!coachId || !date) {
@@ -57,10 +296,18 @@ exports.getAvailableSlots = async (req, res) => {
     return res.status(400).json({ message: "Invalid date format. Please use YYYY-MM-DD format." });
   }
 
+    const { timeZone: requestedTimeZone } = req.query;
+    if (requestedTimeZone !== undefined && !isValidTimeZone(requestedTimeZone)) {
+      return res
+        .status(400)
+        .json({ message: "Invalid timeZone. Use an IANA name such as Europe/Berlin." });
+    }
+
     // First, get the coach to check their available time slots
-    const coach = await User.findOne({ 
+    const coach = await User.findOne({
       _id: coachId,
-      role: 'COACH'
+      role: "COACH",
+      status: { $ne: "SUSPENDED" },
     });
 
 
@@ -85,15 +332,12 @@ exports.getAvailableSlots = async (req, res) => {
         error: `Day should be a 2-digit number between 01 and 31.`,
       });
     }
-    // Parse the requested date explicitly in UTC
-    const requestedDate = new Date(`${date}T00:00:00.000Z`);
-  
-    // Get today's date explicitly in UTC
-    const today = new Date();
-    today.setUTCHours(0, 0, 0, 0);
-  
+    // The date is a calendar day in the caller's zone (?timeZone=, else the gym's)
+    const gymZone = await gymTimeZone();
+    const timeZone = requestedTimeZone || gymZone;
+
     // Check if the requested date is in the past
-    if (requestedDate < today) {
+    if (date < formatDate(new Date(), timeZone)) {
       return res.status(400).json({
         error: `You cannot check available slots for past dates. Please select today or a future date.`,
       });
@@ -103,40 +347,26 @@ exports.getAvailableSlots = async (req, res) => {
       return res.status(404).json({ message: "Coach not found" });
     }
 
-    // Get all booked workouts for this coach on the given date
-    const startOfDay = new Date(`${date}T00:00:00.000Z`);
-    const endOfDay = new Date(`${date}T23:59:59.999Z`);
-
-    const bookedWorkouts = await Workout.find({
-      coachId,
-      dateTime: { $gte: startOfDay, $lte: endOfDay },
-      state: { $in: ["SCHEDULED", "IN_PROGRESS", "WAITING FOR FEEDBACK FROM CIENT", "WAITING FOR FEEDBACK FROM COACH"] }
-    });
+    // The coach's slots are wall-clock times in the coach's zone; they are
+    // rendered in the caller's zone, earliest first
+    const { start: startOfDay, end: endOfDay } = dayRange(date, timeZone);
+    const slots = slotsBetween(
+      await CoachAvailability.forCoach(coach),
+      coach.timeZone || gymZone,
+      startOfDay,
+      endOfDay
+    );
 
-    // Create a set of booked time slots in the format "10:30 AM - 11:30 AM"
-    const bookedSlots = new Set();
-    
-    bookedWorkouts.forEach(workout => {
-      const startTime = new Date(workout.dateTime);
-      const endTime = new Date(startTime.getTime() + workout.duration * 60000);
-      
-      const formatTime = (time) =>
-        time.toLocaleTimeString("en-US", {
-          hour: "numeric",
-          minute: "2-digit",
-          hour12: true,
-          timeZone: "UTC"
-        });
-      
-      bookedSlots.add(`${formatTime(startTime)} - ${formatTime(endTime)}`);
-    });
+    // Bookings that overlap any of the day's slots
+    const bookings = slots.length
+      ? await findBookings({ coachId: coach._id }, slots[0].start, slots[slots.length - 1].end)
+      : [];
 
-    // Filter out booked slots from the coach's available time slots
-    const availableSlots = coach.availableTimeSlots.filter(
-      slot => !bookedSlots.has(slot)
-    );
+    const availableSlots = slots
+      .filter((instants) => isFree(bookings, instants))
+      .map((instants) => formatSlot(instants, timeZone));
 
-    res.status(200).json({ content: availableSlots });
+    res.status(200).json({ content: availableSlots, timeZone });
   } catch (error) {
     console.error("Error fetching available slots:", error);
     res.status(500).json({ message: "Error fetching available slots" });
@@ -147,14 +377,18 @@ exports.getAvailableSlots = async (req, res) => {
 exports.getCoachFeedbacks = async (req, res) => {
   try {
     const { coachId } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(coachId)) {
-      return { status: 400, message: "Invalid coach ID format" };
+    if (!mongoose.isValidObjectId(coachId)) {
+      return res.status(400).json({ message: "Invalid coach ID format" });
     }
 
-    const coach = await User.findOne({ _id: coachId, role: "COACH" });
-  if (!coach) {
-    return { status: 404, message: "Coach not found" };
-  }
+    const coach = await User.findOne({
+      _id: coachId,
+      role: "COACH",
+      status: { $ne: "SUSPENDED" },
+    });
+    if (!coach) {
+      return res.status(404).json({ message: "Coach not found" });
+    }
     const page = parseInt(req.query.page) || 1;
     const size = parseInt(req.query.size) || 5;
     const sortQuery = req.query.sort || "date.desc";
@@ -176,7 +410,7 @@ exports.getCoachFeedbacks = async (req, res) => {
       .sort(sort)
       .skip(skip)
       .limit(size)
-      .populate("clientId", "name imageUrl");
+      .populate("clientId", "firstName lastName image.thumbnail");
 
     const totalElements = await Feedback.countDocuments({
       coachId,
@@ -184,12 +418,14 @@ exports.getCoachFeedbacks = async (req, res) => {
     });
 
     const content = feedbacks.map((fb) => ({
-      clientImageUrl: fb.clientId?.imageUrl || "",
-      clientName: fb.clientId?.name || "Unknown",
+      clientImageUrl: fb.clientId?.image?.thumbnail || "",
+      clientName: fb.clientId
+        ? `${fb.clientId.firstName} ${fb.clientId.lastName}`
+        : "Unknown",
       date: fb.createdAt ? fb.createdAt.toISOString().split("T")[0] : "",
       id: fb._id,
       message: fb.comment,
-      rating: fb.rating || "",
+      rating: fb.rating,
     }));
 
     res.status(200).json({
@@ -0,0 +1,150 @@
+const UserDocument = require("../models/UserDocument");
+const User = require("../models/User");
+const mongoose = require("mongoose");
+const { deleteFile } = require("../utils/storage");
+const { DOCUMENT_TYPES, storeDocument, toDocumentResponse } = require("../utils/documents");
+
+const REVIEW_STATUSES = ["PENDING", "VERIFIED", "REJECTED"];
+const MAX_NAME_LENGTH = 200;
+
+// GET /users/:userId/documents - documents of a user, newest first
+exports.getUserDocuments = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const documents = await UserDocument.find({ userId }).sort({ uploadedAt: -1 });
+
+    res.status(200).json({ content: documents.map(toDocumentResponse) });
+  } catch (error) {
+    console.error("Error fetching documents:", error);
+    res.status(500).json({ message: "Error fetching documents" });
+  }
+};
+
+// POST /users/:userId/documents - multipart upload of a certificate or other document
+exports.uploadDocument = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const { type = "CERTIFICATE", name: requestedName } = req.body;
+    if (requestedName !== undefined && typeof requestedName !== "string") {
+      return res.status(400).json({ message: "Document name must be a string" });
+    }
+    const name = (requestedName || req.file.originalname || "").trim();
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return res.status(400).json({
+        message: `Document name is required and must be at most ${MAX_NAME_LENGTH} characters`,
+      });
+    }
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        message: "Invalid document type",
+        validOptions: DOCUMENT_TYPES,
+      });
+    }
+
+    const userExists = await User.exists({ _id: userId });
+    if (!userExists) return res.status(404).json({ message: "User not found" });
+
+    const document = await storeDocument(userId, req.file.buffer, req.file.detectedType, {
+      name,
+      type,
+    });
+
+    res.status(201).json(toDocumentResponse(document));
+  } catch (error) {
+    console.error("Error uploading document:", error);
+    res.status(500).json({ message: "Error uploading document" });
+  }
+};
+
+// GET /users/:userId/documents/:documentId - one document with a new signed link
+exports.getUserDocument = async (req, res) => {
+  try {
+    const { userId, documentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const document = await UserDocument.findOne({ _id: documentId, userId });
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    res.status(200).json(toDocumentResponse(document));
+  } catch (error) {
+    console.error("Error fetching document:", error);
+    res.status(500).json({ message: "Error fetching document" });
+  }
+};
+
+// DELETE /users/:userId/documents/:documentId - remove a document and its file
+exports.deleteUserDocument = async (req, res) => {
+  try {
+    const { userId, documentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const document = await UserDocument.findOneAndDelete({ _id: documentId, userId });
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    // The record is gone either way; a leftover file is only logged
+    await deleteFile(document.storageKey).catch((error) =>
+      console.error(`Error deleting ${document.storageKey}:`, error)
+    );
+
+    res.status(200).json({ message: "Document deleted" });
+  } catch (error) {
+    console.error("Error deleting document:", error);
+    res.status(500).json({ message: "Error deleting document" });
+  }
+};
+
+// PATCH /users/:userId/documents/:documentId/verification - admin review of a document
+exports.reviewUserDocument = async (req, res) => {
+  try {
+    const { userId, documentId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(documentId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const { status, note } = req.body;
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        message: "Invalid verification status",
+        validOptions: REVIEW_STATUSES,
+      });
+    }
+
+    if (note !== undefined && (typeof note !== "string" || note.length > 500)) {
+      return res.status(400).json({ message: "Note must be a string of at most 500 characters" });
+    }
+
+    const document = await UserDocument.findOne({ _id: documentId, userId });
+    if (!document) {
+      return res.status(404).json({ message: "Document not found" });
+    }
+
+    document.verificationStatus = status;
+    document.reviewNote = note;
+    document.reviewedBy = status === "PENDING" ? undefined : req.user.id;
+    document.reviewedAt = status === "PENDING" ? undefined : new Date();
+    await document.save();
+
+    res.status(200).json(toDocumentResponse(document));
+  } catch (error) {
+    console.error("Error reviewing document:", error);
+    res.status(500).json({ message: "Error reviewing document" });
+  }
+};
@@ -1,5 +1,29 @@
 const Feedback = require("../models/Feedback");
 const Workout = require("../models/Workout");
+const mongoose = require("mongoose");
+const { refreshCoachRating } = require("../utils/coachRatings");
+const { refreshGoals } = require("../utils/goals");
+
+const MAX_COMMENT_LENGTH = 2000;
+
+// Ratings are numbers from 1 to 5; numeric strings from form posts are accepted
+const parseRating = (value) => {
+  const rating = typeof value === "string" && value.trim() ? Number(value) : value;
+  return typeof rating === "number" && rating >= 1 && rating <= 5 ? rating : null;
+};
+
+const isValidComment = (comment) =>
+  typeof comment === "string" && comment.trim() !== "" && comment.length <= MAX_COMMENT_LENGTH;
+
+const INVALID_COMMENT_MESSAGE = `comment must be a non-empty string of at most ${MAX_COMMENT_LENGTH} characters`;
+
+// The coach's rating aggregate only counts client feedback
+const refreshRatingFor = (feedback) =>
+  feedback.authorRole === "CLIENT"
+    ? refreshCoachRating(feedback.coachId).catch((error) =>
+        console.error("Error refreshing coach rating:", error)
+      )
+    : Promise.resolve();
 
 exports.giveFeedback = async (req, res) => {
   try {
@@ -15,9 +39,12 @@ exports.giveFeedback = async (req, res) => {
         .status(400)
         .json({ message: "Please provide all the required fields." });
     }
-    if (rating > 5 || rating <= 0) {
+    if (parseRating(rating) === null) {
       return res.status(400).json({ message: "Invalid Rating." });
     }
+    if (!isValidComment(comment)) {
+      return res.status(400).json({ message: INVALID_COMMENT_MESSAGE });
+    }
 
     // Find the workout by ID
     const workout = await Workout.findById(workoutId);
@@ -88,11 +115,12 @@ exports.giveFeedback = async (req, res) => {
       clientId: workout.clientId,
       coachId: workout.coachId,
       comment,
-      rating,
+      rating: parseRating(rating),
       authorRole,
     });
 
     await feedback.save();
+    await refreshRatingFor(feedback);
 
     // Update workout state based on who provided feedback
     if (authorRole === "CLIENT") {
@@ -104,6 +132,10 @@ exports.giveFeedback = async (req, res) => {
       workout.state = "FINISHED";
       await workout.save();
     }
+    // Keep the client's workout goals in step with the new state
+    await refreshGoals(workout.clientId).catch((error) =>
+      console.error("Error refreshing goals:", error)
+    );
 
     return res
       .status(201)
@@ -113,3 +145,63 @@ exports.giveFeedback = async (req, res) => {
     return res.status(500).json({ message: "Internal Server Error." });
   }
 };
+
+// PATCH /feedbacks/:feedbackId - the author corrects the comment or rating
+exports.updateFeedback = async (req, res) => {
+  try {
+    const { feedbackId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(feedbackId)) {
+      return res.status(400).json({ message: "Invalid feedback ID format" });
+    }
+
+    const feedback = await Feedback.findById(feedbackId);
+    if (!feedback) {
+      return res.status(404).json({ message: "Feedback not found." });
+    }
+
+    // Feedback has no author id; the author is the workout's client or coach
+    const authorId = feedback.authorRole === "CLIENT" ? feedback.clientId : feedback.coachId;
+    if (feedback.authorRole !== req.user.role || String(authorId) !== String(req.user.id)) {
+      return res
+        .status(403)
+        .json({ message: "You are not authorized to change this feedback." });
+    }
+
+    const { comment, rating } = req.body || {};
+    if (comment === undefined && rating === undefined) {
+      return res.status(400).json({ message: "Provide a comment or a rating to change." });
+    }
+    if (comment !== undefined) {
+      if (!isValidComment(comment)) {
+        return res.status(400).json({ message: INVALID_COMMENT_MESSAGE });
+      }
+      feedback.comment = comment;
+    }
+    if (rating !== undefined) {
+      if (parseRating(rating) === null) {
+        return res.status(400).json({ message: "Invalid Rating." });
+      }
+      feedback.rating = parseRating(rating);
+    }
+
+    const ratingChanged = feedback.isModified("rating");
+    feedback.updatedAt = new Date();
+    await feedback.save();
+    if (ratingChanged) {
+      await refreshRatingFor(feedback);
+    }
+
+    return res.status(200).json({
+      id: feedback._id,
+      workoutId: feedback.workoutId,
+      comment: feedback.comment,
+      rating: feedback.rating,
+      authorRole: feedback.authorRole,
+      createdAt: feedback.createdAt,
+      updatedAt: feedback.updatedAt,
+    });
+  } catch (error) {
+    console.error("Error updating feedback:", error);
+    return res.status(500).json({ message: "Internal Server Error." });
+  }
+};
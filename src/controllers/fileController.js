@@ -0,0 +1,36 @@
+const { readFile } = require("../utils/storage");
+
+// GET /files/* - stream a stored file (profile images, signed links to documents)
+exports.getFile = async (req, res) => {
+  try {
+    // Express collects the wildcard segments into an array
+    const key = [].concat(req.params.key || []).join("/");
+
+    // Private files need the expires/signature pair of a signed URL
+    const { expires, signature } = req.query;
+    const file = await readFile(key, { expires, signature });
+    if (!file) {
+      return res.status(404).json({ message: "File not found" });
+    }
+
+    // Keys are random and never reused, so public content never changes
+    res.set({
+      "Content-Type": file.contentType,
+      "Content-Length": String(file.size),
+      "Cache-Control": file.isPrivate ? "private, no-store" : "public, max-age=31536000, immutable",
+      "X-Content-Type-Options": "nosniff",
+    });
+    if (file.contentType === "application/octet-stream") {
+      res.attachment();
+    }
+
+    file.stream.on("error", (error) => {
+      console.error("Error streaming file:", error);
+      res.destroy(error);
+    });
+    file.stream.pipe(res);
+  } catch (error) {
+    console.error("Error fetching file:", error);
+    res.status(500).json({ message: "Error fetching file" });
+  }
+};
@@ -0,0 +1,237 @@
+const Goal = require("../models/Goal");
+const User = require("../models/User");
+const mongoose = require("mongoose");
+const { dayRange, formatDate, resolveTimeZone } = require("../utils/time");
+const {
+  WORKOUTS_METRIC,
+  TARGET_METRICS,
+  isValidGoalMetric,
+  latestMetricValue,
+  refreshGoal,
+  toGoalResponse,
+} = require("../utils/goals");
+
+const GOAL_STATUSES = ["ACTIVE", "ACHIEVED", "ABANDONED"];
+const VALID_TARGETS = Object.keys(TARGET_METRICS);
+
+// Deadline from a "YYYY-MM-DD" day in `timeZone`: the last moment of that day.
+// Returns undefined when invalid.
+const parseDeadline = (value, timeZone) => {
+  if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+  const { end } = dayRange(value, timeZone);
+  if (Number.isNaN(end.getTime()) || formatDate(new Date(end - 1), timeZone) !== value) {
+    return undefined;
+  }
+  return new Date(end - 1);
+};
+
+const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+
+// GET /users/:userId/goals - the user's target and goals with their stored progress
+exports.getUserGoals = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const { status } = req.query;
+    if (status && !GOAL_STATUSES.includes(status)) {
+      return res.status(400).json({ message: "Invalid status", validOptions: GOAL_STATUSES });
+    }
+
+    const user = await User.findById(userId).select("target").lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    // Active goals first (status sorts ACTIVE, ACHIEVED, ABANDONED descending)
+    const goals = await Goal.find({ userId, ...(status && { status }) }).sort({
+      status: -1,
+      deadline: 1,
+      createdAt: -1,
+    });
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+    const counts = Object.fromEntries(GOAL_STATUSES.map((name) => [name, 0]));
+    goals.forEach((goal) => counts[goal.status]++);
+
+    res.status(200).json({
+      target: user.target,
+      timeZone,
+      counts,
+      content: goals.map((goal) => toGoalResponse(goal, timeZone)),
+    });
+  } catch (error) {
+    console.error("Error fetching goals:", error);
+    res.status(500).json({ message: "Error fetching goals" });
+  }
+};
+
+// POST /users/:userId/goals - create a goal; metric and baseline default from the target
+exports.createGoal = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(userId).select("target").lean();
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const { title, targetValue } = req.body || {};
+    const target = req.body?.target || user.target;
+    if (!VALID_TARGETS.includes(target)) {
+      return res.status(400).json({ message: "Invalid target", validOptions: VALID_TARGETS });
+    }
+
+    const metric = req.body?.metric || TARGET_METRICS[target];
+    if (!isValidGoalMetric(metric)) {
+      return res.status(400).json({
+        message: "Invalid metric. Use workouts, a body metric such as weightKg, or custom:<name>",
+      });
+    }
+
+    if (!isNumber(targetValue)) {
+      return res.status(400).json({ message: "targetValue must be a number" });
+    }
+
+    // Workout goals count from zero; body metrics start at the latest measurement
+    let baseline = req.body?.baseline;
+    if (metric === WORKOUTS_METRIC) {
+      baseline = 0;
+      if (!Number.isInteger(targetValue) || targetValue < 1) {
+        return res.status(400).json({ message: "A workouts goal needs a positive whole number" });
+      }
+    } else if (baseline === undefined) {
+      baseline = await latestMetricValue(userId, metric);
+      if (baseline === null) {
+        return res.status(400).json({
+          message: `No ${metric} measurement recorded yet; log one or pass a baseline`,
+        });
+      }
+    } else if (!isNumber(baseline)) {
+      return res.status(400).json({ message: "baseline must be a number" });
+    }
+
+    if (targetValue === baseline) {
+      return res.status(400).json({ message: "targetValue must differ from the baseline" });
+    }
+
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+    let deadline;
+    if (req.body?.deadline !== undefined) {
+      deadline = parseDeadline(req.body.deadline, timeZone);
+      if (!deadline || deadline <= new Date()) {
+        return res.status(400).json({ message: "deadline must be a future date in YYYY-MM-DD format" });
+      }
+    }
+
+    if (title !== undefined && (typeof title !== "string" || title.length > 100)) {
+      return res.status(400).json({ message: "title must be a string of at most 100 characters" });
+    }
+
+    const goal = await Goal.create({
+      userId,
+      target,
+      title,
+      metric,
+      baseline,
+      targetValue,
+      deadline,
+      currentValue: baseline,
+      createdBy: req.user.id,
+    });
+    await refreshGoal(goal);
+
+    res.status(201).json(toGoalResponse(goal, timeZone));
+  } catch (error) {
+    console.error("Error creating goal:", error);
+    res.status(500).json({ message: "Error creating goal" });
+  }
+};
+
+// PATCH /users/:userId/goals/:goalId - change title, target value or deadline, abandon or resume
+exports.updateGoal = async (req, res) => {
+  try {
+    const { userId, goalId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(goalId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const goal = await Goal.findOne({ _id: goalId, userId });
+    if (!goal) {
+      return res.status(404).json({ message: "Goal not found" });
+    }
+
+    const { title, targetValue, deadline, status } = req.body || {};
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+
+    // Achievements are final; only the title can still change
+    if (
+      goal.status === "ACHIEVED" &&
+      [targetValue, deadline, status].some((value) => value !== undefined)
+    ) {
+      return res.status(409).json({ message: "An achieved goal can only be renamed" });
+    }
+
+    if (title !== undefined) {
+      if (typeof title !== "string" || title.length > 100) {
+        return res.status(400).json({ message: "title must be a string of at most 100 characters" });
+      }
+      goal.title = title;
+    }
+
+    if (targetValue !== undefined) {
+      if (!isNumber(targetValue) || targetValue === goal.baseline) {
+        return res.status(400).json({ message: "targetValue must be a number different from the baseline" });
+      }
+      goal.targetValue = targetValue;
+    }
+
+    if (deadline !== undefined) {
+      if (deadline === null) {
+        goal.deadline = undefined;
+      } else {
+        const parsed = parseDeadline(deadline, timeZone);
+        if (!parsed || parsed <= new Date()) {
+          return res.status(400).json({ message: "deadline must be a future date in YYYY-MM-DD format" });
+        }
+        goal.deadline = parsed;
+      }
+    }
+
+    // ACHIEVED is only ever set by progress
+    if (status !== undefined) {
+      if (!["ACTIVE", "ABANDONED"].includes(status)) {
+        return res.status(400).json({ message: "Invalid status", validOptions: ["ACTIVE", "ABANDONED"] });
+      }
+      goal.status = status;
+    }
+
+    await goal.save();
+    await refreshGoal(goal);
+
+    res.status(200).json(toGoalResponse(goal, timeZone));
+  } catch (error) {
+    console.error("Error updating goal:", error);
+    res.status(500).json({ message: "Error updating goal" });
+  }
+};
+
+// DELETE /users/:userId/goals/:goalId
+exports.deleteGoal = async (req, res) => {
+  try {
+    const { userId, goalId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(goalId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const goal = await Goal.findOneAndDelete({ _id: goalId, userId });
+    if (!goal) {
+      return res.status(404).json({ message: "Goal not found" });
+    }
+
+    res.status(200).json({ message: "Goal deleted" });
+  } catch (error) {
+    console.error("Error deleting goal:", error);
+    res.status(500).json({ message: "Error deleting goal" });
+  }
+};
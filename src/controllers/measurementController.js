@@ -0,0 +1,388 @@
+const Measurement = require("../models/Measurement");
+const User = require("../models/User");
+const mongoose = require("mongoose");
+const { dayRange, toLocalISOString, formatDate, resolveTimeZone } = require("../utils/time");
+const {
+  METRIC_UNITS,
+  METRICS,
+  CUSTOM_PREFIX,
+  isCustomMetric,
+  metricValue,
+} = require("../utils/metrics");
+const { refreshGoals } = require("../utils/goals");
+
+const MAX_PAGE_SIZE = 100;
+const TREND_INTERVALS = ["day", "week", "month"];
+
+const EDITABLE_FIELDS = ["measuredAt", "weightKg", "bodyFatPercent", "restingHeartRate", "girths", "custom", "note"];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const hasAnyMetric = (measurement) =>
+  METRICS.some((metric) => typeof metricValue(measurement, metric) === "number") ||
+  (measurement.custom || []).length > 0;
+
+const toMeasurementResponse = (measurement, timeZone) => ({
+  id: measurement._id,
+  measuredAt: measurement.measuredAt,
+  localMeasuredAt: toLocalISOString(measurement.measuredAt, timeZone),
+  weightKg: measurement.weightKg,
+  bodyFatPercent: measurement.bodyFatPercent,
+  restingHeartRate: measurement.restingHeartRate,
+  girths: measurement.girths,
+  custom: measurement.custom || [],
+  note: measurement.note,
+  recordedBy: measurement.recordedBy,
+});
+
+// { start, end } for the from/to query (local calendar days), or { error }
+const parseRange = ({ from, to }, timeZone) => {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if ((from && !datePattern.test(from)) || (to && !datePattern.test(to))) {
+    return { error: "from and to must be dates in YYYY-MM-DD format" };
+  }
+  if (from && to && from > to) {
+    return { error: "from must not be after to" };
+  }
+  return {
+    start: from ? dayRange(from, timeZone).start : null,
+    end: to ? dayRange(to, timeZone).end : null,
+  };
+};
+
+const rangeFilter = (userId, { start, end }) => {
+  const filter = { userId };
+  if (start || end) {
+    filter.measuredAt = {};
+    if (start) filter.measuredAt.$gte = start;
+    if (end) filter.measuredAt.$lt = end;
+  }
+  return filter;
+};
+
+// Copy the editable fields present in `body`; null removes a metric
+const applyChanges = (measurement, body) => {
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      measurement[field] = body[field] === null ? undefined : body[field];
+    }
+  }
+};
+
+// Checks shared by create and update, after the schema validators have passed
+const validateMeasurement = (measurement) => {
+  if (measurement.measuredAt > new Date()) {
+    return "measuredAt cannot be in the future";
+  }
+  if (!hasAnyMetric(measurement)) {
+    return "At least one metric is required";
+  }
+  return null;
+};
+
+const validationErrorResponse = (res, error) =>
+  res.status(400).json({
+    message: "Invalid measurement",
+    errors: Object.fromEntries(
+      Object.entries(error.errors).map(([path, { message }]) => [path, message])
+    ),
+  });
+
+// GET /users/:userId/measurements - measurements in a date range, newest first
+exports.getMeasurements = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+    const range = parseRange(req.query, timeZone);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const size = Math.min(Math.max(parseInt(req.query.size) || 20, 1), MAX_PAGE_SIZE);
+    const filter = rangeFilter(userId, range);
+
+    const [measurements, totalElements] = await Promise.all([
+      Measurement.find(filter)
+        .sort({ measuredAt: -1, _id: -1 })
+        .skip((page - 1) * size)
+        .limit(size)
+        .lean(),
+      Measurement.countDocuments(filter),
+    ]);
+
+    res.status(200).json({
+      content: measurements.map((measurement) => toMeasurementResponse(measurement, timeZone)),
+      currentPage: page,
+      totalElements,
+      totalPages: Math.ceil(totalElements / size),
+    });
+  } catch (error) {
+    console.error("Error fetching measurements:", error);
+    res.status(500).json({ message: "Error fetching measurements" });
+  }
+};
+
+// POST /users/:userId/measurements
+exports.createMeasurement = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const userExists = await User.exists({ _id: userId });
+    if (!userExists) return res.status(404).json({ message: "User not found" });
+
+    const measurement = new Measurement({ userId, measuredAt: new Date(), recordedBy: req.user.id });
+    applyChanges(measurement, req.body || {});
+
+    await measurement.validate();
+    const message = validateMeasurement(measurement);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    await measurement.save();
+
+    // Goals follow the logged metrics; a failure here must not fail the request
+    await refreshGoals(userId).catch((error) => console.error("Error refreshing goals:", error));
+
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+    res.status(201).json(toMeasurementResponse(measurement, timeZone));
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return validationErrorResponse(res, error);
+    }
+    console.error("Error creating measurement:", error);
+    res.status(500).json({ message: "Error creating measurement" });
+  }
+};
+
+// GET /users/:userId/measurements/summary - first, latest, change and range per metric
+exports.getMeasurementSummary = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+    const range = parseRange(req.query, timeZone);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const [user, measurements] = await Promise.all([
+      User.findById(userId).select("target").lean(),
+      Measurement.find(rangeFilter(userId, range)).sort({ measuredAt: 1, _id: 1 }).lean(),
+    ]);
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    const customMetrics = new Map();
+    for (const measurement of measurements) {
+      for (const { name, unit } of measurement.custom || []) {
+        const metric = `${CUSTOM_PREFIX}${name}`;
+        if (!customMetrics.has(metric)) customMetrics.set(metric, unit);
+      }
+    }
+
+    const metrics = [];
+    for (const [metric, unit] of [...Object.entries(METRIC_UNITS), ...customMetrics]) {
+      const points = measurements
+        .map((measurement) => ({
+          value: metricValue(measurement, metric),
+          measuredAt: measurement.measuredAt,
+        }))
+        .filter(({ value }) => typeof value === "number");
+      if (points.length === 0) continue;
+
+      const values = points.map(({ value }) => value);
+      const first = points[0];
+      const latest = points[points.length - 1];
+      metrics.push({
+        metric,
+        unit,
+        count: points.length,
+        first,
+        latest,
+        change: round(latest.value - first.value),
+        min: Math.min(...values),
+        max: Math.max(...values),
+        average: round(values.reduce((sum, value) => sum + value, 0) / values.length),
+      });
+    }
+
+    res.status(200).json({
+      target: user.target,
+      from: req.query.from || null,
+      to: req.query.to || null,
+      timeZone,
+      totalMeasurements: measurements.length,
+      metrics,
+    });
+  } catch (error) {
+    console.error("Error summarizing measurements:", error);
+    res.status(500).json({ message: "Error summarizing measurements" });
+  }
+};
+
+// GET /users/:userId/measurements/trends - one metric averaged per day, week or month
+exports.getMeasurementTrends = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const { metric, interval = "week" } = req.query;
+    const isCustom = isCustomMetric(metric);
+    if (!METRICS.includes(metric) && !isCustom) {
+      return res.status(400).json({
+        message: "Invalid metric. Use a standard metric or custom:<name>",
+        validOptions: METRICS,
+      });
+    }
+    if (!TREND_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: "Invalid interval", validOptions: TREND_INTERVALS });
+    }
+
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+    const range = parseRange(req.query, timeZone);
+    if (range.error) {
+      return res.status(400).json({ message: range.error });
+    }
+
+    const match = rangeFilter(new mongoose.Types.ObjectId(userId), range);
+    const pipeline = [{ $match: match }];
+    let valuePath = `$${metric}`;
+    let unit = METRIC_UNITS[metric];
+
+    if (isCustom) {
+      const name = metric.slice(CUSTOM_PREFIX.length);
+      pipeline.push({ $unwind: "$custom" }, { $match: { "custom.name": name } });
+      valuePath = "$custom.value";
+      unit = null;
+    }
+
+    pipeline.push(
+      { $match: { [valuePath.slice(1)]: { $type: "number" } } },
+      {
+        $group: {
+          // Periods start at local midnight (weeks on Monday) in the caller's zone
+          _id: {
+            $dateTrunc: { date: "$measuredAt", unit: interval, timezone: timeZone, startOfWeek: "monday" },
+          },
+          average: { $avg: valuePath },
+          min: { $min: valuePath },
+          max: { $max: valuePath },
+          count: { $sum: 1 },
+          ...(isCustom && { unit: { $first: "$custom.unit" } }),
+        },
+      },
+      { $sort: { _id: 1 } }
+    );
+
+    const periods = await Measurement.aggregate(pipeline);
+
+    res.status(200).json({
+      metric,
+      unit: unit ?? periods[0]?.unit ?? "",
+      interval,
+      timeZone,
+      points: periods.map((period) => ({
+        periodStart: formatDate(period._id, timeZone),
+        average: round(period.average),
+        min: period.min,
+        max: period.max,
+        count: period.count,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching measurement trends:", error);
+    res.status(500).json({ message: "Error fetching measurement trends" });
+  }
+};
+
+// GET /users/:userId/measurements/:measurementId
+exports.getMeasurement = async (req, res) => {
+  try {
+    const { userId, measurementId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(measurementId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const measurement = await Measurement.findOne({ _id: measurementId, userId }).lean();
+    if (!measurement) {
+      return res.status(404).json({ message: "Measurement not found" });
+    }
+
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+    res.status(200).json(toMeasurementResponse(measurement, timeZone));
+  } catch (error) {
+    console.error("Error fetching measurement:", error);
+    res.status(500).json({ message: "Error fetching measurement" });
+  }
+};
+
+// PATCH /users/:userId/measurements/:measurementId - change or remove (null) values
+exports.updateMeasurement = async (req, res) => {
+  try {
+    const { userId, measurementId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(measurementId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const measurement = await Measurement.findOne({ _id: measurementId, userId });
+    if (!measurement) {
+      return res.status(404).json({ message: "Measurement not found" });
+    }
+
+    applyChanges(measurement, req.body || {});
+
+    await measurement.validate();
+    const message = validateMeasurement(measurement);
+    if (message) {
+      return res.status(400).json({ message });
+    }
+
+    await measurement.save();
+
+    await refreshGoals(userId).catch((error) => console.error("Error refreshing goals:", error));
+
+    const timeZone = await resolveTimeZone(req.user.timeZone);
+    res.status(200).json(toMeasurementResponse(measurement, timeZone));
+  } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return validationErrorResponse(res, error);
+    }
+    console.error("Error updating measurement:", error);
+    res.status(500).json({ message: "Error updating measurement" });
+  }
+};
+
+// DELETE /users/:userId/measurements/:measurementId
+exports.deleteMeasurement = async (req, res) => {
+  try {
+    const { userId, measurementId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(measurementId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const measurement = await Measurement.findOneAndDelete({ _id: measurementId, userId });
+    if (!measurement) {
+      return res.status(404).json({ message: "Measurement not found" });
+    }
+
+    await refreshGoals(userId).catch((error) => console.error("Error refreshing goals:", error));
+
+    res.status(200).json({ message: "Measurement deleted" });
+  } catch (error) {
+    console.error("Error deleting measurement:", error);
+    res.status(500).json({ message: "Error deleting measurement" });
+  }
+};
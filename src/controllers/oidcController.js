@@ -0,0 +1,153 @@
+const User = require("../models/User");
+const OidcLoginState = require("../models/OidcLoginState");
+const bcrypt = require("bcryptjs");
+const { generateToken } = require("../utils/tokens");
+const { completeSignIn } = require("../utils/signIn");
+const {
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  matchesOidcStateCookie,
+} = require("../utils/authCookies");
+const {
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  exchangeCode,
+} = require("../utils/oidc");
+
+const LOGIN_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Find the user behind an external identity, linking or creating the account on first sign-in
+async function findOrCreateOidcUser(provider, claims) {
+  let user = await User.findOne({
+    identities: { $elemMatch: { provider: provider.name, subject: claims.sub } },
+  });
+  if (user) {
+    return user;
+  }
+
+  // Only an address the provider has verified may claim an existing account
+  if (!claims.email || claims.email_verified !== true) {
+    return null;
+  }
+
+  const identity = { provider: provider.name, subject: claims.sub, email: claims.email };
+
+  user = await User.findOne({ email: claims.email });
+  if (user) {
+    user.identities.push(identity);
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+    return user;
+  }
+
+  // The account has no usable password until the member sets one via password reset
+  const salt = await bcrypt.genSalt(10);
+  const hashedPassword = await bcrypt.hash(generateToken(), salt);
+
+  user = new User({
+    firstName: claims.given_name || claims.name || claims.email.split("@")[0],
+    lastName: claims.family_name || "-",
+    email: claims.email,
+    password: hashedPassword,
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    target: "GENERAL_FITNESS",
+    identities: [identity],
+  });
+  await user.save();
+  return user;
+}
+
+// GET /auth/oidc/providers
+exports.getOidcProviders = async (req, res) => {
+  res.status(200).json({ providers: listProviders() });
+};
+
+// GET /auth/oidc/:provider - redirect to the provider's sign-in page
+exports.startOidcLogin = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown identity provider" });
+    }
+
+    const { authorizationUrl, state, nonce, codeVerifier } =
+      await createAuthorizationRequest(provider);
+
+    await OidcLoginState.create({
+      state,
+      provider: provider.name,
+      codeVerifier,
+      nonce,
+      expiresAt: new Date(Date.now() + LOGIN_STATE_TTL_MS),
+    });
+    setOidcStateCookie(res, state, LOGIN_STATE_TTL_MS);
+
+    res.redirect(302, authorizationUrl);
+  } catch (error) {
+    console.error("Error starting OIDC login:", error);
+    res.status(500).json({ message: "Error starting sign-in with identity provider" });
+  }
+};
+
+// GET /auth/oidc/:provider/callback
+exports.handleOidcCallback = async (req, res) => {
+  try {
+    const provider = getProvider(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ message: "Unknown identity provider" });
+    }
+
+    const { code, state, error } = req.query;
+    if (error) {
+      return res.status(400).json({ message: `Identity provider returned an error: ${error}` });
+    }
+    if (!code || !state) {
+      return res.status(400).json({ message: "Code and state are required" });
+    }
+
+    // Only the browser that started the login may complete it (no login CSRF)
+    if (!matchesOidcStateCookie(req, state)) {
+      return res.status(400).json({ message: "Invalid or expired login state" });
+    }
+    clearOidcStateCookie(res);
+
+    // Each state can complete exactly one login
+    const loginState = await OidcLoginState.findOneAndDelete({
+      state,
+      provider: provider.name,
+      expiresAt: { $gt: new Date() },
+    });
+    if (!loginState) {
+      return res.status(400).json({ message: "Invalid or expired login state" });
+    }
+
+    let claims;
+    try {
+      claims = await exchangeCode(provider, {
+        code,
+        codeVerifier: loginState.codeVerifier,
+        nonce: loginState.nonce,
+      });
+    } catch (error) {
+      console.error("Error exchanging OIDC code:", error);
+      return res.status(401).json({ message: "Sign-in with identity provider failed" });
+    }
+
+    const user = await findOrCreateOidcUser(provider, claims);
+    if (!user) {
+      return res
+        .status(400)
+        .json({ message: "Identity provider did not supply a verified email address" });
+    }
+
+    await completeSignIn(req, res, user);
+  } catch (error) {
+    console.error("Error completing OIDC login:", error);
+    res.status(500).json({ message: "Error completing sign-in with identity provider" });
+  }
+};
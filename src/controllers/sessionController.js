@@ -0,0 +1,60 @@
+const Session = require("../models/Session");
+const mongoose = require("mongoose");
+const { revokeSession } = require("../utils/session");
+const { clearSessionCookies } = require("../utils/authCookies");
+
+// GET /users/:userId/sessions - active sessions (devices) of a user
+exports.getUserSessions = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const sessions = await Session.find({
+      userId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    const content = sessions.map((session) => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      current: String(session._id) === String(req.sessionId),
+    }));
+
+    res.status(200).json({ content });
+  } catch (error) {
+    console.error("Error fetching sessions:", error);
+    res.status(500).json({ message: "Error fetching sessions" });
+  }
+};
+
+// DELETE /users/:userId/sessions/:sessionId - sign out one device
+exports.revokeUserSession = async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId) || !mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({ message: "Invalid ID format" });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, userId, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: "Session not found" });
+    }
+
+    await revokeSession(session._id, "USER_REVOKED");
+
+    if (String(session._id) === String(req.sessionId)) {
+      clearSessionCookies(res);
+    }
+
+    res.status(200).json({ message: "Session revoked" });
+  } catch (error) {
+    console.error("Error revoking session:", error);
+    res.status(500).json({ message: "Error revoking session" });
+  }
+};
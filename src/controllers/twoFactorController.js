@@ -0,0 +1,245 @@
+const User = require("../models/User");
+const bcrypt = require("bcryptjs");
+const { createSession } = require("../utils/session");
+const { sendSession } = require("../utils/authCookies");
+const { signInRefusal } = require("../utils/signIn");
+const {
+  generateSecret,
+  verifyTotp,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  readChallengeToken,
+  generateRecoveryCodes,
+  verifySecondFactor,
+} = require("../utils/twoFactor");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountAttempts,
+} = require("../utils/loginThrottle");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "EnergyX";
+
+// POST /auth/2fa/setup - start enrollment by generating a secret
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findById(req.twoFactorUserId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    // The secret only becomes active once a code generated from it is confirmed
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      secret,
+      otpauthUri: buildOtpauthUri({
+        secret,
+        accountName: user.email,
+        issuer: TOTP_ISSUER,
+      }),
+    });
+  } catch (error) {
+    console.error("Error setting up two-factor authentication:", error);
+    res.status(500).json({ message: "Error setting up two-factor authentication" });
+  }
+};
+
+// POST /auth/2fa/enable - confirm enrollment with a code from the authenticator app
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const user = await User.findById(req.twoFactorUserId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    // Enrollment through the challenge ends with a session, so it is refused
+    // for the same accounts sign-in refuses
+    const refusal = req.enrollmentChallenge && signInRefusal(user);
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is already enabled" });
+    }
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: "Call /auth/2fa/setup first" });
+    }
+
+    const step = verifyTotp(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return res.status(400).json({ message: "Invalid two-factor code" });
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabled = true;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    const response = {
+      message: "Two-factor authentication enabled",
+      recoveryCodes: codes,
+    };
+
+    // Mandatory enrollment during sign-in ends with a session
+    if (req.enrollmentChallenge) {
+      return sendSession(res, 200, await createSession(user, req), response);
+    }
+
+    res.status(200).json(response);
+  } catch (error) {
+    console.error("Error enabling two-factor authentication:", error);
+    res.status(500).json({ message: "Error enabling two-factor authentication" });
+  }
+};
+
+// POST /auth/2fa/disable
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+    if (!password || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ message: "Password and a two-factor or recovery code are required" });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (await isTwoFactorRequired(user)) {
+      return res
+        .status(403)
+        .json({ message: "Two-factor authentication is required for your role" });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+      return res.status(400).json({ message: "Invalid credentials" });
+    }
+
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: { "twoFactor.enabled": false },
+        $unset: {
+          "twoFactor.secret": "",
+          "twoFactor.recoveryCodes": "",
+          "twoFactor.lastUsedStep": "",
+          "twoFactor.enabledAt": "",
+        },
+      }
+    );
+
+    res.status(200).json({ message: "Two-factor authentication disabled" });
+  } catch (error) {
+    console.error("Error disabling two-factor authentication:", error);
+    res.status(500).json({ message: "Error disabling two-factor authentication" });
+  }
+};
+
+// POST /auth/2fa/recovery-codes - replace all recovery codes
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ message: "Code is required" });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled" });
+    }
+
+    if (!(await verifySecondFactor(user, { code }))) {
+      return res.status(400).json({ message: "Invalid two-factor code" });
+    }
+
+    const { codes, hashes } = await generateRecoveryCodes();
+    await User.updateOne({ _id: user._id }, { $set: { "twoFactor.recoveryCodes": hashes } });
+
+    res.status(200).json({ recoveryCodes: codes });
+  } catch (error) {
+    console.error("Error regenerating recovery codes:", error);
+    res.status(500).json({ message: "Error regenerating recovery codes" });
+  }
+};
+
+// POST /auth/2fa/verify - second step of sign-in
+exports.verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res
+        .status(400)
+        .json({ message: "Challenge token and a two-factor or recovery code are required" });
+    }
+
+    const challenge = readChallengeToken(challengeToken);
+    if (!challenge || challenge.enrollment) {
+      return res.status(401).json({ message: "Invalid or expired challenge token" });
+    }
+
+    const user = await User.findById(challenge.userId).select(TWO_FACTOR_SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled || user.status === "SUSPENDED") {
+      return res.status(401).json({ message: "Invalid or expired challenge token" });
+    }
+
+    // Codes are guessable, so they share the sign-in throttling
+    const throttle = await checkLoginAllowed(user.email, req.ip);
+    if (!throttle.allowed) {
+      res.set("Retry-After", String(throttle.retryAfterSeconds));
+      return res.status(429).json({
+        message: `Too many failed sign-in attempts. Try again in ${throttle.retryAfterSeconds} seconds.`,
+        retryAfterSeconds: throttle.retryAfterSeconds,
+      });
+    }
+
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordLoginFailure(user.email, req.ip);
+      return res.status(400).json({ message: "Invalid two-factor code" });
+    }
+
+    await clearAccountAttempts(user.email);
+
+    // The account may have been flagged since the challenge was issued
+    const refusal = signInRefusal(user);
+    if (refusal) {
+      return res.status(refusal.status).json(refusal.body);
+    }
+
+    sendSession(res, 200, await createSession(user, req));
+  } catch (error) {
+    console.error("Error verifying two-factor code:", error);
+    res.status(500).json({ message: "Error verifying two-factor code" });
+  }
+};
@@ -1,62 +1,64 @@
 const User = require("../models/User");
-const { v4: uuidv4 } = require("uuid");
-const AWS = require("aws-sdk");
+const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const { validatePassword, setPassword } = require("../utils/passwordPolicy");
+const { storeDocument } = require("../utils/documents");
+const { storeAvatar, removeAvatarFiles, avatarUrls } = require("../utils/avatar");
+const { InvalidImageError } = require("../utils/imageProcessing");
+const { detectFileType } = require("../utils/fileType");
+const { isValidTimeZone } = require("../utils/time");
+
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+
+// A base64 upload the client has to fix; answered like the multipart upload
+// middleware (415 for a wrong file type, 400 otherwise)
+class InvalidUploadError extends Error {
+  constructor(message, status = 400, validOptions) {
+    super(message);
+    this.status = status;
+    this.validOptions = validOptions;
+  }
+}
+
+// Decode a base64 data URI. The declared MIME type is ignored; the content
+// itself must be one of `allowedTypes`.
+const decodeBase64File = (base64Data, allowedTypes) => {
+  const matches =
+    typeof base64Data === "string" && base64Data.match(/^data:([A-Za-z0-9-+/]+);base64,(.+)$/);
+  if (!matches || matches.length !== 3) {
+    throw new InvalidUploadError("Invalid base64 data format");
+  }
 
-// AWS S3 setup
-const s3 = new AWS.S3({
-  region: "eu-west-1",
-});
-
-// Upload base64-encoded file to S3
-const uploadBase64File = async (base64Data, folder) => {
-  try {
-    const matches = base64Data.match(/^data:([A-Za-z0-9-+/]+);base64,(.+)$/);
-    if (!matches || matches.length !== 3) {
-      throw new Error("Invalid base64 data format");
-    }
-
-    const mimeType = matches[1];
-    const base64 = matches[2];
-    const buffer = Buffer.from(base64, "base64");
+  const buffer = Buffer.from(matches[2], "base64");
+  const type = detectFileType(buffer);
+  if (!allowedTypes.includes(type)) {
+    throw new InvalidUploadError("Unsupported file type", 415, allowedTypes);
+  }
 
-    // Determine file extension
-    let extension = "bin";
-    if (mimeType.startsWith("image/")) {
-      extension = mimeType.split("/")[1];
-    } else if (mimeType === "application/pdf") {
-      extension = "pdf";
-    }
+  return { buffer, type };
+};
 
-    const filename = `${uuidv4()}.${extension}`;
-    const key = `${folder}/${filename}`;
-    const bucketName = "team-1-deployment-bucket";
-
-    const params = {
-      Bucket: bucketName,
-      Key: key,
-      Body: buffer,
-      ContentType: mimeType,
-      ACL: "public-read", // Optional: remove if you want to keep files private
-    };
-    console.log("Uploading to S3:", params);
-    const result = await s3.upload(params).promise();
-    console.log("Upload result:", result);
-    console.log("File uploaded successfully:", result.Location);
-    return result.Location;
-  } catch (error) {
-    console.error("S3 upload error:", error);
-    throw error;
-  }
+// Replace the user's avatar with variants of `buffer` and delete the old files
+const replaceAvatar = async (user, buffer) => {
+  const previousKeys = user.imageKeys || [];
+  const { image, keys } = await storeAvatar(buffer);
+  user.image = image;
+  user.imageKeys = keys;
+  await user.save();
+  await removeAvatarFiles(previousKeys);
 };
 
 // Update user profile
 exports.updateUserProfile = async (req, res) => {
   try {
-    // Get user ID from authenticated user in request
-    const userId = req.user.id;
+    // Ownership is checked by requireSelfOrRole in userRoutes
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
 
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select("+imageKeys");
     if (!user) return res.status(404).json({ message: "User not found" });
 
     const {
@@ -67,6 +69,7 @@ exports.updateUserProfile = async (req, res) => {
       preferableActivity,
       specializations,
       target,
+      timeZone,
       base64encodedImage,
       base64encodedFiles,
     } = req.body;
@@ -74,14 +77,14 @@ exports.updateUserProfile = async (req, res) => {
     // Enhanced validation for firstName - no spaces allowed
     if (firstName !== undefined) {
       if (typeof firstName !== "string" || firstName.trim() === "") {
-        return formatResponse(400, {
+        return res.status(400).json({
           message: "First name is required and must be a non-empty string",
         });
       }
 
       // Check for special characters, numbers, and spaces
       if (!/^[a-zA-Z-]+$/.test(firstName)) {
-        return formatResponse(400, {
+        return res.status(400).json({
           message:
             "First name should only contain letters and hyphens (no spaces, numbers, or special characters)",
         });
@@ -93,14 +96,14 @@ exports.updateUserProfile = async (req, res) => {
     // Enhanced validation for lastName - no spaces allowed
     if (lastName !== undefined) {
       if (typeof lastName !== "string" || lastName.trim() === "") {
-        return formatResponse(400, {
+        return res.status(400).json({
           message: "Last name is required and must be a non-empty string",
         });
       }
 
       // Check for special characters, numbers, and spaces
       if (!/^[a-zA-Z-]+$/.test(lastName)) {
-        return formatResponse(400, {
+        return res.status(400).json({
           message:
             "Last name should only contain letters and hyphens (no spaces, numbers, or special characters)",
         });
@@ -120,7 +123,7 @@ exports.updateUserProfile = async (req, res) => {
         "Rehabilitation",
       ];
       if (!validActivities.includes(preferableActivity)) {
-        return formatResponse(400, {
+        return res.status(400).json({
           message: "Invalid preferableActivity value",
           validOptions: validActivities,
         });
@@ -139,7 +142,7 @@ exports.updateUserProfile = async (req, res) => {
         "REHABILITATION_RECOVERY",
       ];
       if (!validTargets.includes(target)) {
-        return formatResponse(400, {
+        return res.status(400).json({
           message: "Invalid target value",
           validOptions: validTargets,
         });
@@ -147,34 +150,50 @@ exports.updateUserProfile = async (req, res) => {
       user.target = target;
     }
 
+    // An IANA zone, or null / "" to fall back to the gym's time zone
+    if (timeZone !== undefined) {
+      if (timeZone !== null && timeZone !== "" && !isValidTimeZone(timeZone)) {
+        return res.status(400).json({
+          message: "Invalid time zone. Use an IANA name such as Europe/Berlin",
+        });
+      }
+      user.timeZone = timeZone || null;
+    }
+
     if (about) user.about = about;
     if (title) user.title = title;
     if (specializations) user.specializations = specializations;
 
-    if (base64encodedImage) {
-      const imageUrl = await uploadBase64File(base64encodedImage, "img");
-      user.imageUrl = imageUrl;
+    // Every upload is decoded before anything is stored
+    const image = base64encodedImage
+      ? decodeBase64File(base64encodedImage, IMAGE_TYPES)
+      : null;
+    const files = Array.isArray(base64encodedFiles)
+      ? base64encodedFiles.map((fileData) => decodeBase64File(fileData, DOCUMENT_TYPES))
+      : [];
+
+    if (image) {
+      await replaceAvatar(user, image.buffer);
     }
 
-    if (base64encodedFiles !== undefined) {
-      if (base64encodedFiles.length > 0) {
-        // Add new files to existing ones
-        const newFileUrls = await Promise.all(
-          base64encodedFiles.map((fileData) =>
-            uploadBase64File(fileData, "files")
-          )
-        );
-        user.fileUrls = [...(user.fileUrls || []), ...newFileUrls];
-      } else {
-        // If an empty array is explicitly provided, clear all files
-        user.fileUrls = [];
-      }
+    // Each file becomes a separate document; they are removed one by one via
+    // DELETE /users/:userId/documents/:documentId
+    for (const { buffer, type } of files) {
+      await storeDocument(userId, buffer, type, { name: "Document", type: "OTHER" });
     }
 
     await user.save();
     const updatedUser = await User.findById(userId).select("-password");
     return res.status(200).json(updatedUser);
   } catch (error) {
+    if (error instanceof InvalidUploadError) {
+      return res
+        .status(error.status)
+        .json({ message: error.message, validOptions: error.validOptions });
+    }
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error("Error updating user profile:", error);
     return res
       .status(500)
@@ -182,6 +201,29 @@ exports.updateUserProfile = async (req, res) => {
   }
 };
 
+// PUT /users/:userId/avatar - multipart upload of a new profile image
+exports.uploadAvatar = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID format" });
+    }
+
+    const user = await User.findById(userId).select("+imageKeys");
+    if (!user) return res.status(404).json({ message: "User not found" });
+
+    await replaceAvatar(user, req.file.buffer);
+
+    res.status(200).json({ image: avatarUrls(user) });
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error("Error uploading avatar:", error);
+    res.status(500).json({ message: "Error uploading avatar" });
+  }
+};
+
 // Get user profile
 exports.getUserProfile = async (req, res) => {
   try {
@@ -221,12 +263,12 @@ exports.getUserById = async (req, res) => {
       lastName: user.lastName,
       email: user.email,
       about: user.about,
-      imageUrl: user.imageUrl,
-      fileUrls: user.fileUrls,
+      image: avatarUrls(user),
       role: user.role,
       preferableActivity: user.preferableActivity,
       specializations: user.specializations,
       target: user.target,
+      timeZone: user.timeZone || null,
     });
   } catch (error) {
     return res
@@ -242,48 +284,18 @@ exports.updateUserPassword = async (req, res) => {
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return res.status(400).json({ message: "Invalid user ID format" });
     }
-    const { oldPassword, newPassword } = req.body;
+    const { oldPassword, newPassword } = req.body || {};
 
     if (!oldPassword || !newPassword) {
       return res
         .status(400)
         .json({ message: "Old and new passwords are required." });
     }
-
-    // Password length validation - minimum and maximum
-    if (newPassword.length < 8) {
-      return formatResponse(400, {
-        message: "Password must be at least 8 characters long.",
-      });
-    }
-
-    if (newPassword.length > 30) {
-      return formatResponse(400, {
-        message: "Password cannot exceed 30 characters.",
-      });
-    }
-    // Check for at least one uppercase letter
-    if (!/[A-Z]/.test(newPassword)) {
-      return formatResponse(400, {
-        message: "Password must contain at least one uppercase letter.",
-      });
+    if (typeof oldPassword !== "string" || typeof newPassword !== "string") {
+      return res.status(400).json({ message: "Passwords must be strings." });
     }
 
-    // Check for at least one number
-    if (!/[0-9]/.test(newPassword)) {
-      return formatResponse(400, {
-        message: "Password must contain at least one number.",
-      });
-    }
-
-    // Check for at least one special character
-    if (!/[!@#$%^&*()_+\-=\[\]{};':"\\|,.<>\/?]/.test(newPassword)) {
-      return formatResponse(400, {
-        message: "Password must contain at least one special character.",
-      });
-    }
-
-    const user = await User.findById(userId);
+    const user = await User.findById(userId).select("+passwordHistory");
     if (!user) {
       return res.status(404).json({ message: "User not found." });
     }
@@ -294,12 +306,13 @@ exports.updateUserPassword = async (req, res) => {
       return res.status(400).json({ message: "Old password is incorrect." });
     }
 
-    // Hash new password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(newPassword, salt);
+    const passwordValidation = await validatePassword(newPassword, user);
+    if (!passwordValidation.isValid) {
+      return res.status(400).json({ message: passwordValidation.message });
+    }
 
-    // Update password
-    user.password = hashedPassword;
+    await setPassword(user, newPassword);
+    user.passwordResetRequired = false;
     await user.save();
 
     res.status(200).json({ message: "Password updated successfully." });
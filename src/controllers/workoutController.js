@@ -1,17 +1,45 @@
 const Workout = require("../models/Workout");
 const User = require("../models/User");
-
+const CoachAvailability = require("../models/CoachAvailability");
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatDate,
+  toLocalISOString,
+  gymTimeZone,
+  resolveTimeZone,
+} = require("../utils/time");
+const { MAX_DURATION, slotInstants, formatSlot } = require("../utils/timeSlots");
+const { refreshGoals } = require("../utils/goals");
+const {
+  loadAvailability,
+  slotsOnDate,
+  findSlotAt,
+  findBookings,
+  isFree,
+} = require("../utils/availability");
+
+const ACTIVITIES = User.schema.path("preferableActivity").enumValues;
+
+// Coach slots for the coach's calendar `date`, rendered in `timeZone`
+const renderSlots = (slots, date, coachZone, timeZone) =>
+  slots.map((slot) => formatSlot(slotInstants(slot, date, coachZone), timeZone));
 
 // Get available workouts
 exports.getAvailableWorkout = async (req, res) => {
   try {
     // Extract query parameters from the request
     const queryParams = req.query || {};
-    const { date, time, activity, coachId } = queryParams;
+    const { date, time, activity, coachId, timeZone: requestedTimeZone } = queryParams;
 
     if (!date || !time) {
       return res.status(400).json({ error: "Date and time are required." });
     }
+    if (requestedTimeZone !== undefined && !isValidTimeZone(requestedTimeZone)) {
+      return res.status(400).json({
+        error: "Invalid timeZone. Use an IANA name such as Europe/Berlin.",
+      });
+    }
     if (activity) {
       const validActivities = ['Yoga', 'Climbing', 'Strength training', 'Cross-fit', 'Cardio Training', 'Rehabilitation'];
 
@@ -79,26 +107,27 @@ exports.getAvailableWorkout = async (req, res) => {
       });
     }
 
-    // Convert requested time to readable format (e.g., "10:30 AM")
-    const requestedTime = new Date(`1970-01-01T${time}:00Z`).toLocaleTimeString(
-      "en-US",
-      {
-        hour: "numeric",
-        minute: "2-digit",
-        hour12: true,
-        timeZone: "UTC",
-      }
-    );
+    // The date and time are wall-clock values in the caller's zone (anonymous
+    // callers may pass ?timeZone=, otherwise the gym's zone applies)
+    const gymZone = await gymTimeZone();
+    const timeZone = requestedTimeZone || gymZone;
+    const requestedDateTime = zonedTimeToUtc(date, time, timeZone);
+
+    // Check if requested time is in the past
+    if (requestedDateTime < new Date()) {
+      return res.status(400).json({
+        error: `Workouts must be scheduled at least 30 minutes in advance from your local time.`,
+      });
+    }
 
     // Build coach filter based on provided activity and coachId
-    const coachFilter = {
-      role: "COACH",
-      availableTimeSlots: { $elemMatch: { $regex: requestedTime } },
-    };
+    const coachFilter = { role: "COACH", status: { $ne: "SUSPENDED" } };
 
     if (activity) {
-      // Case-insensitive activity matching
-      coachFilter.preferableActivity = { $regex: new RegExp(`^${activity}$`, 'i') };
+      // Case-insensitive activity matching against the known activities
+      coachFilter.preferableActivity =
+        ACTIVITIES.find((known) => known.toLowerCase() === String(activity).toLowerCase()) ||
+        String(activity);
     }
 
     if (coachId) {
@@ -107,41 +136,44 @@ exports.getAvailableWorkout = async (req, res) => {
 
     // Find coaches matching the filter criteria
     const coaches = await User.find(coachFilter).lean();
-
-    // Check each coach's scheduled workouts at the requested date and time
-    const requestedDateTime = new Date(`${date}T${time}:00.000Z`);
-    const currentUTCTime = new Date();
-    const istOffsetMs = 5.5 * 60 * 60 * 1000; // 5 hours and 30 minutes in milliseconds
-    const currentISTTime = new Date(currentUTCTime.getTime() + istOffsetMs);
-
-    const currentISTTimeWithBuffer = new Date(currentISTTime.getTime());
-
-    // Check if requested time is in the past or too close to current time
-    if (requestedDateTime < currentISTTimeWithBuffer) {
-      return res.status(400).json({
-        error: `Workouts must be scheduled at least 30 minutes in advance from your local time.`,
-      });
-    }
+    const availability = await loadAvailability(coaches);
+    const bookings = await findBookings(
+      { coachId: { $in: coaches.map((coach) => coach._id) } },
+      requestedDateTime,
+      new Date(requestedDateTime.getTime() + MAX_DURATION * 60000)
+    );
 
     const availableCoaches = [];
 
     for (const coach of coaches) {
-      const existingWorkout = await Workout.findOne({
-        coachId: coach._id,
-        dateTime: requestedDateTime,
-        state: { $in: ["SCHEDULED", "IN_PROGRESS"] },
-      });
+      // Slots are wall-clock times in the coach's own zone
+      const coachZone = coach.timeZone || gymZone;
+      const rules = availability.get(String(coach._id));
+      const slot = findSlotAt(rules, requestedDateTime, coachZone);
+      if (!slot) {
+        continue;
+      }
 
-      // Coach is available if no existing workout is found at requested time
-      if (!existingWorkout) {
+      // Coach is available if no booking overlaps the slot
+      const coachBookings = bookings.filter((booking) => String(booking.coachId) === String(coach._id));
+      const instants = {
+        start: requestedDateTime,
+        end: new Date(requestedDateTime.getTime() + slot.duration * 60000),
+      };
+      if (isFree(coachBookings, instants)) {
         availableCoaches.push({
           coachId: coach._id,
           firstName: coach.firstName,
           lastName: coach.lastName,
           email: coach.email,
           preferableActivity: coach.preferableActivity,
-          availableTimeSlots: coach.availableTimeSlots,
-          imageUrl: coach.imageUrl,
+          availableTimeSlots: renderSlots(
+            slotsOnDate(rules, formatDate(requestedDateTime, coachZone)),
+            formatDate(requestedDateTime, coachZone),
+            coachZone,
+            timeZone
+          ),
+          image: { thumbnail: coach.image?.thumbnail || "", card: coach.image?.card || "" },
           about:
             coach.about ||
             `A ${coach.preferableActivity} Expert dedicated to crafting personalized workout plans that align with your goals.`,
@@ -149,7 +181,7 @@ exports.getAvailableWorkout = async (req, res) => {
       }
     }
 
-    return res.status(200).json({ availableCoaches });
+    return res.status(200).json({ availableCoaches, timeZone });
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: "Internal server error." });
@@ -164,59 +196,33 @@ exports.bookNewWorkout = async (req, res) => {
   }
 
   try {
-    const authResult = await verifyToken(req);
-    if (!authResult.isAuthorized) return authResult.response;
-
-    const body = JSON.parse(req.body || "{}");
-    const user = authResult.user;
-    const clientId = user.id;
+    // Only clients get here (requireRole in workoutRoutes)
+    const clientId = req.user.id;
 
-    // Fetch user from DB to verify role
-    const userDoc = await User.findById(clientId);
-    if (!userDoc || userDoc.role !== "CLIENT") {
-      return res.status(403).json({ message: "Only clients can book workouts" });
-    }
-
-    const { date, coachId, timeSlot } = body;
+    const { date, coachId, timeSlot, timeZone: requestedTimeZone } = req.body || {};
 
     if (!coachId || !date || !timeSlot) {
       return res.status(400).json({
         error: "coachId, date, and timeSlot are required.",
       });
     }
+    if (requestedTimeZone !== undefined && !isValidTimeZone(requestedTimeZone)) {
+      return res.status(400).json({
+        error: "Invalid timeZone. Use an IANA name such as Europe/Berlin.",
+      });
+    }
 
-    // Verify coach exists
+    // Verify coach exists and can be booked
     const coach = await User.findOne({
       _id: coachId,
       role: "COACH",
+      status: { $ne: "SUSPENDED" },
     });
 
     if (!coach) {
       return res.status(404).json({ error: "Coach not found." });
     }
 
-    // Check if the coach has an available time slot that matches the requested time
-    function convertTo12HourFormat(time24) {
-      const [hour, minute] = time24.split(':').map(Number);
-      const period = hour >= 12 ? 'PM' : 'AM';
-      const hour12 = hour % 12 === 0 ? 12 : hour % 12;
-      return `${hour12}:${minute.toString().padStart(2, '0')} ${period}`;
-    }
-
-    const formattedTime = convertTo12HourFormat(timeSlot);
-
-    const matchingTimeSlot = coach.availableTimeSlots.find(slot =>
-      slot.startsWith(formattedTime)
-    );
-
-    console.log(matchingTimeSlot, "matchingTimeSlot");
-
-    if (!matchingTimeSlot) {
-      return res.status(404).json({
-        error: "Coach not available at the selected time slot.",
-      });
-    }
-
     let startTime;
     if (timeSlot.includes("-")) {
       startTime = timeSlot.split("-")[0].trim();
@@ -224,13 +230,11 @@ exports.bookNewWorkout = async (req, res) => {
       startTime = timeSlot;
     }
 
-    // Parse the time components
-    const [hours, minutes] = startTime.split(':').map(Number);
-
-    // Get current date and time in IST
-    const currentUTCTime = new Date();
-    const istOffsetMs = 5.5 * 60 * 60 * 1000; // 5 hours and 30 minutes in milliseconds
-    const currentISTTime = new Date(currentUTCTime.getTime() + istOffsetMs);
+    if (!/^\d{2}:\d{2}$/.test(startTime)) {
+      return res.status(400).json({
+        error: "timeSlot should start with a time in HH:MM format (e.g., 09:30).",
+      });
+    }
 
     // Parse the requested date
     const [requestedYear, requestedMonth, requestedDay] = date.split('-');
@@ -263,53 +267,53 @@ exports.bookNewWorkout = async (req, res) => {
       });
     }
 
-    // Create a date object for the requested time in IST
-    const requestedISTDateTime = new Date(Date.UTC(
-      requestedYear,
-      requestedMonth - 1, // JavaScript months are 0-indexed
-      requestedDay,
-      hours,
-      minutes
-    ));
+    // The date and time are wall-clock values in the zone the slot was listed in
+    // (timeZone, as passed to the listings), else the client's zone; the coach's
+    // slots are wall-clock values in the coach's zone
+    const gymZone = await gymTimeZone();
+    const timeZone = requestedTimeZone || req.user.timeZone || gymZone;
+    const requestedDateTime = zonedTimeToUtc(date, startTime, timeZone);
 
-    console.log("Current IST time:", currentISTTime.toISOString());
-    console.log("Requested time in IST:", requestedISTDateTime.toISOString());
+    const matchingTimeSlot = findSlotAt(
+      await CoachAvailability.forCoach(coach),
+      requestedDateTime,
+      coach.timeZone || gymZone
+    );
+
+    if (!matchingTimeSlot) {
+      return res.status(404).json({
+        error: "Coach not available at the selected time slot.",
+      });
+    }
 
     // Add buffer time (e.g., 30 minutes)
     const bufferTimeInMinutes = 30;
-    const currentISTTimeWithBuffer = new Date(currentISTTime.getTime() + bufferTimeInMinutes * 60000);
+    const earliestStart = new Date(Date.now() + bufferTimeInMinutes * 60000);
 
     // Check if requested time is in the past or too close to current time
-    if (requestedISTDateTime < currentISTTimeWithBuffer) {
+    if (requestedDateTime < earliestStart) {
       return res.status(400).json({
         error: `Workouts must be scheduled at least ${bufferTimeInMinutes} minutes in advance from your local time.`,
       });
     }
 
-    // Convert the IST time to UTC for storage
-    const workoutDateTime = requestedISTDateTime.toISOString();
+    // Stored as a UTC instant; the workout lasts as long as the slot
+    const workoutDateTime = requestedDateTime;
+    const workoutEnd = new Date(workoutDateTime.getTime() + matchingTimeSlot.duration * 60000);
 
-    // Check if client already has a workout scheduled at this time
-    const clientExistingWorkout = await Workout.findOne({
-      clientId,
-      dateTime: workoutDateTime,
-      state: { $in: ["SCHEDULED", "IN_PROGRESS"] },
-    });
+    // Check if client already has a workout overlapping this time
+    const clientBookings = await findBookings({ clientId }, workoutDateTime, workoutEnd);
 
-    if (clientExistingWorkout) {
+    if (clientBookings.length) {
       return res.status(409).json({
         error: "You already have a workout scheduled at this time.",
       });
     }
 
     // Check for conflicting workouts for the coach (ignore CANCELED/FINISHED)
-    const conflictingWorkout = await Workout.findOne({
-      coachId,
-      dateTime: workoutDateTime,
-      state: { $in: ["SCHEDULED", "IN_PROGRESS"] },
-    });
+    const coachBookings = await findBookings({ coachId: coach._id }, workoutDateTime, workoutEnd);
 
-    if (conflictingWorkout) {
+    if (coachBookings.length) {
       return res.status(409).json({
         error: "Coach already has a workout scheduled at this time slot.",
       });
@@ -325,6 +329,7 @@ exports.bookNewWorkout = async (req, res) => {
     if (availableWorkout) {
       availableWorkout.clientId = clientId;
       availableWorkout.state = "SCHEDULED";
+      availableWorkout.duration = matchingTimeSlot.duration;
       await availableWorkout.save();
 
       return res.status(200).json({
@@ -337,6 +342,8 @@ exports.bookNewWorkout = async (req, res) => {
         clientId: availableWorkout.clientId,
         feedbackId: availableWorkout.feedbackId || "",
         state: availableWorkout.state,
+        localDateTime: toLocalISOString(availableWorkout.dateTime, timeZone),
+        timeZone,
       });
     }
 
@@ -346,6 +353,7 @@ exports.bookNewWorkout = async (req, res) => {
       activity: coach.preferableActivity,
       description: `${coach.preferableActivity} class with coach ${coach.firstName} ${coach.lastName}`,
       dateTime: workoutDateTime,
+      duration: matchingTimeSlot.duration,
       coachId,
       clientId,
       state: "SCHEDULED",
@@ -364,6 +372,8 @@ exports.bookNewWorkout = async (req, res) => {
       clientId: newWorkout.clientId,
       feedbackId: newWorkout.feedbackId || "",
       state: newWorkout.state,
+      localDateTime: toLocalISOString(newWorkout.dateTime, timeZone),
+      timeZone,
     });
   } catch (error) {
     // console.error(error);
@@ -387,19 +397,13 @@ exports.getUserWorkouts = async (req, res) => {
   }
 
   try {
-    const authResult = await verifyToken(req);
-    if (!authResult.isAuthorized) return authResult.response;
-
-    // Get user from auth result
-    const user = authResult.user;
+    // Get user from the auth middleware
+    const user = req.user;
     const userId = user.id;
     const userRole = user.role;
 
-    const currentUTCTime = new Date();
-
-    const istOffsetMs = 5.5 * 60 * 60 * 1000; // 5 hours and 30 minutes in milliseconds
-    const currentISTTime = new Date(currentUTCTime.getTime() + istOffsetMs);
-    console.log(currentISTTime);
+    const now = new Date();
+    const timeZone = await resolveTimeZone(user.timeZone);
 
     let query = {};
     let populatePath = "";
@@ -408,11 +412,11 @@ exports.getUserWorkouts = async (req, res) => {
     if (userRole === "CLIENT") {
       query = { clientId: userId };
       populatePath = "coachId";
-      selectFields = "firstName lastName email imageUrl title";
+      selectFields = "firstName lastName email image.thumbnail title";
     } else if (userRole === "COACH") {
       query = { coachId: userId, state: { $ne: "AVAILABLE" } };
       populatePath = "clientId";
-      selectFields = "firstName lastName email imageUrl";
+      selectFields = "firstName lastName email image.thumbnail";
     } else {
       return res.status(400).json({ message: "Invalid user role" });
     }
@@ -425,22 +429,28 @@ exports.getUserWorkouts = async (req, res) => {
       .sort({ dateTime: 1 });
 
     // Update workout states based on time
+    const finishedClientIds = new Set();
     for (const workout of workouts) {
       const endTime = new Date(
         workout.dateTime.getTime() + workout.duration * 60000
       );
-      console.log("endTime", endTime);
       // If workout is scheduled and has ended
       if (
-        currentISTTime >= endTime &&
+        now >= endTime &&
         workout.state === "SCHEDULED"
       ) {
         // Change state to waiting for client feedback
         workout.state = "WAITING FOR FEEDBACK FROM CLIENT";
         await workout.save();
+        finishedClientIds.add(String(workout.populated("clientId") || workout.clientId));
       }
     }
 
+    // Workouts that just ended count towards their clients' workout goals
+    for (const clientId of finishedClientIds) {
+      await refreshGoals(clientId).catch((error) => console.error("Error refreshing goals:", error));
+    }
+
     // Transform workouts while preserving populated data
     const transformedWorkouts = workouts.map((workout) => {
       // Convert Mongoose document to plain object
@@ -452,6 +462,7 @@ exports.getUserWorkouts = async (req, res) => {
         name: workoutObj.name,
         description: workoutObj.description,
         dateTime: workoutObj.dateTime,
+        localDateTime: toLocalISOString(workoutObj.dateTime, timeZone),
         state: workoutObj.state,
         // Preserve the populated objects
         coachId: workoutObj.coachId,
@@ -460,7 +471,7 @@ exports.getUserWorkouts = async (req, res) => {
       };
     });
 
-    return res.status(200).json({ content: transformedWorkouts });
+    return res.status(200).json({ content: transformedWorkouts, timeZone });
   } catch (error) {
     console.error("Error fetching workouts:", error);
     return res.status(500).json({ message: "Error fetching workouts" });
@@ -475,17 +486,12 @@ exports.cancelWorkout = async (req, res) => {
   }
 
   try {
-    const authResult = await verifyToken(req);
-    if (!authResult.isAuthorized) return authResult.response;
-
-    // Get workoutId from either pathParameters or directly from req
-    const workoutId = req.workoutId || req.pathParameters?.workoutId;
+    const { workoutId } = req.params;
     if (!workoutId) {
       return res.status(400).json({ message: "Workout ID is required" });
     }
 
-    const user = authResult.user;
-    const userId = user.id;
+    const userId = req.user.id;
 
     console.log("Looking for workout with ID:", workoutId);
     const workout = await Workout.findById(workoutId.trim());
@@ -1,25 +1,67 @@
 const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { readAccessToken } = require('../utils/authCookies');
+
+// Writing lastSeenAt on every request would cost a database write per call
+const LAST_SEEN_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+module.exports = async (req, res, next) => {
+  // Get token from the Authorization header or the session cookie
+  const token = readAccessToken(req);
 
-module.exports = (req, res, next) => {
-  // Get token from header
-  const authHeader = req.header('Authorization');
-  
   // Check if no token
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+  if (!token) {
     return res.status(401).json({ message: 'No token, authorization denied' });
   }
-  
-  // Extract token (remove "Bearer " prefix)
-  const token = authHeader.split(' ')[1];
-  
+
+  let decoded;
   try {
     // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
-    
-    // Add user from payload to request
-    req.user = decoded.user;
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
   } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+    return res.status(401).json({ message: 'Token is not valid' });
+  }
+
+  // Tokens issued before sessions existed cannot be revoked, so they are refused
+  if (!decoded.sid) {
+    return res.status(401).json({ message: 'Token is not valid' });
   }
-};
\ No newline at end of file
+
+  let timeZone;
+  try {
+    const [session, user] = await Promise.all([
+      Session.findById(decoded.sid).select('revokedAt expiresAt lastSeenAt').lean(),
+      User.findById(decoded.user.id).select('status timeZone').lean(),
+    ]);
+
+    // Reject tokens whose session was logged out, revoked or has expired
+    if (!session || session.revokedAt || session.expiresAt < new Date()) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    if (!user) {
+      return res.status(401).json({ message: 'Token is not valid' });
+    }
+
+    if (user.status === 'SUSPENDED') {
+      return res.status(403).json({ message: 'Account is suspended' });
+    }
+
+    // Read fresh so a changed time zone applies without a new token
+    timeZone = user.timeZone || null;
+
+    const now = new Date();
+    if (!session.lastSeenAt || now - session.lastSeenAt > LAST_SEEN_UPDATE_INTERVAL_MS) {
+      await Session.updateOne({ _id: session._id }, { lastSeenAt: now, ip: req.ip || '' });
+    }
+  } catch (err) {
+    console.error('Error checking session:', err);
+    return res.status(500).json({ message: 'Error checking session' });
+  }
+
+  // Add user from payload to request
+  req.user = { ...decoded.user, timeZone };
+  req.sessionId = decoded.sid;
+  next();
+};
@@ -0,0 +1,87 @@
+// Declarative authorization checks, used after the `auth` middleware
+
+const mongoose = require('mongoose');
+const Workout = require('../models/Workout');
+
+// Allow the request only if the authenticated user has one of the given roles
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+
+  next();
+};
+
+// Allow the request only once the user has verified their email address.
+// The flag comes from the access token, so clients refresh it after verifying.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address first' });
+  }
+
+  next();
+};
+
+// Allow the request if the route parameter `param` is the authenticated user's
+// own id, or if the user has one of the given roles
+exports.requireSelfOrRole = (param, ...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  const isSelf = String(req.params[param]) === String(req.user.id);
+  if (!isSelf && !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+
+  next();
+};
+
+// Workout states that mean a coach actually trained (or will train) the client
+const COACHED_STATES = [
+  'SCHEDULED',
+  'IN_PROGRESS',
+  'WAITING FOR FEEDBACK FROM CLIENT',
+  'WAITING FOR FEEDBACK FROM COACH',
+  'FINISHED',
+];
+
+// Like requireSelfOrRole, but also lets in a coach who has had a workout with
+// the user in the route parameter `param`
+exports.requireSelfCoachOrRole = (param, ...roles) => async (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  const isSelf = String(req.params[param]) === String(req.user.id);
+  if (isSelf || roles.includes(req.user.role)) {
+    return next();
+  }
+
+  try {
+    const hasCoached =
+      req.user.role === 'COACH' &&
+      mongoose.Types.ObjectId.isValid(req.params[param]) &&
+      (await Workout.exists({
+        coachId: req.user.id,
+        clientId: req.params[param],
+        state: { $in: COACHED_STATES },
+      }));
+    if (!hasCoached) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+  } catch (err) {
+    console.error('Error checking coach access:', err);
+    return res.status(500).json({ message: 'Error checking access' });
+  }
+
+  next();
+};
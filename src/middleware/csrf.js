@@ -0,0 +1,37 @@
+const crypto = require('crypto');
+const {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  readBearerToken,
+} = require('../utils/authCookies');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Double-submit CSRF protection for cookie sessions: state-changing requests
+// that would be authenticated by a cookie must echo the csrf_token cookie in
+// the X-CSRF-Token header. Bearer-token requests are not exposed to CSRF; any
+// other Authorization header still leaves auth reading the session cookie.
+module.exports = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const hasSessionCookie = req.cookies?.[ACCESS_COOKIE] || req.cookies?.[REFRESH_COOKIE];
+  if (!hasSessionCookie || readBearerToken(req)) {
+    return next();
+  }
+
+  const cookieToken = Buffer.from(req.cookies[CSRF_COOKIE] || '');
+  const headerToken = Buffer.from(req.header('X-CSRF-Token') || '');
+
+  if (
+    cookieToken.length === 0 ||
+    cookieToken.length !== headerToken.length ||
+    !crypto.timingSafeEqual(cookieToken, headerToken)
+  ) {
+    return res.status(403).json({ message: 'Invalid CSRF token' });
+  }
+
+  next();
+};
@@ -0,0 +1,25 @@
+const auth = require('./auth');
+const { readChallengeToken } = require('../utils/twoFactor');
+
+// The 2FA enrollment endpoints accept either a normal access token or, for
+// users whose role requires 2FA before they can sign in, the enrollment
+// challenge token returned by /auth/sign-in. Sets req.twoFactorUserId.
+module.exports = (req, res, next) => {
+  const challengeToken = req.body?.challengeToken;
+
+  if (!challengeToken) {
+    return auth(req, res, () => {
+      req.twoFactorUserId = req.user.id;
+      next();
+    });
+  }
+
+  const challenge = readChallengeToken(challengeToken);
+  if (!challenge || !challenge.enrollment) {
+    return res.status(401).json({ message: 'Invalid or expired challenge token' });
+  }
+
+  req.twoFactorUserId = challenge.userId;
+  req.enrollmentChallenge = true;
+  next();
+};
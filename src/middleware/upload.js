@@ -0,0 +1,61 @@
+const multer = require('multer');
+const { detectFileType } = require('../utils/fileType');
+
+// Multipart upload handling. Each kind of upload has its own form field, size
+// limit and allowed types; the type is taken from the file's magic bytes, never
+// from the client's Content-Type or file name.
+
+const MB = 1024 * 1024;
+
+const UPLOAD_TYPES = {
+  avatar: {
+    field: 'image',
+    maxBytes: (Number(process.env.UPLOAD_AVATAR_MAX_MB) || 5) * MB,
+    allowedTypes: ['image/jpeg', 'image/png', 'image/webp'],
+  },
+  document: {
+    field: 'file',
+    maxBytes: (Number(process.env.UPLOAD_DOCUMENT_MAX_MB) || 10) * MB,
+    allowedTypes: ['application/pdf', 'image/jpeg', 'image/png'],
+  },
+};
+
+// Accept a single file of the given kind as req.file, with req.file.detectedType set
+exports.uploadFile = (kind) => {
+  const { field, maxBytes, allowedTypes } = UPLOAD_TYPES[kind];
+  const parse = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxBytes, files: 1 },
+  }).single(field);
+
+  return (req, res, next) => {
+    parse(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return res
+            .status(413)
+            .json({ message: `File is too large. The maximum size is ${maxBytes / MB} MB` });
+        }
+        return res.status(400).json({ message: `Invalid upload: ${err.message}` });
+      }
+      if (err) {
+        return next(err);
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ message: `A file is required in the "${field}" field` });
+      }
+
+      const detectedType = detectFileType(req.file.buffer);
+      if (!allowedTypes.includes(detectedType)) {
+        return res.status(415).json({
+          message: 'Unsupported file type',
+          validOptions: allowedTypes,
+        });
+      }
+
+      req.file.detectedType = detectedType;
+      next();
+    });
+  };
+};
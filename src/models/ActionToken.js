@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// Hashed, expiring, single-use token sent to a user by email
+const actionTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  type: {
+    type: String,
+    enum: ["PASSWORD_RESET", "ACCOUNT_UNLOCK", "MAGIC_LINK"],
+    required: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ActionToken", actionTokenSchema);
@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+const timeSlotSchema = require("./timeSlotSchema");
+
+// When a coach can be booked. Slots (see timeSlotSchema) and dates ("YYYY-MM-DD")
+// are wall-clock values in the coach's time zone. Blocked dates and vacations take
+// precedence over the weekly schedule and extra slots.
+const slots = { type: [timeSlotSchema], default: [] };
+
+const coachAvailabilitySchema = new mongoose.Schema(
+  {
+    coachId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      unique: true,
+    },
+    // Recurring slots per weekday
+    weeklySchedule: {
+      monday: slots,
+      tuesday: slots,
+      wednesday: slots,
+      thursday: slots,
+      friday: slots,
+      saturday: slots,
+      sunday: slots,
+    },
+    // One-off slots on top of the weekly schedule
+    extraSlots: [
+      {
+        date: { type: String, required: true },
+        slot: { type: timeSlotSchema, required: true },
+      },
+    ],
+    blockedDates: [
+      {
+        date: { type: String, required: true },
+        reason: { type: String, trim: true, maxlength: 200 },
+      },
+    ],
+    // Inclusive date ranges
+    vacations: [
+      {
+        from: { type: String, required: true },
+        to: { type: String, required: true },
+        reason: { type: String, trim: true, maxlength: 200 },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// Unsaved availability for a coach who never set one: the legacy
+// availableTimeSlots on every day of the week
+coachAvailabilitySchema.statics.seedFor = function (coach) {
+  const legacySlots = (coach.availableTimeSlots || []).map(({ startMinute, duration }) => ({
+    startMinute,
+    duration,
+  }));
+  const weeklySchedule = {};
+  for (const day of ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"]) {
+    weeklySchedule[day] = legacySlots;
+  }
+  return new this({ coachId: coach._id, weeklySchedule });
+};
+
+// The coach's availability, seeded from the legacy slots when there is none yet
+coachAvailabilitySchema.statics.forCoach = async function (coach) {
+  return (await this.findOne({ coachId: coach._id })) || this.seedFor(coach);
+};
+
+module.exports = mongoose.model("CoachAvailability", coachAvailabilitySchema);
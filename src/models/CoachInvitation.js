@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// Single-use invitation an admin issues so a coach can sign up with the COACH role
+const coachInvitationSchema = new mongoose.Schema({
+  email: { type: String, required: true, lowercase: true, trim: true },
+  tokenHash: { type: String, required: true, unique: true },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  usedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("CoachInvitation", coachInvitationSchema);
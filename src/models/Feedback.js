@@ -17,8 +17,9 @@ const feedbackSchema = new mongoose.Schema({
     required: true,
   },
   comment: { type: String, required: true },
-  rating: { type: String, required: true },
+  rating: { type: Number, required: true, min: 1, max: 5 },
   createdAt: { type: Date, default: Date.now },
+  updatedAt: Date,
   authorRole: { type: String, enum: ["CLIENT", "COACH"], required: true },
 });
 
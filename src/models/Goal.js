@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+// A measurable goal of a user, usually derived from their `target`. Progress
+// runs from `baseline` to `targetValue` of a body metric, or counts finished
+// workouts when metric is "workouts".
+const goalSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    target: {
+      type: String,
+      enum: [
+        "LOSE_WEIGHT",
+        "GAIN_WEIGHT",
+        "IMPROVE_FLEXIBILITY",
+        "GENERAL_FITNESS",
+        "BUILD_MUSCLE",
+        "REHABILITATION_RECOVERY",
+      ],
+      required: true,
+    },
+    title: { type: String, trim: true, maxlength: 100 },
+    metric: { type: String, required: true },
+    baseline: { type: Number, required: true },
+    targetValue: { type: Number, required: true },
+    startedAt: { type: Date, default: Date.now },
+    deadline: Date,
+    status: {
+      type: String,
+      enum: ["ACTIVE", "ACHIEVED", "ABANDONED"],
+      default: "ACTIVE",
+    },
+    // Last computed progress, refreshed when metrics are logged and when a
+    // workout of the user changes state
+    currentValue: Number,
+    progressPercent: { type: Number, default: 0 },
+    achievedAt: Date,
+    // Progress thresholds reached so far; never removed once recorded
+    milestones: [
+      {
+        _id: false,
+        percent: { type: Number, required: true },
+        value: Number,
+        reachedAt: { type: Date, default: Date.now },
+      },
+    ],
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+goalSchema.index({ userId: 1, status: 1 });
+
+module.exports = mongoose.model("Goal", goalSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Gym-wide settings, stored as a single document
+const gymSettingsSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "default", unique: true },
+    // Roles whose members must use two-factor authentication to sign in
+    twoFactorRequiredRoles: {
+      type: [String],
+      enum: ["CLIENT", "COACH", "ADMIN"],
+      default: [],
+    },
+    // IANA zone used for users who have not chosen one, and for anonymous requests
+    timeZone: { type: String, default: "Asia/Kolkata" },
+  },
+  { timestamps: true }
+);
+
+// Load the settings document, creating it with defaults the first time
+gymSettingsSchema.statics.getSettings = function () {
+  return this.findOneAndUpdate(
+    { key: "default" },
+    {},
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+module.exports = mongoose.model("GymSettings", gymSettingsSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Failed sign-in counter for one account (by email) or one client IP
+const loginAttemptSchema = new mongoose.Schema({
+  scope: { type: String, enum: ["ACCOUNT", "IP"], required: true },
+  identifier: { type: String, required: true },
+  failures: { type: Number, default: 0 },
+  // How many times this key has been locked; each lockout lasts twice as long as the previous one
+  lockCount: { type: Number, default: 0 },
+  lastFailureAt: Date,
+  lockedUntil: { type: Date, default: null },
+  // Counters are forgotten after a quiet period
+  expiresAt: { type: Date, required: true },
+});
+
+loginAttemptSchema.index({ scope: 1, identifier: 1 }, { unique: true });
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// Girths in centimetres
+const girthsSchema = new mongoose.Schema(
+  {
+    neck: { type: Number, min: 10, max: 100 },
+    chest: { type: Number, min: 30, max: 250 },
+    waist: { type: Number, min: 30, max: 250 },
+    hips: { type: Number, min: 30, max: 250 },
+    arm: { type: Number, min: 10, max: 100 },
+    thigh: { type: Number, min: 20, max: 150 },
+    calf: { type: Number, min: 10, max: 100 },
+  },
+  { _id: false }
+);
+
+// Metrics that have no field of their own, e.g. "VO2 max" or "Plank hold"
+const customMetricSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 50 },
+    value: { type: Number, required: true },
+    unit: { type: String, trim: true, maxlength: 20, default: "" },
+  },
+  { _id: false }
+);
+
+// One body measurement of a user at a point in time
+const measurementSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    measuredAt: { type: Date, required: true },
+    weightKg: { type: Number, min: 20, max: 400 },
+    bodyFatPercent: { type: Number, min: 1, max: 75 },
+    restingHeartRate: { type: Number, min: 20, max: 250 },
+    girths: { type: girthsSchema, default: undefined },
+    custom: { type: [customMetricSchema], default: undefined },
+    note: { type: String, trim: true, maxlength: 500 },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+measurementSchema.index({ userId: 1, measuredAt: -1 });
+
+module.exports = mongoose.model("Measurement", measurementSchema);
@@ -0,0 +1,14 @@
+const mongoose = require("mongoose");
+
+// Pending OpenID Connect login, kept between the redirect to the provider and its callback
+const oidcLoginStateSchema = new mongoose.Schema({
+  state: { type: String, required: true, unique: true },
+  provider: { type: String, required: true },
+  codeVerifier: { type: String, required: true },
+  nonce: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+});
+
+oidcLoginStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OidcLoginState", oidcLoginStateSchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema({
+  sessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Session",
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // Only a SHA-256 hash is stored, the raw token is handed to the client once
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: "RefreshToken" },
+  createdAt: { type: Date, default: Date.now },
+});
+
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,19 @@
+const mongoose = require("mongoose");
+
+// Audit record of every role a user has been given
+const roleChangeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  fromRole: { type: String, enum: ["CLIENT", "COACH", "ADMIN", null], default: null },
+  toRole: { type: String, enum: ["CLIENT", "COACH", "ADMIN"], required: true },
+  changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  source: { type: String, enum: ["ADMIN", "INVITATION"], required: true },
+  reason: String,
+  createdAt: { type: Date, default: Date.now },
+});
+
+module.exports = mongoose.model("RoleChange", roleChangeSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const timeSlotSchema = require('./timeSlotSchema');
 
 const UserSchema = new mongoose.Schema({
   firstName:  {
@@ -14,28 +15,122 @@ const UserSchema = new mongoose.Schema({
     required: true,
     unique: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: Date,
 
   password: {
     type: String,
     required: true
   },
+  // Hashes of previous passwords, newest first, so they cannot be reused
+  passwordHistory: {
+    type: [String],
+    select: false
+  },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret; pendingSecret holds a secret that is not confirmed yet
+    secret: {
+      type: String,
+      select: false
+    },
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // bcrypt hashes of the unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
+  },
+  // Accounts at external OpenID Connect providers linked to this user
+  identities: [{
+    provider: String,
+    subject: String,
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   title: {
     type: String,
     default: ""
   },
   about: String,
-  imageUrl: {
-    type: String,
-    default: ""
+  // Avatar variants produced by utils/imageProcessing.js
+  image: {
+    thumbnail: {
+      type: String,
+      default: ""
+    },
+    card: {
+      type: String,
+      default: ""
+    },
+    full: {
+      type: String,
+      default: ""
+    }
+  },
+  // Storage keys of the current avatar variants, removed when it is replaced
+  imageKeys: {
+    type: [String],
+    select: false
   },
-  fileUrls: [String],
   phoneNumber: String,
-  rating: String,
+  // Aggregate of the client ratings of a coach, kept up to date by utils/coachRatings.js
+  rating: {
+    average: {
+      type: Number,
+      default: null
+    },
+    count: {
+      type: Number,
+      default: 0
+    },
+    // Number of ratings per star, "1" to "5"
+    histogram: {
+      type: Map,
+      of: Number
+    },
+    updatedAt: Date
+  },
   role: {
     type: String,
     enum: ['CLIENT', 'COACH', 'ADMIN'],
     default: 'CLIENT'
   },
+  // Suspended users cannot sign in and their tokens are refused
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'SUSPENDED'],
+    default: 'ACTIVE'
+  },
+  suspendedAt: Date,
+  suspendedReason: String,
+  suspendedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set by an admin; sign-in is refused until the password is reset by email
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
   specializations: {
     type: [String],
     default: ["Yoga", "Cardio", "Weight Loss"]
@@ -59,18 +154,20 @@ const UserSchema = new mongoose.Schema({
   
   },
 
+  // IANA time zone (e.g. "Europe/Berlin"); empty means the gym's time zone
+  timeZone: {
+    type: String,
+    default: null
+  },
+  // Default slots of a coach; they seed the weekly schedule in CoachAvailability
+  // until the coach sets one
   availableTimeSlots: {
-    type: [String],
+    type: [timeSlotSchema],
     default: function () {
-      return this.role === 'COACH' ? [
-        "8:00 PM - 9:00 PM",
-        "10:30 AM - 11:30 AM",
-        "3:00 PM - 4:00 PM",
-        "4:00 PM - 5:00 PM",
-        "6:00 PM - 7:00 PM",
-        "7:00 PM - 8:00 PM",
-        "8:00 PM - 9:00 PM"
-      ] : [];
+      // 10:30 AM, 3, 4, 6, 7 and 8 PM, one hour each
+      return this.role === 'COACH'
+        ? [630, 900, 960, 1080, 1140, 1200].map((startMinute) => ({ startMinute, duration: 60 }))
+        : [];
     }
   },
   createdAt: {
@@ -80,5 +177,8 @@ const UserSchema = new mongoose.Schema({
 });
 
 UserSchema.index({ "bookedTimeSlots.dateTime": 1 });
+UserSchema.index({ role: 1, createdAt: -1 });
+UserSchema.index({ role: 1, "rating.average": -1 });
+UserSchema.index({ "identities.provider": 1, "identities.subject": 1 });
 
 module.exports = mongoose.model('User', UserSchema);
@@ -0,0 +1,32 @@
+const mongoose = require("mongoose");
+
+// A certificate or other document uploaded by a user (mostly coaches).
+// The file itself is private and only reachable through signed URLs.
+const userDocumentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+    index: true,
+  },
+  name: { type: String, required: true, trim: true, maxlength: 200 },
+  type: {
+    type: String,
+    enum: ["CERTIFICATE", "LICENSE", "INSURANCE", "IDENTITY", "OTHER"],
+    default: "CERTIFICATE",
+  },
+  storageKey: { type: String, required: true },
+  contentType: { type: String, required: true },
+  size: { type: Number, required: true },
+  uploadedAt: { type: Date, default: Date.now },
+  verificationStatus: {
+    type: String,
+    enum: ["PENDING", "VERIFIED", "REJECTED"],
+    default: "PENDING",
+  },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  reviewedAt: Date,
+  reviewNote: { type: String, maxlength: 500 },
+});
+
+module.exports = mongoose.model("UserDocument", userDocumentSchema);
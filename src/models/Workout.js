@@ -31,7 +31,7 @@ const WorkoutSchema = new mongoose.Schema(
     clientId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
     state: {
       type: String,
-      enum: ["AVAILABLE","IN_PROGRESS", "SCHEDULED","WAITING FOR FEEDBACK FROM CLIENT, WAITING FOR FEEDBACK FROM COACH", "FINISHED", "CANCELED"],
+      enum: ["AVAILABLE","IN_PROGRESS", "SCHEDULED","WAITING FOR FEEDBACK FROM CLIENT", "WAITING FOR FEEDBACK FROM COACH", "FINISHED", "CANCELED"],
       default: "AVAILABLE",
     },
     feedbackId: { type: mongoose.Schema.Types.ObjectId, ref: "Feedback" },
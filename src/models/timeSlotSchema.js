@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A slot of a coach's day: it starts `startMinute` minutes after local midnight
+// (in the coach's time zone) and lasts `duration` minutes, possibly past midnight.
+// Shared by the User and CoachAvailability models; it is not a model itself.
+const timeSlotSchema = new mongoose.Schema(
+  {
+    startMinute: {
+      type: Number,
+      required: true,
+      min: 0,
+      max: 24 * 60 - 1,
+      validate: { validator: Number.isInteger, message: "startMinute must be a whole number" },
+    },
+    duration: {
+      type: Number,
+      required: true,
+      min: 15,
+      max: 12 * 60,
+      validate: { validator: Number.isInteger, message: "duration must be a whole number" },
+    },
+  },
+  { _id: false }
+);
+
+module.exports = timeSlotSchema;
@@ -0,0 +1,852 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const auth = require('../middleware/auth');
+const { requireRole } = require('../middleware/authorize');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CoachInvitationRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           description: Email address the coach will sign up with
+ *           example: jane.coach@example.com
+ *         expiresInDays:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 30
+ *           default: 7
+ *           description: Number of days the invitation stays valid
+ *           example: 7
+ *     CoachInvitationResponse:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 665f1b4667d0d8992e610c85
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: jane.coach@example.com
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-06-04T10:00:00.000Z
+ *         invitationToken:
+ *           type: string
+ *           description: Single-use token the coach passes to /auth/sign-up. It is only returned once.
+ *           example: q3n0Zp7yXbVt5Wc2Lr9Kd1Hs8Gf4Aa6Jm0Ee3Uu7Ii
+ *     CoachInvitation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 665f1b4667d0d8992e610c85
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: jane.coach@example.com
+ *         invitedBy:
+ *           type: string
+ *           example: 60d21b4667d0d8992e610c85
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         usedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         usedBy:
+ *           type: string
+ *           example: ""
+ *         status:
+ *           type: string
+ *           enum: [PENDING, USED, EXPIRED]
+ *           example: PENDING
+ *     UpdateRoleRequest:
+ *       type: object
+ *       required:
+ *         - role
+ *       properties:
+ *         role:
+ *           type: string
+ *           enum: [CLIENT, COACH, ADMIN]
+ *           example: COACH
+ *         reason:
+ *           type: string
+ *           description: Why the role was changed, kept in the audit record
+ *           example: Completed coach certification
+ *     UpdateRoleResponse:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 60d21b4667d0d8992e610c85
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: user@example.com
+ *         role:
+ *           type: string
+ *           enum: [CLIENT, COACH, ADMIN]
+ *           example: COACH
+ *     RoleChange:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 665f1b4667d0d8992e610c99
+ *         fromRole:
+ *           type: string
+ *           nullable: true
+ *           enum: [CLIENT, COACH, ADMIN]
+ *           example: CLIENT
+ *         toRole:
+ *           type: string
+ *           enum: [CLIENT, COACH, ADMIN]
+ *           example: COACH
+ *         source:
+ *           type: string
+ *           enum: [ADMIN, INVITATION]
+ *           example: ADMIN
+ *         reason:
+ *           type: string
+ *           example: Completed coach certification
+ *         changedBy:
+ *           type: object
+ *           properties:
+ *             _id:
+ *               type: string
+ *             firstName:
+ *               type: string
+ *             lastName:
+ *               type: string
+ *             email:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     LockedAccount:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 665f1b4667d0d8992e610d01
+ *         scope:
+ *           type: string
+ *           enum: [ACCOUNT, IP]
+ *           example: ACCOUNT
+ *         identifier:
+ *           type: string
+ *           description: Email address for ACCOUNT locks, client IP for IP locks
+ *           example: user@example.com
+ *         lockCount:
+ *           type: integer
+ *           description: Number of lockouts so far; each one lasts twice as long as the previous
+ *           example: 1
+ *         lastFailureAt:
+ *           type: string
+ *           format: date-time
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *     TwoFactorSettings:
+ *       type: object
+ *       required:
+ *         - requiredRoles
+ *       properties:
+ *         requiredRoles:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [CLIENT, COACH, ADMIN]
+ *           description: Roles that must use two-factor authentication to sign in
+ *           example: [COACH, ADMIN]
+ *     TimeZoneSettings:
+ *       type: object
+ *       required:
+ *         - timeZone
+ *       properties:
+ *         timeZone:
+ *           type: string
+ *           description: IANA time zone of the gym, used for users without their own zone and for anonymous requests
+ *           example: Asia/Kolkata
+ *     AdminUser:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 60d21b4667d0d8992e610c85
+ *         firstName:
+ *           type: string
+ *           example: John
+ *         lastName:
+ *           type: string
+ *           example: Doe
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: john.doe@example.com
+ *         role:
+ *           type: string
+ *           enum: [CLIENT, COACH, ADMIN]
+ *         status:
+ *           type: string
+ *           enum: [ACTIVE, SUSPENDED]
+ *         emailVerified:
+ *           type: boolean
+ *         passwordResetRequired:
+ *           type: boolean
+ *         preferableActivity:
+ *           type: string
+ *           example: Yoga
+ *         target:
+ *           type: string
+ *           example: GENERAL_FITNESS
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *     AdminUserPage:
+ *       type: object
+ *       properties:
+ *         content:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/AdminUser'
+ *         currentPage:
+ *           type: integer
+ *           example: 1
+ *         totalElements:
+ *           type: integer
+ *           example: 42
+ *         totalPages:
+ *           type: integer
+ *           example: 3
+ *     SuspendUserRequest:
+ *       type: object
+ *       properties:
+ *         reason:
+ *           type: string
+ *           description: Optional note kept on the account
+ *           example: Chargeback dispute
+ *     AdminError:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           description: Error message
+ *           example: Access denied
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administration endpoints, only available to users with the ADMIN role
+ */
+
+// Every admin endpoint requires an authenticated ADMIN
+router.use(auth, requireRole('ADMIN'));
+
+/**
+ * @swagger
+ * /admin/coach-invitations:
+ *   post:
+ *     summary: Invite a coach
+ *     description: Creates a single-use, expiring invitation. The coach redeems it by passing the token as invitationToken to /auth/sign-up with the same email.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CoachInvitationRequest'
+ *     responses:
+ *       201:
+ *         description: Invitation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CoachInvitationResponse'
+ *       400:
+ *         description: Validation error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       409:
+ *         description: A user with this email already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.post('/coach-invitations', adminController.createCoachInvitation);
+
+/**
+ * @swagger
+ * /admin/coach-invitations:
+ *   get:
+ *     summary: List coach invitations
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CoachInvitation'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.get('/coach-invitations', adminController.getCoachInvitations);
+
+/**
+ * @swagger
+ * /admin/users:
+ *   get:
+ *     summary: List and search users
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [CLIENT, COACH, ADMIN]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, SUSPENDED]
+ *       - in: query
+ *         name: activity
+ *         schema:
+ *           type: string
+ *         description: Preferable activity
+ *         example: Yoga
+ *       - in: query
+ *         name: target
+ *         schema:
+ *           type: string
+ *         example: LOSE_WEIGHT
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only users created at or after this time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only users created at or before this time
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Case-insensitive match on first name, last name or email
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: createdAt,desc
+ *         description: Sort field and order (field,order); fields are createdAt, firstName, lastName, email and role
+ *     responses:
+ *       200:
+ *         description: One page of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUserPage'
+ *       400:
+ *         description: Invalid filter or sort
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.get('/users', adminController.getUsers);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/suspend:
+ *   post:
+ *     summary: Suspend a user
+ *     description: Blocks sign-in and immediately revokes all of the user's sessions. Admins cannot suspend themselves.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SuspendUserRequest'
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid user ID or the action does not apply to the user's current state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.post('/users/:userId/suspend', adminController.suspendUser);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/reactivate:
+ *   post:
+ *     summary: Reactivate a suspended user
+ *     description: The user can sign in again; revoked sessions stay revoked.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid user ID or the action does not apply to the user's current state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.post('/users/:userId/reactivate', adminController.reactivateUser);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/force-password-reset:
+ *   post:
+ *     summary: Force a password reset
+ *     description: Revokes all sessions, refuses sign-in until the password is reset and emails the user a reset link.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminUser'
+ *       400:
+ *         description: Invalid user ID or the action does not apply to the user's current state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.post('/users/:userId/force-password-reset', adminController.forcePasswordReset);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/role:
+ *   patch:
+ *     summary: Promote or demote a user
+ *     description: Changes the user's role, writes an audit record and revokes the user's sessions so the new role takes effect immediately
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateRoleRequest'
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UpdateRoleResponse'
+ *       400:
+ *         description: Invalid role, unchanged role or last admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.patch('/users/:userId/role', adminController.updateUserRole);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/sessions:
+ *   delete:
+ *     summary: Revoke all sessions of a user
+ *     description: Signs a compromised account out of every device. Access tokens stop working immediately and refresh tokens can no longer be used.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: All sessions revoked
+ *                 revokedSessions:
+ *                   type: integer
+ *                   example: 3
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.delete('/users/:userId/sessions', adminController.revokeUserSessions);
+
+/**
+ * @swagger
+ * /admin/users/{userId}/role-changes:
+ *   get:
+ *     summary: Get the role audit trail of a user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Role changes, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/RoleChange'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.get('/users/:userId/role-changes', adminController.getRoleChanges);
+
+/**
+ * @swagger
+ * /admin/locked-accounts:
+ *   get:
+ *     summary: List accounts or IPs currently locked out of sign-in
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [ACCOUNT, IP]
+ *           default: ACCOUNT
+ *         description: Whether to list locked accounts or locked client IPs
+ *     responses:
+ *       200:
+ *         description: Active locks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LockedAccount'
+ *       400:
+ *         description: Invalid scope
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ *       403:
+ *         description: Not an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.get('/locked-accounts', adminController.getLockedAccounts);
+
+/**
+ * @swagger
+ * /admin/locked-accounts/{lockId}:
+ *   delete:
+ *     summary: Lift a sign-in lock
+ *     description: Removes the lock and resets the failed-attempt counter
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: lockId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the lock, as returned by GET /admin/locked-accounts
+ *     responses:
+ *       200:
+ *         description: Lock removed
+ *       404:
+ *         description: Lock not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.delete('/locked-accounts/:lockId', adminController.unlockAccount);
+
+/**
+ * @swagger
+ * /admin/settings/two-factor:
+ *   get:
+ *     summary: Get the roles that must use two-factor authentication
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current two-factor policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSettings'
+ *   put:
+ *     summary: Set the roles that must use two-factor authentication
+ *     description: Members of these roles who have not enrolled yet must enroll during their next sign-in
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorSettings'
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSettings'
+ *       400:
+ *         description: Invalid roles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.get('/settings/two-factor', adminController.getTwoFactorSettings);
+router.put('/settings/two-factor', adminController.updateTwoFactorSettings);
+
+/**
+ * @swagger
+ * /admin/settings/time-zone:
+ *   get:
+ *     summary: Get the gym's time zone
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current gym time zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeZoneSettings'
+ *   put:
+ *     summary: Set the gym's time zone
+ *     description: Applies to users who have not chosen their own time zone and to requests without a signed-in user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TimeZoneSettings'
+ *     responses:
+ *       200:
+ *         description: Time zone updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TimeZoneSettings'
+ *       400:
+ *         description: Not a valid IANA time zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AdminError'
+ */
+router.get('/settings/time-zone', adminController.getTimeZoneSettings);
+router.put('/settings/time-zone', adminController.updateTimeZoneSettings);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
+const oidcController = require('../controllers/oidcController');
 const auth = require('../middleware/auth');
+const enrollmentChallenge = require('../middleware/enrollmentChallenge');
 
 /**
  * @swagger
@@ -33,8 +36,8 @@ const auth = require('../middleware/auth');
  *         password:
  *           type: string
  *           format: password
- *           description: User's password (min 8 chars, must include uppercase, number, and special char)
- *           example: Password123!
+ *           description: User's password. Must satisfy the password policy (by default 8-30 chars with an uppercase letter, a number and a special character) and not be a common or breached password
+ *           example: Gr8-Lifts-Daily
  *         preferableActivity:
  *           type: string
  *           enum: [Yoga, YOGA, PILATES, CARDIO, WEIGHTS, STRENGTH, FLEXIBILITY, Climbing, "Strength training", "Cross-fit", "Cardio Training", Rehabilitation]
@@ -45,6 +48,10 @@ const auth = require('../middleware/auth');
  *           enum: [LOSE_WEIGHT, GAIN_WEIGHT, IMPROVE_FLEXIBILITY, GENERAL_FITNESS, BUILD_MUSCLE, REHABILITATION_RECOVERY]
  *           description: User's fitness goal
  *           example: GENERAL_FITNESS
+ *         invitationToken:
+ *           type: string
+ *           description: Coach invitation token issued by an admin. When valid for this email the account is created with the COACH role.
+ *           example: q3n0Zp7yXbVt5Wc2Lr9Kd1Hs8Gf4Aa6Jm0Ee3Uu7Ii
  *     LoginCredentials:
  *       type: object
  *       required:
@@ -85,13 +92,19 @@ const auth = require('../middleware/auth');
  *               type: string
  *               enum: [CLIENT, COACH]
  *               example: "COACH"
- *             imageUrl:
- *               type: string
- *               example: "https://team-1-asset-bucket.s3.eu-west-1.amazonaws.com/img/9e2422cd-7046-4547-8e63-f8e96134cdc4.jpeg"
+ *             image:
+ *               $ref: '#/components/schemas/AvatarImage'
+ *             emailVerified:
+ *               type: boolean
+ *               example: true
  *         token:
  *           type: string
- *           description: JWT authentication token
+ *           description: Short-lived JWT access token
  *           example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJ1c2VyIjp7ImlkIjoiNjgxMWUxMzgyZGVhZWM3MTc0ZWFhYmJkIiwiZmlyc3ROYW1lIjoiQ29hY2giLCJsYXN0TmFtZSI6Ik9uZSJ9.example"
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use refresh token, exchanged at /auth/refresh for a new token pair
+ *           example: "Zk3p0b1Jm8l2cQ9xYt4uVwA7sD6fG5hJ0kL1zX2cV3bN4mQ8rT9yU0iO"
  *     AuthResponse:
  *       type: object
  *       properties:
@@ -101,8 +114,12 @@ const auth = require('../middleware/auth');
  *           example: User registered successfully
  *         token:
  *           type: string
- *           description: JWT authentication token
+ *           description: Short-lived JWT access token
  *           example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use refresh token
+ *           example: Zk3p0b1Jm8l2cQ9xYt4uVwA7sD6fG5hJ0kL1zX2cV3bN4mQ8rT9yU0iO
  *         user:
  *           type: object
  *           properties:
@@ -124,9 +141,192 @@ const auth = require('../middleware/auth');
  *               type: string
  *               enum: [CLIENT, COACH]
  *               example: CLIENT
- *             imageUrl:
- *               type: string
- *               example: https://example.com/profile.jpg
+ *             image:
+ *               $ref: '#/components/schemas/AvatarImage'
+ *             emailVerified:
+ *               type: boolean
+ *               example: false
+ *     RefreshTokenRequest:
+ *       type: object
+ *       properties:
+ *         refreshToken:
+ *           type: string
+ *           description: Refresh token received from sign-in, sign-up or a previous refresh. Not needed in cookie session mode, where the refresh_token cookie is used.
+ *           example: Zk3p0b1Jm8l2cQ9xYt4uVwA7sD6fG5hJ0kL1zX2cV3bN4mQ8rT9yU0iO
+ *     ForgotPasswordRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: user@example.com
+ *     MagicLinkRequest:
+ *       type: object
+ *       required:
+ *         - email
+ *       properties:
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: user@example.com
+ *     MagicLinkVerifyRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Token from the emailed sign-in link
+ *           example: Vb3Kx9Qm2Lp7Ht5Wn8Rj4Fd1Gs6Ac0Ze3Yu7Io2Pq
+ *     ResetPasswordRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *         - newPassword
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Token from the password reset email
+ *           example: Vb3Kx9Qm2Lp7Ht5Wn8Rj4Fd1Gs6Ac0Ze3Yu7Io2Pq
+ *         newPassword:
+ *           type: string
+ *           format: password
+ *           description: New password. Must satisfy the password policy and differ from the last passwords of the account
+ *           example: NewPassword456!
+ *     VerifyEmailRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Signed token from the verification email link
+ *           example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *     UnlockAccountRequest:
+ *       type: object
+ *       required:
+ *         - token
+ *       properties:
+ *         token:
+ *           type: string
+ *           description: Token from the "account locked" email
+ *           example: Hs8Gf4Aa6Jm0Ee3Uu7IiQ3n0Zp7yXbVt5Wc2Lr9Kd1
+ *     TooManyAttemptsError:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Too many failed sign-in attempts. Try again in 4 seconds.
+ *         retryAfterSeconds:
+ *           type: integer
+ *           example: 4
+ *     TwoFactorChallenge:
+ *       type: object
+ *       description: Returned by sign-in instead of tokens when a second factor is needed
+ *       properties:
+ *         twoFactorRequired:
+ *           type: boolean
+ *           description: The user has 2FA enabled; send the challenge token and a code to /auth/2fa/verify
+ *           example: true
+ *         twoFactorSetupRequired:
+ *           type: boolean
+ *           description: The user's role requires 2FA but they have not enrolled; pass the challenge token to /auth/2fa/setup and /auth/2fa/enable
+ *           example: false
+ *         challengeToken:
+ *           type: string
+ *           description: Short-lived token proving the password step succeeded
+ *           example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *     TwoFactorSetupResponse:
+ *       type: object
+ *       properties:
+ *         secret:
+ *           type: string
+ *           description: Base32 TOTP secret for manual entry
+ *           example: N4E2RVIKXNDCIUJHMVCPWLMIW5QTMMMM
+ *         otpauthUri:
+ *           type: string
+ *           description: URI to render as a QR code for authenticator apps
+ *           example: otpauth://totp/EnergyX%3Acoach%40example.com?secret=N4E2RVIKXNDCIUJHMVCPWLMIW5QTMMMM&issuer=EnergyX&algorithm=SHA1&digits=6&period=30
+ *     TwoFactorCodeRequest:
+ *       type: object
+ *       required:
+ *         - code
+ *       properties:
+ *         code:
+ *           type: string
+ *           description: 6-digit code from the authenticator app
+ *           example: "583837"
+ *         challengeToken:
+ *           type: string
+ *           description: Enrollment challenge token from sign-in, when enrolling without an access token
+ *     TwoFactorEnableResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Two-factor authentication enabled
+ *         recoveryCodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: One-time recovery codes, shown only once
+ *           example: ["3f9a1-c27e0", "b81d4-09a6f"]
+ *         user:
+ *           type: object
+ *           description: Only when enrolling with an enrollment challenge token
+ *         token:
+ *           type: string
+ *           description: Only when enrolling with an enrollment challenge token
+ *         refreshToken:
+ *           type: string
+ *           description: Only when enrolling with an enrollment challenge token
+ *     TwoFactorVerifyRequest:
+ *       type: object
+ *       required:
+ *         - challengeToken
+ *       properties:
+ *         challengeToken:
+ *           type: string
+ *           example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *         code:
+ *           type: string
+ *           description: 6-digit code from the authenticator app
+ *           example: "583837"
+ *         recoveryCode:
+ *           type: string
+ *           description: A recovery code, instead of a TOTP code
+ *           example: 3f9a1-c27e0
+ *     TwoFactorDisableRequest:
+ *       type: object
+ *       required:
+ *         - password
+ *       properties:
+ *         password:
+ *           type: string
+ *           format: password
+ *           example: Password123!
+ *         code:
+ *           type: string
+ *           example: "583837"
+ *         recoveryCode:
+ *           type: string
+ *           example: 3f9a1-c27e0
+ *     RecoveryCodesResponse:
+ *       type: object
+ *       properties:
+ *         recoveryCodes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["3f9a1-c27e0", "b81d4-09a6f"]
+ *     MessageResponse:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: Logged out successfully
  *     ValidationError:
  *       type: object
  *       properties:
@@ -148,11 +348,31 @@ const auth = require('../middleware/auth');
  *           type: string
  *           description: Server error message
  *           example: Error registering user
+ *     OidcProviderList:
+ *       type: object
+ *       properties:
+ *         providers:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Identifier used in /auth/oidc/{provider}
+ *                 example: google
+ *               label:
+ *                 type: string
+ *                 example: Google
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
  *       scheme: bearer
  *       bearerFormat: JWT
+ *     cookieAuth:
+ *       type: apiKey
+ *       in: cookie
+ *       name: access_token
+ *       description: Cookie session mode (AUTH_COOKIES=true). State-changing requests must also send the csrf_token cookie value in the X-CSRF-Token header.
  */
 
 /**
@@ -182,7 +402,7 @@ const auth = require('../middleware/auth');
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Validation error or user already exists
+ *         description: Validation error, user already exists, or invalid/expired invitation
  *         content:
  *           application/json:
  *             schema:
@@ -210,11 +430,13 @@ router.post('/sign-up', authController.registerUser);
  *             $ref: '#/components/schemas/LoginCredentials'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a second factor is required
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/SignInResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/SignInResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
  *       400:
  *         description: Input validation error
  *         content:
@@ -227,6 +449,12 @@ router.post('/sign-up', authController.registerUser);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/AuthError'
+ *       429:
+ *         description: Too many failed attempts for this account or IP; see the Retry-After header
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyAttemptsError'
  *       500:
  *         description: Server error
  *         content:
@@ -236,4 +464,616 @@ router.post('/sign-up', authController.registerUser);
  */
 router.post('/sign-in', authController.loginUser);
 
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Rotate a refresh token
+ *     description: Returns a new access token and refresh token. Each refresh token can be used once; reusing an already rotated token revokes the whole session.
+ *     tags: [Auth]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshTokenRequest'
+ *     responses:
+ *       200:
+ *         description: Tokens rotated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SignInResponse'
+ *       400:
+ *         description: Refresh token missing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Refresh token invalid, expired, reused or its session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/refresh', authController.refreshToken);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Logout user
+ *     description: Revokes the current session so its access and refresh tokens stop working, and clears the session cookies
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - cookieAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/logout', auth, authController.logoutUser);
+
+/**
+ * @swagger
+ * /auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: Sends a single-use reset link if an account exists. The response is the same whether or not the email is registered.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ForgotPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Missing or invalid email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/forgot-password', authController.forgotPassword);
+
+/**
+ * @swagger
+ * /auth/magic-link:
+ *   post:
+ *     summary: Request a passwordless sign-in link
+ *     description: Emails a single-use, short-lived sign-in link if an account exists. The response is the same whether or not the email is registered.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MagicLinkRequest'
+ *     responses:
+ *       200:
+ *         description: Request accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Missing or invalid email
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/magic-link', authController.requestMagicLink);
+
+/**
+ * @swagger
+ * /auth/magic-link/verify:
+ *   post:
+ *     summary: Sign in with a magic link
+ *     description: Redeems the token from the emailed link. Responds like /auth/sign-in, including the two-factor challenge when it applies.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MagicLinkVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful, or a second factor is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/SignInResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallenge'
+ *       400:
+ *         description: Missing, invalid, expired or already used token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/magic-link/verify', authController.verifyMagicLink);
+
+/**
+ * @swagger
+ * /auth/unlock-account:
+ *   post:
+ *     summary: Unlock an account locked after failed sign-ins
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UnlockAccountRequest'
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Missing, invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/unlock-account', authController.unlockAccount);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Generates a TOTP secret. Authenticate with an access token, or send the enrollment challengeToken from sign-in in the body.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Secret generated, not active until confirmed with /auth/2fa/enable
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorSetupResponse'
+ *       400:
+ *         description: Already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ */
+router.post('/2fa/setup', enrollmentChallenge, twoFactorController.setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/enable:
+ *   post:
+ *     summary: Confirm two-factor enrollment
+ *     description: Activates 2FA with a code from the authenticator app and returns recovery codes. When called with an enrollment challenge token, the response also starts a session.
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TwoFactorEnableResponse'
+ *       400:
+ *         description: Invalid code, no pending setup, or already enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ */
+router.post('/2fa/enable', enrollmentChallenge, twoFactorController.enableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/verify:
+ *   post:
+ *     summary: Complete sign-in with a second factor
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorVerifyRequest'
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SignInResponse'
+ *       400:
+ *         description: Missing fields or invalid code
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Invalid or expired challenge token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       429:
+ *         description: Too many failed attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TooManyAttemptsError'
+ */
+router.post('/2fa/verify', twoFactorController.verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed when the user's role requires 2FA
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorDisableRequest'
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Missing fields, invalid credentials, or 2FA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ */
+router.post('/2fa/disable', auth, twoFactorController.disableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace all recovery codes
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TwoFactorCodeRequest'
+ *     responses:
+ *       200:
+ *         description: New recovery codes, shown only once
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RecoveryCodesResponse'
+ *       400:
+ *         description: Invalid code or 2FA not enabled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ */
+router.post('/2fa/recovery-codes', auth, twoFactorController.regenerateRecoveryCodes);
+
+/**
+ * @swagger
+ * /auth/verify-email:
+ *   post:
+ *     summary: Verify email address
+ *     description: Marks the account as verified. Call /auth/refresh afterwards so the access token reflects it.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VerifyEmailRequest'
+ *     responses:
+ *       200:
+ *         description: Email verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Missing, invalid or expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/verify-email', authController.verifyEmail);
+
+/**
+ * @swagger
+ * /auth/verify-email/resend:
+ *   post:
+ *     summary: Resend the verification email
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Email already verified
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/verify-email/resend', auth, authController.resendVerificationEmail);
+
+/**
+ * @swagger
+ * /auth/reset-password:
+ *   post:
+ *     summary: Reset password with a token
+ *     description: Sets a new password using the token from the reset email and logs the user out everywhere
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ResetPasswordRequest'
+ *     responses:
+ *       200:
+ *         description: Password reset
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         description: Weak password, or invalid, expired or already used token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.post('/reset-password', authController.resetPassword);
+
+/**
+ * @swagger
+ * /auth/oidc/providers:
+ *   get:
+ *     summary: List the configured OpenID Connect providers
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Providers a member can sign in with
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OidcProviderList'
+ */
+router.get('/oidc/providers', oidcController.getOidcProviders);
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}:
+ *   get:
+ *     summary: Start sign-in with an OpenID Connect provider
+ *     description: Redirects the browser to the provider's sign-in page (authorization code flow with PKCE).
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: google
+ *     responses:
+ *       302:
+ *         description: Redirect to the provider
+ *       404:
+ *         description: Unknown identity provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/oidc/:provider', oidcController.startOidcLogin);
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: Complete sign-in with an OpenID Connect provider
+ *     description: The provider redirects here after sign-in. Answers like /auth/sign-in.
+ *     tags: [Auth]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: google
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: error
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Signed in, or a two-factor challenge
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SignInResponse'
+ *       400:
+ *         description: Provider error, missing or invalid state, or no verified email address
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       401:
+ *         description: Code exchange with the provider failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthError'
+ *       403:
+ *         description: Account suspended or password reset required
+ *       404:
+ *         description: Unknown identity provider
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/oidc/:provider/callback', oidcController.handleOidcCallback);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,179 @@
+const express = require('express');
+const router = express.Router();
+const availabilityController = require('../controllers/availabilityController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Availability
+ *   description: Free coach slots over several days, for booking calendars
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AvailabilityFrom:
+ *       in: query
+ *       name: from
+ *       required: false
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: First day (YYYY-MM-DD) in the given time zone; defaults to today
+ *       example: 2025-06-02
+ *     AvailabilityTo:
+ *       in: query
+ *       name: to
+ *       required: false
+ *       schema:
+ *         type: string
+ *         format: date
+ *       description: Last day (YYYY-MM-DD), included; defaults to a week from `from`. The range spans at most 31 days.
+ *       example: 2025-06-08
+ *     AvailabilityTimeZone:
+ *       in: query
+ *       name: timeZone
+ *       required: false
+ *       schema:
+ *         type: string
+ *       description: IANA time zone of the days and the returned times; defaults to the gym's time zone
+ *       example: Europe/Berlin
+ *   schemas:
+ *     FreeSlot:
+ *       type: object
+ *       properties:
+ *         start:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-06-02T05:00:00.000Z
+ *         end:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-06-02T06:00:00.000Z
+ *         time:
+ *           type: string
+ *           description: Local start time (HH:MM) in the response's time zone
+ *           example: "07:00"
+ *         duration:
+ *           type: integer
+ *           description: Length in minutes
+ *           example: 60
+ *         label:
+ *           type: string
+ *           example: 7:00 AM - 8:00 AM
+ *     CoachAvailabilityCalendar:
+ *       type: object
+ *       properties:
+ *         coachId:
+ *           type: string
+ *           example: 60d21b4667d0d8992e610c85
+ *         timeZone:
+ *           type: string
+ *           description: Time zone the days and local times are in
+ *           example: Europe/Berlin
+ *         from:
+ *           type: string
+ *           format: date
+ *         to:
+ *           type: string
+ *           format: date
+ *         days:
+ *           type: array
+ *           description: Every day of the range, including those without free slots
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/FreeSlot'
+ *     AvailabilityCalendar:
+ *       type: object
+ *       properties:
+ *         timeZone:
+ *           type: string
+ *           description: Time zone the days and local times are in
+ *           example: Europe/Berlin
+ *         from:
+ *           type: string
+ *           format: date
+ *         to:
+ *           type: string
+ *           format: date
+ *         coaches:
+ *           type: array
+ *           description: Coaches with at least one free slot in the range
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               firstName:
+ *                 type: string
+ *               lastName:
+ *                 type: string
+ *               preferableActivity:
+ *                 type: string
+ *               image:
+ *                 type: object
+ *                 properties:
+ *                   thumbnail:
+ *                     type: string
+ *         days:
+ *           type: array
+ *           description: Every day of the range, including those without free slots
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/FreeSlot'
+ *                     - type: object
+ *                       properties:
+ *                         coachId:
+ *                           type: string
+ */
+
+/**
+ * @swagger
+ * /availability:
+ *   get:
+ *     summary: Get free slots of all coaches over several days
+ *     description: Slots are taken from each coach's schedule, without those already booked or in the past, and grouped by day in the given time zone.
+ *     tags: [Availability]
+ *     security: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AvailabilityFrom'
+ *       - $ref: '#/components/parameters/AvailabilityTo'
+ *       - $ref: '#/components/parameters/AvailabilityTimeZone'
+ *       - in: query
+ *         name: activity
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: Only coaches of this activity (case-insensitive)
+ *         example: Yoga
+ *     responses:
+ *       200:
+ *         description: Free slots per day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AvailabilityCalendar'
+ *       400:
+ *         description: Invalid range, time zone or activity
+ *       500:
+ *         description: Server error
+ */
+router.get('/', availabilityController.getAvailability);
+
+module.exports = router;
@@ -1,6 +1,9 @@
 const express = require('express');
 const router = express.Router();
 const coachController = require('../controllers/coachController');
+const availabilityController = require('../controllers/availabilityController');
+const auth = require('../middleware/auth');
+const { requireSelfOrRole } = require('../middleware/authorize');
 
 /**
  * @swagger
@@ -31,10 +34,16 @@ const coachController = require('../controllers/coachController');
  *           enum: [COACH]
  *           description: User role
  *           example: COACH
- *         imageUrl:
- *           type: string
- *           description: URL to coach's profile image
- *           example: https://example.com/coach.jpg
+ *         image:
+ *           type: object
+ *           description: Avatar variants for listings (thumbnail and card)
+ *           properties:
+ *             thumbnail:
+ *               type: string
+ *               example: http://localhost:5000/files/img/1f0c2a9e-4b7d-4c1e-9a51-0d6b3e2f8c11.webp
+ *             card:
+ *               type: string
+ *               example: http://localhost:5000/files/img/7a3e5d21-9c4b-4f0a-8e62-5b1d9c7f3a24.webp
  *         preferableActivity:
  *           type: string
  *           description: Coach's specialization
@@ -42,9 +51,76 @@ const coachController = require('../controllers/coachController');
  *         availableTimeSlots:
  *           type: array
  *           items:
- *             type: string
- *           description: List of available time slots
- *           example: ["9:00 AM - 10:00 AM", "2:00 PM - 3:00 PM"]
+ *             $ref: '#/components/schemas/ScheduleSlot'
+ *           description: Default slots that apply every day until the coach saves a schedule
+ *         rating:
+ *           $ref: '#/components/schemas/CoachRating'
+ *     CoachRating:
+ *       type: object
+ *       description: Aggregate of the ratings clients gave in their feedback
+ *       properties:
+ *         average:
+ *           type: number
+ *           nullable: true
+ *           description: Average rating (1-5), null when the coach has no ratings yet
+ *           example: 4.67
+ *         count:
+ *           type: integer
+ *           description: Number of ratings
+ *           example: 12
+ *         histogram:
+ *           type: object
+ *           description: Number of ratings per star; half stars count towards the next star up
+ *           additionalProperties:
+ *             type: integer
+ *           example: { "1": 0, "2": 0, "3": 1, "4": 2, "5": 9 }
+ *         weighted:
+ *           type: number
+ *           description: |
+ *             Bayesian average: the ratings plus RATING_PRIOR_WEIGHT (default 5) ratings at the
+ *             gym-wide mean, so coaches with few ratings sit closer to the mean
+ *           example: 4.41
+ *     CoachListItem:
+ *       allOf:
+ *         - $ref: '#/components/schemas/Coach'
+ *         - type: object
+ *           properties:
+ *             title:
+ *               type: string
+ *               example: Certified yoga instructor
+ *             about:
+ *               type: string
+ *               example: Ten years of teaching Hatha and Vinyasa yoga.
+ *             specializations:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: ["Yoga", "Cardio"]
+ *             timeZone:
+ *               type: string
+ *               nullable: true
+ *               description: Time zone of the coach's time slots; null means the gym's time zone
+ *               example: Europe/Berlin
+ *             workoutCount:
+ *               type: integer
+ *               description: Number of booked workouts, used to sort by popularity
+ *               example: 48
+ *     CoachPage:
+ *       type: object
+ *       properties:
+ *         content:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CoachListItem'
+ *         currentPage:
+ *           type: integer
+ *           example: 1
+ *         totalElements:
+ *           type: integer
+ *           example: 23
+ *         totalPages:
+ *           type: integer
+ *           example: 3
  *     TimeSlot:
  *       type: string
  *       description: Time slot in format "HH:MM AM/PM - HH:MM AM/PM"
@@ -56,6 +132,10 @@ const coachController = require('../controllers/coachController');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/TimeSlot'
+ *         timeZone:
+ *           type: string
+ *           description: Time zone the local times in this response are rendered in
+ *           example: Asia/Kolkata
  *     Feedback:
  *       type: object
  *       properties:
@@ -137,17 +217,101 @@ const coachController = require('../controllers/coachController');
  * @swagger
  * /coaches:
  *   get:
- *     summary: Get all coaches
+ *     summary: Search coaches
+ *     description: |
+ *       Lists active coaches page by page. All filters are optional and combined.
+ *       With `date` only coaches with a free slot that day are returned; with `date`
+ *       and `time` only coaches with a free slot starting at that moment.
+ *       Date and time are read in `timeZone` (defaults to the gym's time zone).
  *     tags: [Coaches]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches the first or last name (case-insensitive); every word has to match
+ *         example: john
+ *       - in: query
+ *         name: activity
+ *         schema:
+ *           type: string
+ *           enum: [Yoga, Climbing, Strength training, Cross-fit, Cardio Training, Rehabilitation]
+ *         description: Preferable activity of the coach (case-insensitive)
+ *       - in: query
+ *         name: specialization
+ *         schema:
+ *           type: string
+ *         description: One of the coach's specializations (case-insensitive)
+ *         example: Weight Loss
+ *       - in: query
+ *         name: minRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Lowest average rating (rating.average); coaches without ratings are left out
+ *       - in: query
+ *         name: maxRating
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 5
+ *         description: Highest average rating (rating.average); coaches without ratings are left out
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Only coaches with a free slot on this day (YYYY-MM-DD)
+ *         example: 2025-06-15
+ *       - in: query
+ *         name: time
+ *         schema:
+ *           type: string
+ *           pattern: '^([01]\d|2[0-3]):[0-5]\d$'
+ *         description: Only coaches with a free slot starting at this time (HH:MM, 24-hour); requires date
+ *         example: "10:30"
+ *       - in: query
+ *         name: timeZone
+ *         schema:
+ *           type: string
+ *         description: IANA time zone of date and time; defaults to the gym's time zone
+ *         example: Europe/Berlin
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: rating,desc
+ *           enum: [rating,asc, rating,desc, popularity,asc, popularity,desc, name,asc, name,desc]
+ *         description: |
+ *           Sort field and order (field,order). rating sorts by the Bayesian average (rating.weighted);
+ *           popularity is the number of booked workouts
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *         description: Number of items per page
  *     responses:
  *       200:
- *         description: List of coaches
+ *         description: A page of coaches
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Coach'
+ *               $ref: '#/components/schemas/CoachPage'
+ *       400:
+ *         description: Invalid filter, sort, date, time or time zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationCError'
  *       500:
  *         description: Server error
  *         content:
@@ -197,6 +361,7 @@ router.get('/:id', coachController.getCoachById);
  * /coaches/{coachId}/available-slots/{date}:
  *   get:
  *     summary: Get available slots for a coach on a specific date
+ *     description: The date is a calendar day in the given time zone (default the gym's). Slots are converted from the coach's time zone and rendered in that zone.
  *     tags: [Coaches]
  *     parameters:
  *       - in: path
@@ -212,6 +377,13 @@ router.get('/:id', coachController.getCoachById);
  *           type: string
  *           format: date
  *         description: Date in YYYY-MM-DD format
+ *       - in: query
+ *         name: timeZone
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: IANA time zone of the date and the returned slots; defaults to the gym's time zone
+ *         example: Europe/Berlin
  *     responses:
  *       200:
  *         description: List of available time slots
@@ -240,6 +412,51 @@ router.get('/:id', coachController.getCoachById);
  */
 router.get('/:coachId/available-slots/:date', coachController.getAvailableSlots);
 
+/**
+ * @swagger
+ * /coaches/{coachId}/availability:
+ *   get:
+ *     summary: Get free slots of a coach over several days
+ *     description: Slots are taken from the coach's schedule, without those already booked or in the past, and grouped by day in the given time zone.
+ *     tags: [Coaches, Availability]
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Coach's unique identifier
+ *       - $ref: '#/components/parameters/AvailabilityFrom'
+ *       - $ref: '#/components/parameters/AvailabilityTo'
+ *       - $ref: '#/components/parameters/AvailabilityTimeZone'
+ *     responses:
+ *       200:
+ *         description: Free slots per day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CoachAvailabilityCalendar'
+ *       400:
+ *         description: Invalid coach ID, range or time zone
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationCError'
+ *       404:
+ *         description: Coach not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:coachId/availability', availabilityController.getCoachAvailability);
+
 /**
  * @swagger
  * /coaches/{coachId}/feedbacks:
@@ -288,4 +505,526 @@ router.get('/:coachId/available-slots/:date', coachController.getAvailableSlots)
  */
 router.get('/:coachId/feedbacks', coachController.getCoachFeedbacks);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScheduleSlot:
+ *       type: object
+ *       description: A slot of the coach's day, in the coach's time zone
+ *       properties:
+ *         startMinute:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 1439
+ *           description: Minutes after local midnight
+ *           example: 630
+ *         duration:
+ *           type: integer
+ *           minimum: 15
+ *           maximum: 720
+ *           description: Length in minutes; a slot may run past midnight
+ *           example: 60
+ *         start:
+ *           type: string
+ *           example: "10:30"
+ *         end:
+ *           type: string
+ *           example: "11:30"
+ *         label:
+ *           type: string
+ *           example: 10:30 AM - 11:30 AM
+ *     SlotInput:
+ *       description: A slot as { startMinute, duration }, or as a "10:30 AM - 11:30 AM" label
+ *       oneOf:
+ *         - type: object
+ *           required: [startMinute, duration]
+ *           properties:
+ *             startMinute:
+ *               type: integer
+ *               minimum: 0
+ *               maximum: 1439
+ *             duration:
+ *               type: integer
+ *               minimum: 15
+ *               maximum: 720
+ *         - type: string
+ *       example: { "startMinute": 630, "duration": 60 }
+ *     WeeklySchedule:
+ *       type: object
+ *       description: Recurring slots per weekday in the coach's time zone
+ *       properties:
+ *         monday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleSlot'
+ *         tuesday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleSlot'
+ *         wednesday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleSlot'
+ *         thursday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleSlot'
+ *         friday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleSlot'
+ *         saturday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleSlot'
+ *         sunday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ScheduleSlot'
+ *     WeeklyScheduleRequest:
+ *       type: object
+ *       description: Recurring slots per weekday in the coach's time zone; weekdays left out have no slots
+ *       properties:
+ *         monday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SlotInput'
+ *         tuesday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SlotInput'
+ *         wednesday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SlotInput'
+ *         thursday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SlotInput'
+ *         friday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SlotInput'
+ *         saturday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SlotInput'
+ *         sunday:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SlotInput'
+ *       example:
+ *         monday: [{ "startMinute": 630, "duration": 60 }, { "startMinute": 1080, "duration": 90 }]
+ *         wednesday: ["10:30 AM - 11:30 AM"]
+ *         saturday: ["9:00 AM - 10:00 AM"]
+ *     CoachSchedule:
+ *       type: object
+ *       properties:
+ *         coachId:
+ *           type: string
+ *           example: 60d21b4667d0d8992e610c85
+ *         timeZone:
+ *           type: string
+ *           description: Time zone of all dates and slots of the schedule (the coach's, else the gym's)
+ *           example: Asia/Kolkata
+ *         isDefault:
+ *           type: boolean
+ *           description: True while the coach has never saved a schedule and the default slots apply every day
+ *           example: false
+ *         weeklySchedule:
+ *           $ref: '#/components/schemas/WeeklySchedule'
+ *         extraSlots:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-06-14
+ *               slot:
+ *                 $ref: '#/components/schemas/ScheduleSlot'
+ *         blockedDates:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-06-20
+ *               reason:
+ *                 type: string
+ *                 example: Competition
+ *         vacations:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-08-01
+ *               to:
+ *                 type: string
+ *                 format: date
+ *                 example: 2025-08-14
+ *               reason:
+ *                 type: string
+ *                 example: Summer holiday
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ScheduleConflicts:
+ *       allOf:
+ *         - $ref: '#/components/schemas/CoachSchedule'
+ *         - type: object
+ *           properties:
+ *             conflictingWorkouts:
+ *               type: array
+ *               description: Booked workouts on the days that were just taken off; they are not canceled
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *                   dateTime:
+ *                     type: string
+ *                     format: date-time
+ *     ExtraSlotRequest:
+ *       type: object
+ *       required: [date, slot]
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: 2025-06-14
+ *         slot:
+ *           $ref: '#/components/schemas/SlotInput'
+ *     BlockedDateRequest:
+ *       type: object
+ *       required: [date]
+ *       properties:
+ *         date:
+ *           type: string
+ *           format: date
+ *           example: 2025-06-20
+ *         reason:
+ *           type: string
+ *           maxLength: 200
+ *           example: Competition
+ *     VacationRequest:
+ *       type: object
+ *       required: [from, to]
+ *       properties:
+ *         from:
+ *           type: string
+ *           format: date
+ *           example: 2025-08-01
+ *         to:
+ *           type: string
+ *           format: date
+ *           description: Last day of the vacation (inclusive); at most 366 days after from
+ *           example: 2025-08-14
+ *         reason:
+ *           type: string
+ *           maxLength: 200
+ *           example: Summer holiday
+ */
+
+/**
+ * @swagger
+ * /coaches/{coachId}/schedule:
+ *   get:
+ *     summary: Get a coach's availability rules
+ *     description: |
+ *       The weekly schedule, extra slots, blocked dates and vacations that
+ *       available slots and bookings are computed from. Blocked dates and vacations
+ *       win over the weekly schedule and extra slots. Past one-off entries are
+ *       dropped whenever the schedule is saved. Only the coach and admins.
+ *     tags: [Coaches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The coach's schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CoachSchedule'
+ *       400:
+ *         description: Invalid coach ID
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach not found
+ */
+router.get('/:coachId/schedule', auth, requireSelfOrRole('coachId', 'ADMIN'), availabilityController.getSchedule);
+
+/**
+ * @swagger
+ * /coaches/{coachId}/schedule/weekly:
+ *   put:
+ *     summary: Replace the coach's weekly schedule
+ *     description: Slots of one day must not overlap; duplicates are removed.
+ *     tags: [Coaches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WeeklyScheduleRequest'
+ *     responses:
+ *       200:
+ *         description: The updated schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CoachSchedule'
+ *       400:
+ *         description: Unknown weekday, invalid or overlapping slots
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach not found
+ */
+router.put('/:coachId/schedule/weekly', auth, requireSelfOrRole('coachId', 'ADMIN'), availabilityController.updateWeeklySchedule);
+
+/**
+ * @swagger
+ * /coaches/{coachId}/schedule/extra-slots:
+ *   post:
+ *     summary: Add a one-off slot on a date
+ *     tags: [Coaches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ExtraSlotRequest'
+ *     responses:
+ *       201:
+ *         description: The updated schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CoachSchedule'
+ *       400:
+ *         description: Invalid or past date, or invalid slot
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach not found
+ *       409:
+ *         description: The slot overlaps another slot of that day
+ */
+router.post('/:coachId/schedule/extra-slots', auth, requireSelfOrRole('coachId', 'ADMIN'), availabilityController.addExtraSlot);
+
+/**
+ * @swagger
+ * /coaches/{coachId}/schedule/extra-slots/{entryId}:
+ *   delete:
+ *     summary: Remove an extra slot
+ *     tags: [Coaches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CoachSchedule'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach or extra slot not found
+ */
+router.delete('/:coachId/schedule/extra-slots/:entryId', auth, requireSelfOrRole('coachId', 'ADMIN'), availabilityController.deleteExtraSlot);
+
+/**
+ * @swagger
+ * /coaches/{coachId}/schedule/blocked-dates:
+ *   post:
+ *     summary: Block a date
+ *     description: The coach has no slots on a blocked date. Existing bookings are kept and listed in conflictingWorkouts.
+ *     tags: [Coaches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BlockedDateRequest'
+ *     responses:
+ *       201:
+ *         description: The updated schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleConflicts'
+ *       400:
+ *         description: Invalid or past date, or reason too long
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach not found
+ *       409:
+ *         description: The date is already blocked
+ */
+router.post('/:coachId/schedule/blocked-dates', auth, requireSelfOrRole('coachId', 'ADMIN'), availabilityController.addBlockedDate);
+
+/**
+ * @swagger
+ * /coaches/{coachId}/schedule/blocked-dates/{entryId}:
+ *   delete:
+ *     summary: Unblock a date
+ *     tags: [Coaches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CoachSchedule'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach or blocked date not found
+ */
+router.delete('/:coachId/schedule/blocked-dates/:entryId', auth, requireSelfOrRole('coachId', 'ADMIN'), availabilityController.deleteBlockedDate);
+
+/**
+ * @swagger
+ * /coaches/{coachId}/schedule/vacations:
+ *   post:
+ *     summary: Add a vacation
+ *     description: The coach has no slots from the first to the last day. Existing bookings are kept and listed in conflictingWorkouts.
+ *     tags: [Coaches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/VacationRequest'
+ *     responses:
+ *       201:
+ *         description: The updated schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ScheduleConflicts'
+ *       400:
+ *         description: Invalid dates, a vacation in the past or longer than 366 days
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach not found
+ *       409:
+ *         description: The vacation overlaps another vacation
+ */
+router.post('/:coachId/schedule/vacations', auth, requireSelfOrRole('coachId', 'ADMIN'), availabilityController.addVacation);
+
+/**
+ * @swagger
+ * /coaches/{coachId}/schedule/vacations/{entryId}:
+ *   delete:
+ *     summary: Remove a vacation
+ *     tags: [Coaches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: coachId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The updated schedule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CoachSchedule'
+ *       403:
+ *         description: Access denied
+ *       404:
+ *         description: Coach or vacation not found
+ */
+router.delete('/:coachId/schedule/vacations/:entryId', auth, requireSelfOrRole('coachId', 'ADMIN'), availabilityController.deleteVacation);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require("express");
 const router = express.Router();
 const feedbackController = require("../controllers/feedbackController");
 const auth = require("../middleware/auth");
+const { requireRole, requireVerifiedEmail } = require("../middleware/authorize");
 
 /**
  * @swagger
@@ -36,6 +37,43 @@ const auth = require("../middleware/auth");
  *           maximum: 5
  *           description: Rating from 1 to 5
  *           example: 4.5
+ *     UpdateFeedbackRequest:
+ *       type: object
+ *       description: At least one of comment and rating
+ *       properties:
+ *         comment:
+ *           type: string
+ *           maxLength: 2000
+ *           example: Great session, the stretching tips helped a lot.
+ *         rating:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 5
+ *           example: 5
+ *     FeedbackEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 60d21b4667d0d8992e610c85
+ *         workoutId:
+ *           type: string
+ *           example: 60d21b4667d0d8992e610c86
+ *         comment:
+ *           type: string
+ *           example: Great session, the stretching tips helped a lot.
+ *         rating:
+ *           type: number
+ *           example: 5
+ *         authorRole:
+ *           type: string
+ *           enum: [CLIENT, COACH]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
  *     SuccessFResponse:
  *       type: object
  *       properties:
@@ -133,7 +171,7 @@ const auth = require("../middleware/auth");
  *                   type: string
  *                   example: Unauthorized access
  *       403:
- *         description: Forbidden - not authorized for this workout
+ *         description: Forbidden - email not verified, or not authorized for this workout
  *         content:
  *           application/json:
  *             schema:
@@ -151,6 +189,65 @@ const auth = require("../middleware/auth");
  *             schema:
  *               $ref: '#/components/schemas/ServerError'
  */
-router.post("/", auth, feedbackController.giveFeedback);
+router.post("/", auth, requireRole("CLIENT", "COACH"), requireVerifiedEmail, feedbackController.giveFeedback);
+
+/**
+ * @swagger
+ * /feedbacks/{feedbackId}:
+ *   patch:
+ *     summary: Change your feedback
+ *     description: |
+ *       The author of a feedback can correct its comment or rating. A changed client
+ *       rating updates the coach's rating aggregate.
+ *     tags: [Feedbacks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: feedbackId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateFeedbackRequest'
+ *     responses:
+ *       200:
+ *         description: The updated feedback
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/FeedbackEntry'
+ *       400:
+ *         description: Invalid feedback ID, comment or rating
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationFError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Not the author of this feedback
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthorizationFError'
+ *       404:
+ *         description: Feedback not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.patch("/:feedbackId", auth, requireRole("CLIENT", "COACH"), requireVerifiedEmail, feedbackController.updateFeedback);
 
 module.exports = router;
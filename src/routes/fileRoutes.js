@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const fileController = require('../controllers/fileController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Files
+ *   description: Files kept by the configured storage backend
+ */
+
+/**
+ * @swagger
+ * /files/{key}:
+ *   get:
+ *     summary: Download a stored file
+ *     description: Streams a file such as a profile image or certificate. Upload responses contain the full URL, so clients normally do not build it themselves. The key may contain slashes, e.g. img/9e2422cd-7046-4547-8e63-f8e96134cdc4.png.
+ *     tags: [Files]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: key
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: img/9e2422cd-7046-4547-8e63-f8e96134cdc4.png
+ *     responses:
+ *       200:
+ *         description: File content
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: File not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: File not found
+ */
+router.get('/*key', fileController.getFile);
+
+module.exports = router;
@@ -1,7 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/userController');
+const sessionController = require('../controllers/sessionController');
+const documentController = require('../controllers/documentController');
+const measurementController = require('../controllers/measurementController');
+const goalController = require('../controllers/goalController');
 const auth = require('../middleware/auth');
+const { requireRole, requireSelfOrRole, requireSelfCoachOrRole } = require('../middleware/authorize');
+const { uploadFile } = require('../middleware/upload');
 
 /**
  * @swagger
@@ -35,16 +41,8 @@ const auth = require('../middleware/auth');
  *           type: string
  *           description: User's professional title
  *           example: Certified Personal Trainer
- *         imageUrl:
- *           type: string
- *           description: URL to user's profile image
- *           example: https://team-1-deployment-bucket.s3.eu-west-1.amazonaws.com/img/profile.jpg
- *         fileUrls:
- *           type: array
- *           items:
- *             type: string
- *           description: URLs to user's uploaded files
- *           example: ["https://team-1-deployment-bucket.s3.eu-west-1.amazonaws.com/files/certificate.pdf"]
+ *         image:
+ *           $ref: '#/components/schemas/AvatarImage'
  *         role:
  *           type: string
  *           enum: [CLIENT, COACH]
@@ -64,6 +62,11 @@ const auth = require('../middleware/auth');
  *           type: string
  *           description: User's fitness goal
  *           example: GENERAL_FITNESS
+ *         timeZone:
+ *           type: string
+ *           nullable: true
+ *           description: IANA time zone; null means the gym's time zone
+ *           example: Europe/Berlin
  *     UpdateProfileRequest:
  *       type: object
  *       properties:
@@ -97,15 +100,20 @@ const auth = require('../middleware/auth');
  *           type: string
  *           description: User's fitness goal
  *           example: GENERAL_FITNESS
+ *         timeZone:
+ *           type: string
+ *           nullable: true
+ *           description: IANA time zone used to read and show dates and times; null or an empty string falls back to the gym's time zone
+ *           example: Europe/Berlin
  *         base64encodedImage:
  *           type: string
- *           description: Base64 encoded profile image
+ *           description: Deprecated, use PUT /users/{userId}/avatar. Base64 encoded profile image; request bodies are limited to JSON_BODY_LIMIT
  *           example: data:image/jpeg;base64,/9j/4AAQSkZJRgABAQEAYABgAAD...
  *         base64encodedFiles:
  *           type: array
  *           items:
  *             type: string
- *           description: Array of base64 encoded files
+ *           description: Deprecated, use POST /users/{userId}/documents. Array of base64 encoded files, each stored as a document of type OTHER
  *           example: ["data:application/pdf;base64,JVBERi0xLjMKJcTl8uXrp..."]
  *     UpdatePasswordRequest:
  *       type: object
@@ -121,7 +129,7 @@ const auth = require('../middleware/auth');
  *         newPassword:
  *           type: string
  *           format: password
- *           description: User's new password
+ *           description: User's new password. Must satisfy the password policy and differ from the last passwords of the account
  *           example: NewPassword456!
  *     SuccessResponse:
  *       type: object
@@ -161,7 +169,57 @@ const auth = require('../middleware/auth');
  *         error:
  *           type: string
  *           description: Detailed error message
- *           example: Error uploading file to S3
+ *           example: Error uploading file
+ *     AvatarImage:
+ *       type: object
+ *       description: Profile image variants (WebP); empty strings when the user has no avatar
+ *       properties:
+ *         thumbnail:
+ *           type: string
+ *           description: 96x96 square
+ *           example: http://localhost:5000/files/img/1f0c2a9e-4b7d-4c1e-9a51-0d6b3e2f8c11.webp
+ *         card:
+ *           type: string
+ *           description: 400x400 square
+ *           example: http://localhost:5000/files/img/7a3e5d21-9c4b-4f0a-8e62-5b1d9c7f3a24.webp
+ *         full:
+ *           type: string
+ *           description: At most 1200 pixels on the longer side
+ *           example: http://localhost:5000/files/img/c84b1f7e-2d3a-4e59-b6c0-9f7e1a2d5b38.webp
+ *     UploadError:
+ *       type: object
+ *       properties:
+ *         message:
+ *           type: string
+ *           example: File is too large. The maximum size is 5 MB
+ *         validOptions:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: Accepted file types, when the type was rejected
+ *     UserSession:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 665f1c2e8b3a4d0012a1b2c3
+ *         userAgent:
+ *           type: string
+ *           description: User agent of the device that started or last refreshed the session
+ *           example: Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X)
+ *         ip:
+ *           type: string
+ *           example: 203.0.113.7
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *         current:
+ *           type: boolean
+ *           description: True for the session making this request
+ *           example: true
  *   securitySchemes:
  *     bearerAuth:
  *       type: http
@@ -209,6 +267,16 @@ const auth = require('../middleware/auth');
  *                 message:
  *                   type: string
  *                   example: Unauthorized access
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Access denied
  *       404:
  *         description: User not found
  *         content:
@@ -222,7 +290,7 @@ const auth = require('../middleware/auth');
  *             schema:
  *               $ref: '#/components/schemas/ServerError'
  */
-router.get('/:userId', auth, userController.getUserProfile);
+router.get('/:userId', auth, requireSelfOrRole('userId', 'ADMIN'), userController.getUserProfile);
 
 /**
  * @swagger
@@ -253,6 +321,12 @@ router.get('/:userId', auth, userController.getUserProfile);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/UserProfile'
+ *       400:
+ *         description: Invalid field values, or an image or file that is not a base64 data URI
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
  *       401:
  *         description: Unauthorized - missing or invalid token
  *         content:
@@ -263,12 +337,28 @@ router.get('/:userId', auth, userController.getUserProfile);
  *                 message:
  *                   type: string
  *                   example: Unauthorized access
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Access denied
  *       404:
  *         description: User not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/NotFoundError'
+ *       415:
+ *         description: The image or a file content is not an accepted type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
  *       500:
  *         description: Server error
  *         content:
@@ -276,7 +366,7 @@ router.get('/:userId', auth, userController.getUserProfile);
  *             schema:
  *               $ref: '#/components/schemas/ServerError'
  */
-router.put('/:userId', auth, userController.updateUserProfile);
+router.put('/:userId', auth, requireSelfOrRole('userId', 'ADMIN'), userController.updateUserProfile);
 
 /**
  * @swagger
@@ -325,12 +415,1525 @@ router.put('/:userId', auth, userController.updateUserProfile);
  *                 message:
  *                   type: string
  *                   example: Unauthorized access
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Access denied
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.put('/:userId/password', auth, requireSelfOrRole('userId'), userController.updateUserPassword);
+
+/**
+ * @swagger
+ * /users/{userId}/avatar:
+ *   put:
+ *     summary: Upload a profile image
+ *     description: Replaces the profile image. Accepts JPEG, PNG or WebP, detected from the file content. The image is auto-rotated, stripped of metadata (EXIF, GPS) and stored as thumbnail, card and full-size WebP variants.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - image
+ *             properties:
+ *               image:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Profile image updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 image:
+ *                   $ref: '#/components/schemas/AvatarImage'
+ *       400:
+ *         description: Invalid user ID, missing file or an image that cannot be decoded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       413:
+ *         description: File larger than UPLOAD_AVATAR_MAX_MB (default 5 MB)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       415:
+ *         description: The file content is not an accepted type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.put('/:userId/avatar', auth, requireSelfOrRole('userId', 'ADMIN'), uploadFile('avatar'), userController.uploadAvatar);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     UserDocument:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 6660a1b467d0d8992e610c85
+ *         name:
+ *           type: string
+ *           example: ACE Personal Trainer Certificate
+ *         type:
+ *           type: string
+ *           enum: [CERTIFICATE, LICENSE, INSURANCE, IDENTITY, OTHER]
+ *           example: CERTIFICATE
+ *         contentType:
+ *           type: string
+ *           example: application/pdf
+ *         size:
+ *           type: integer
+ *           description: File size in bytes
+ *           example: 248312
+ *         uploadedAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-06-01T09:30:00.000Z
+ *         verificationStatus:
+ *           type: string
+ *           enum: [PENDING, VERIFIED, REJECTED]
+ *           example: PENDING
+ *         reviewedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         reviewNote:
+ *           type: string
+ *           nullable: true
+ *           example: Certificate has expired
+ *         url:
+ *           type: string
+ *           description: Signed link to the file, valid until urlExpiresAt (DOCUMENT_URL_TTL_MINUTES, default 15)
+ *           example: http://localhost:5000/files/documents/60d21b4667d0d8992e610c85/0b7d6f0e-2f5e-4a43-9b7c-3d2f1c9e8a10.pdf?expires=1748771400&signature=Yp0...
+ *         urlExpiresAt:
+ *           type: string
+ *           format: date-time
+ *           example: 2025-06-01T09:45:00.000Z
+ *     ReviewDocumentRequest:
+ *       type: object
+ *       required:
+ *         - status
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [PENDING, VERIFIED, REJECTED]
+ *           example: VERIFIED
+ *         note:
+ *           type: string
+ *           maxLength: 500
+ *           description: Reason shown to the user, e.g. why a document was rejected
+ *           example: Certificate has expired
+ */
+
+/**
+ * @swagger
+ * /users/{userId}/documents:
+ *   get:
+ *     summary: List documents
+ *     description: Certificates and other documents of the user, newest first. Each one carries a short-lived signed link to its file.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Documents of the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserDocument'
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   post:
+ *     summary: Upload a document
+ *     description: Adds a certificate or other document for an admin to verify. Accepts PDF, JPEG or PNG, detected from the file content. The file is private and only served through signed links.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               name:
+ *                 type: string
+ *                 maxLength: 200
+ *                 description: Display name; defaults to the uploaded file name
+ *                 example: ACE Personal Trainer Certificate
+ *               type:
+ *                 type: string
+ *                 enum: [CERTIFICATE, LICENSE, INSURANCE, IDENTITY, OTHER]
+ *                 default: CERTIFICATE
+ *     responses:
+ *       201:
+ *         description: Document stored, pending verification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserDocument'
+ *       400:
+ *         description: Invalid user ID, name or type, or missing file
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
  *       404:
  *         description: User not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/NotFoundError'
+ *       413:
+ *         description: File larger than UPLOAD_DOCUMENT_MAX_MB (default 10 MB)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       415:
+ *         description: The file content is not an accepted type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UploadError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:userId/documents', auth, requireSelfOrRole('userId', 'ADMIN'), documentController.getUserDocuments);
+router.post('/:userId/documents', auth, requireSelfOrRole('userId', 'ADMIN'), uploadFile('document'), documentController.uploadDocument);
+
+/**
+ * @swagger
+ * /users/{userId}/documents/{documentId}:
+ *   get:
+ *     summary: Get a document
+ *     description: Returns the document with a new signed link, e.g. after the previous link expired
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *     responses:
+ *       200:
+ *         description: The document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserDocument'
+ *       400:
+ *         description: Invalid ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   delete:
+ *     summary: Delete a document
+ *     description: Removes the document and its file
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *     responses:
+ *       200:
+ *         description: Document deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:userId/documents/:documentId', auth, requireSelfOrRole('userId', 'ADMIN'), documentController.getUserDocument);
+router.delete('/:userId/documents/:documentId', auth, requireSelfOrRole('userId', 'ADMIN'), documentController.deleteUserDocument);
+
+/**
+ * @swagger
+ * /users/{userId}/documents/{documentId}/verification:
+ *   patch:
+ *     summary: Review a document (admin)
+ *     description: Marks a document as verified or rejected, or back to pending
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: documentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the document
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReviewDocumentRequest'
+ *     responses:
+ *       200:
+ *         description: Updated document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UserDocument'
+ *       400:
+ *         description: Invalid ID, status or note
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - admin role required
+ *       404:
+ *         description: Document not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.patch('/:userId/documents/:documentId/verification', auth, requireRole('ADMIN'), documentController.reviewUserDocument);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Girths:
+ *       type: object
+ *       description: Girths in centimetres
+ *       properties:
+ *         neck:
+ *           type: number
+ *           example: 38
+ *         chest:
+ *           type: number
+ *           example: 102
+ *         waist:
+ *           type: number
+ *           example: 86.5
+ *         hips:
+ *           type: number
+ *           example: 98
+ *         arm:
+ *           type: number
+ *           example: 34
+ *         thigh:
+ *           type: number
+ *           example: 58
+ *         calf:
+ *           type: number
+ *           example: 38
+ *     CustomMetric:
+ *       type: object
+ *       required:
+ *         - name
+ *         - value
+ *       properties:
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *           example: VO2 max
+ *         value:
+ *           type: number
+ *           example: 42
+ *         unit:
+ *           type: string
+ *           maxLength: 20
+ *           example: ml/kg/min
+ *     MeasurementRequest:
+ *       type: object
+ *       description: At least one metric is required. In updates, null removes a value.
+ *       properties:
+ *         measuredAt:
+ *           type: string
+ *           format: date-time
+ *           description: When the measurement was taken; defaults to now and cannot be in the future
+ *           example: 2025-06-01T07:30:00+05:30
+ *         weightKg:
+ *           type: number
+ *           minimum: 20
+ *           maximum: 400
+ *           example: 78.4
+ *         bodyFatPercent:
+ *           type: number
+ *           minimum: 1
+ *           maximum: 75
+ *           example: 21.5
+ *         restingHeartRate:
+ *           type: number
+ *           minimum: 20
+ *           maximum: 250
+ *           example: 62
+ *         girths:
+ *           $ref: '#/components/schemas/Girths'
+ *         custom:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/CustomMetric'
+ *         note:
+ *           type: string
+ *           maxLength: 500
+ *           example: Morning, before breakfast
+ *     Measurement:
+ *       allOf:
+ *         - $ref: '#/components/schemas/MeasurementRequest'
+ *         - type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *               example: 6660a1b467d0d8992e610c90
+ *             localMeasuredAt:
+ *               type: string
+ *               description: measuredAt in the caller's time zone
+ *               example: 2025-06-01T07:30:00+05:30
+ *             recordedBy:
+ *               type: string
+ *               example: 60d21b4667d0d8992e610c85
+ *     MeasurementPage:
+ *       type: object
+ *       properties:
+ *         content:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Measurement'
+ *         currentPage:
+ *           type: integer
+ *           example: 1
+ *         totalElements:
+ *           type: integer
+ *           example: 12
+ *         totalPages:
+ *           type: integer
+ *           example: 1
+ *     MetricPoint:
+ *       type: object
+ *       properties:
+ *         value:
+ *           type: number
+ *           example: 78.4
+ *         measuredAt:
+ *           type: string
+ *           format: date-time
+ *     MeasurementSummary:
+ *       type: object
+ *       properties:
+ *         target:
+ *           type: string
+ *           example: LOSE_WEIGHT
+ *         from:
+ *           type: string
+ *           nullable: true
+ *           example: 2025-01-01
+ *         to:
+ *           type: string
+ *           nullable: true
+ *           example: 2025-06-30
+ *         timeZone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         totalMeasurements:
+ *           type: integer
+ *           example: 12
+ *         metrics:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               metric:
+ *                 type: string
+ *                 example: weightKg
+ *               unit:
+ *                 type: string
+ *                 example: kg
+ *               count:
+ *                 type: integer
+ *                 example: 12
+ *               first:
+ *                 $ref: '#/components/schemas/MetricPoint'
+ *               latest:
+ *                 $ref: '#/components/schemas/MetricPoint'
+ *               change:
+ *                 type: number
+ *                 description: latest minus first
+ *                 example: -3.6
+ *               min:
+ *                 type: number
+ *                 example: 78.4
+ *               max:
+ *                 type: number
+ *                 example: 82
+ *               average:
+ *                 type: number
+ *                 example: 80.1
+ *     MeasurementTrend:
+ *       type: object
+ *       properties:
+ *         metric:
+ *           type: string
+ *           example: weightKg
+ *         unit:
+ *           type: string
+ *           example: kg
+ *         interval:
+ *           type: string
+ *           enum: [day, week, month]
+ *           example: week
+ *         timeZone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         points:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               periodStart:
+ *                 type: string
+ *                 format: date
+ *                 description: First local day of the period (weeks start on Monday)
+ *                 example: 2025-05-26
+ *               average:
+ *                 type: number
+ *                 example: 79.2
+ *               min:
+ *                 type: number
+ *                 example: 78.9
+ *               max:
+ *                 type: number
+ *                 example: 79.6
+ *               count:
+ *                 type: integer
+ *                 example: 3
+ */
+
+/**
+ * @swagger
+ * /users/{userId}/measurements:
+ *   get:
+ *     summary: List body measurements
+ *     description: Measurements of the user, newest first. Readable by the user, admins and coaches who have had a workout with the user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to include (YYYY-MM-DD, in the caller's time zone)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to include (YYYY-MM-DD, in the caller's time zone)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: A page of measurements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MeasurementPage'
+ *       400:
+ *         description: Invalid user ID or date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   post:
+ *     summary: Record a body measurement
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MeasurementRequest'
+ *     responses:
+ *       201:
+ *         description: Measurement recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Measurement'
+ *       400:
+ *         description: Invalid values, no metric, or a future measuredAt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:userId/measurements', auth, requireSelfCoachOrRole('userId', 'ADMIN'), measurementController.getMeasurements);
+router.post('/:userId/measurements', auth, requireSelfOrRole('userId', 'ADMIN'), measurementController.createMeasurement);
+
+/**
+ * @swagger
+ * /users/{userId}/measurements/summary:
+ *   get:
+ *     summary: Summarize body measurements
+ *     description: For every metric in the range, the first and latest value, the change between them, min, max and average, together with the user's target. Readable by the user, admins and coaches who have had a workout with the user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to include (YYYY-MM-DD, in the caller's time zone)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to include (YYYY-MM-DD, in the caller's time zone)
+ *     responses:
+ *       200:
+ *         description: Summary per metric
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MeasurementSummary'
+ *       400:
+ *         description: Invalid user ID or date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:userId/measurements/summary', auth, requireSelfCoachOrRole('userId', 'ADMIN'), measurementController.getMeasurementSummary);
+
+/**
+ * @swagger
+ * /users/{userId}/measurements/trends:
+ *   get:
+ *     summary: Trend of one metric
+ *     description: Averages of one metric per day, week or month, with periods in the caller's time zone. Requires MongoDB 5.0 or later. Readable by the user, admins and coaches who have had a workout with the user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: query
+ *         name: metric
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: weightKg, bodyFatPercent, restingHeartRate, girths.<neck|chest|waist|hips|arm|thigh|calf>, or custom:<name>
+ *         example: weightKg
+ *       - in: query
+ *         name: interval
+ *         schema:
+ *           type: string
+ *           enum: [day, week, month]
+ *           default: week
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: First day to include (YYYY-MM-DD, in the caller's time zone)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Last day to include (YYYY-MM-DD, in the caller's time zone)
+ *     responses:
+ *       200:
+ *         description: One point per period that has values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MeasurementTrend'
+ *       400:
+ *         description: Invalid user ID, metric, interval or date range
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:userId/measurements/trends', auth, requireSelfCoachOrRole('userId', 'ADMIN'), measurementController.getMeasurementTrends);
+
+/**
+ * @swagger
+ * /users/{userId}/measurements/{measurementId}:
+ *   get:
+ *     summary: Get a body measurement
+ *     description: Readable by the user, admins and coaches who have had a workout with the user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: measurementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the measurement
+ *     responses:
+ *       200:
+ *         description: The measurement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Measurement'
+ *       400:
+ *         description: Invalid ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: Measurement not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   patch:
+ *     summary: Correct a body measurement
+ *     description: Changes the given fields; null removes a value. At least one metric must remain.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: measurementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the measurement
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/MeasurementRequest'
+ *     responses:
+ *       200:
+ *         description: Updated measurement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Measurement'
+ *       400:
+ *         description: Invalid ID or values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: Measurement not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   delete:
+ *     summary: Delete a body measurement
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: measurementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the measurement
+ *     responses:
+ *       200:
+ *         description: Measurement deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: Measurement not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:userId/measurements/:measurementId', auth, requireSelfCoachOrRole('userId', 'ADMIN'), measurementController.getMeasurement);
+router.patch('/:userId/measurements/:measurementId', auth, requireSelfOrRole('userId', 'ADMIN'), measurementController.updateMeasurement);
+router.delete('/:userId/measurements/:measurementId', auth, requireSelfOrRole('userId', 'ADMIN'), measurementController.deleteMeasurement);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CreateGoalRequest:
+ *       type: object
+ *       required:
+ *         - targetValue
+ *       properties:
+ *         target:
+ *           type: string
+ *           enum: [LOSE_WEIGHT, GAIN_WEIGHT, IMPROVE_FLEXIBILITY, GENERAL_FITNESS, BUILD_MUSCLE, REHABILITATION_RECOVERY]
+ *           description: Defaults to the user's target
+ *         metric:
+ *           type: string
+ *           description: workouts, a body metric (weightKg, bodyFatPercent, restingHeartRate, girths.<name>) or custom:<name>. Defaults from the target - weightKg for LOSE_WEIGHT and GAIN_WEIGHT, girths.arm for BUILD_MUSCLE, workouts otherwise
+ *           example: weightKg
+ *         baseline:
+ *           type: number
+ *           description: Starting value; defaults to the latest measurement of the metric, and is always 0 for workouts
+ *           example: 82
+ *         targetValue:
+ *           type: number
+ *           description: Value to reach; for workouts, the number of workouts to complete
+ *           example: 76
+ *         deadline:
+ *           type: string
+ *           format: date
+ *           description: Last day (YYYY-MM-DD) in the caller's time zone
+ *           example: 2025-09-30
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *           example: Summer cut
+ *     UpdateGoalRequest:
+ *       type: object
+ *       properties:
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         targetValue:
+ *           type: number
+ *         deadline:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           description: null removes the deadline
+ *         status:
+ *           type: string
+ *           enum: [ACTIVE, ABANDONED]
+ *     Goal:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           example: 6660a1b467d0d8992e610c91
+ *         target:
+ *           type: string
+ *           example: LOSE_WEIGHT
+ *         title:
+ *           type: string
+ *           example: Summer cut
+ *         metric:
+ *           type: string
+ *           example: weightKg
+ *         unit:
+ *           type: string
+ *           example: kg
+ *         baseline:
+ *           type: number
+ *           example: 82
+ *         targetValue:
+ *           type: number
+ *           example: 76
+ *         currentValue:
+ *           type: number
+ *           description: Latest measurement since the goal started, or workouts completed since then
+ *           example: 79.1
+ *         progressPercent:
+ *           type: integer
+ *           example: 48
+ *         status:
+ *           type: string
+ *           enum: [ACTIVE, ACHIEVED, ABANDONED]
+ *           example: ACTIVE
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         deadline:
+ *           type: string
+ *           format: date
+ *           nullable: true
+ *           example: 2025-09-30
+ *         achievedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         milestones:
+ *           type: array
+ *           description: Progress thresholds (25, 50, 75, 100 percent) with the value and time they were first reached
+ *           items:
+ *             type: object
+ *             properties:
+ *               percent:
+ *                 type: integer
+ *                 example: 25
+ *               value:
+ *                 type: number
+ *                 example: 80.4
+ *               reachedAt:
+ *                 type: string
+ *                 format: date-time
+ *         daysRemaining:
+ *           type: integer
+ *           description: Only for goals with a deadline
+ *           example: 41
+ *         expectedProgressPercent:
+ *           type: integer
+ *           description: Progress expected by now at an even pace; only for goals with a deadline
+ *           example: 55
+ *         onTrack:
+ *           type: boolean
+ *           example: false
+ *         overdue:
+ *           type: boolean
+ *           example: false
+ *     GoalSummary:
+ *       type: object
+ *       properties:
+ *         target:
+ *           type: string
+ *           example: LOSE_WEIGHT
+ *         timeZone:
+ *           type: string
+ *           example: Asia/Kolkata
+ *         counts:
+ *           type: object
+ *           properties:
+ *             ACTIVE:
+ *               type: integer
+ *               example: 2
+ *             ACHIEVED:
+ *               type: integer
+ *               example: 1
+ *             ABANDONED:
+ *               type: integer
+ *               example: 0
+ *         content:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/Goal'
+ */
+
+/**
+ * @swagger
+ * /users/{userId}/goals:
+ *   get:
+ *     summary: Goals and progress
+ *     description: The user's target and goals, active first, with progress recomputed from logged measurements and completed workouts. Readable by the user, admins and coaches who have had a workout with the user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [ACTIVE, ACHIEVED, ABANDONED]
+ *     responses:
+ *       200:
+ *         description: Goal summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GoalSummary'
+ *       400:
+ *         description: Invalid user ID or status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   post:
+ *     summary: Create a goal
+ *     description: Only targetValue is required; the metric and baseline are derived from the user's target and latest measurement
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateGoalRequest'
+ *     responses:
+ *       201:
+ *         description: Goal created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Goal'
+ *       400:
+ *         description: Invalid values, or no measurement to take the baseline from
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:userId/goals', auth, requireSelfCoachOrRole('userId', 'ADMIN'), goalController.getUserGoals);
+router.post('/:userId/goals', auth, requireSelfOrRole('userId', 'ADMIN'), goalController.createGoal);
+
+/**
+ * @swagger
+ * /users/{userId}/goals/{goalId}:
+ *   patch:
+ *     summary: Update a goal
+ *     description: Changes the title, target value or deadline, or abandons / resumes the goal. Achieved goals can only be renamed.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the goal
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateGoalRequest'
+ *     responses:
+ *       200:
+ *         description: Updated goal
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Goal'
+ *       400:
+ *         description: Invalid ID or values
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: Goal not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       409:
+ *         description: The goal has been achieved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ *   delete:
+ *     summary: Delete a goal
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: goalId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the goal
+ *     responses:
+ *       200:
+ *         description: Goal deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: Goal not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.patch('/:userId/goals/:goalId', auth, requireSelfOrRole('userId', 'ADMIN'), goalController.updateGoal);
+router.delete('/:userId/goals/:goalId', auth, requireSelfOrRole('userId', 'ADMIN'), goalController.deleteGoal);
+
+/**
+ * @swagger
+ * /users/{userId}/sessions:
+ *   get:
+ *     summary: List active sessions
+ *     description: Devices the user is currently signed in on, most recently active first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 content:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/UserSession'
+ *       400:
+ *         description: Invalid user ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServerError'
+ */
+router.get('/:userId/sessions', auth, requireSelfOrRole('userId', 'ADMIN'), sessionController.getUserSessions);
+
+/**
+ * @swagger
+ * /users/{userId}/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session
+ *     description: Signs out one device, e.g. a lost phone. Its access and refresh tokens stop working immediately.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the user
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID of the session
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Invalid ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationPError'
+ *       401:
+ *         description: Unauthorized - missing or invalid token
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *       404:
+ *         description: Session not found or already revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotFoundError'
  *       500:
  *         description: Server error
  *         content:
@@ -338,6 +1941,6 @@ router.put('/:userId', auth, userController.updateUserProfile);
  *             schema:
  *               $ref: '#/components/schemas/ServerError'
  */
-router.put('/:userId/password', auth, userController.updateUserPassword);
+router.delete('/:userId/sessions/:sessionId', auth, requireSelfOrRole('userId', 'ADMIN'), sessionController.revokeUserSession);
 
 module.exports = router;
\ No newline at end of file
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const workoutController = require('../controllers/workoutController');
 const auth = require('../middleware/auth');
+const { requireRole, requireVerifiedEmail } = require('../middleware/authorize');
 
 /**
  * @swagger
@@ -37,10 +38,16 @@ const auth = require('../middleware/auth');
  *             type: string
  *           description: Coach's available time slots
  *           example: ["9:00 AM - 10:00 AM", "2:00 PM - 3:00 PM"]
- *         imageUrl:
- *           type: string
- *           description: URL to coach's profile image
- *           example: https://example.com/coach.jpg
+ *         image:
+ *           type: object
+ *           description: Coach avatar variants (thumbnail and card)
+ *           properties:
+ *             thumbnail:
+ *               type: string
+ *               example: http://localhost:5000/files/img/1f0c2a9e-4b7d-4c1e-9a51-0d6b3e2f8c11.webp
+ *             card:
+ *               type: string
+ *               example: http://localhost:5000/files/img/7a3e5d21-9c4b-4f0a-8e62-5b1d9c7f3a24.webp
  *         about:
  *           type: string
  *           description: Coach's bio or description
@@ -52,6 +59,10 @@ const auth = require('../middleware/auth');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/AvailableCoach'
+ *         timeZone:
+ *           type: string
+ *           description: Time zone the local times in this response are rendered in
+ *           example: Asia/Kolkata
  *     Workout:
  *       type: object
  *       properties:
@@ -74,8 +85,12 @@ const auth = require('../middleware/auth');
  *         dateTime:
  *           type: string
  *           format: date-time
- *           description: Date and time of the workout
- *           example: 2023-06-15T14:00:00.000Z
+ *           description: Date and time of the workout (UTC)
+ *           example: 2023-06-15T08:30:00.000Z
+ *         localDateTime:
+ *           type: string
+ *           description: The same instant in the user's time zone, with its offset
+ *           example: 2023-06-15T14:00:00+05:30
  *         state:
  *           type: string
  *           enum: [AVAILABLE, SCHEDULED, IN_PROGRESS, WAITING_FOR_FEEDBACK, FINISHED, CANCELED]
@@ -97,9 +112,12 @@ const auth = require('../middleware/auth');
  *             email:
  *               type: string
  *               example: coach@example.com
- *             imageUrl:
- *               type: string
- *               example: https://example.com/coach.jpg
+ *             image:
+ *               type: object
+ *               properties:
+ *                 thumbnail:
+ *                   type: string
+ *                   example: http://localhost:5000/files/img/1f0c2a9e-4b7d-4c1e-9a51-0d6b3e2f8c11.webp
  *             title:
  *               type: string
  *               example: Certified Yoga Instructor
@@ -126,6 +144,10 @@ const auth = require('../middleware/auth');
  *           type: array
  *           items:
  *             $ref: '#/components/schemas/Workout'
+ *         timeZone:
+ *           type: string
+ *           description: Time zone the local times in this response are rendered in
+ *           example: Asia/Kolkata
  *     BookWorkoutRequest:
  *       type: object
  *       required:
@@ -140,12 +162,16 @@ const auth = require('../middleware/auth');
  *         date:
  *           type: string
  *           format: date
- *           description: Date for the workout (YYYY-MM-DD format)
+ *           description: Date for the workout (YYYY-MM-DD format) in the client's time zone
  *           example: 2023-06-15
  *         timeSlot:
  *           type: string
- *           description: Time for the workout (HH:MM format)
+ *           description: Time for the workout (HH:MM format) in the client's time zone
  *           example: 14:00
+ *         timeZone:
+ *           type: string
+ *           description: IANA time zone of date and timeSlot. Pass the timeZone the slot was listed in; defaults to the client's own time zone, then the gym's
+ *           example: Europe/Berlin
  *     BookWorkoutResponse:
  *       type: object
  *       properties:
@@ -165,7 +191,15 @@ const auth = require('../middleware/auth');
  *         dateTime:
  *           type: string
  *           format: date-time
- *           example: 2023-06-15T14:00:00.000Z
+ *           example: 2023-06-15T08:30:00.000Z
+ *         localDateTime:
+ *           type: string
+ *           description: The same instant in the time zone the booking was read in
+ *           example: 2023-06-15T14:00:00+05:30
+ *         timeZone:
+ *           type: string
+ *           description: Time zone date and timeSlot were read in
+ *           example: Asia/Kolkata
  *         coachId:
  *           type: string
  *           example: 60d21b4667d0d8992e610c85
@@ -250,7 +284,7 @@ const auth = require('../middleware/auth');
  * /workouts/available:
  *   get:
  *     summary: Get available coaches for workouts
- *     description: Retrieves coaches available at the specified date and time, optionally filtered by activity or coach ID
+ *     description: Retrieves coaches available at the specified date and time, optionally filtered by activity or coach ID. The date and time are read in the given time zone (default the gym's); coach slots are converted from each coach's zone.
  *     tags: [Workouts]
  *     parameters:
  *       - in: query
@@ -282,6 +316,13 @@ const auth = require('../middleware/auth');
  *           type: string
  *         description: ID of the coach
  *         example: 60d21b4667d0d8992e610c85
+ *       - in: query
+ *         name: timeZone
+ *         required: false
+ *         schema:
+ *           type: string
+ *         description: IANA time zone of the date and time; defaults to the gym's time zone
+ *         example: Europe/Berlin
  *     responses:
  *       200:
  *         description: List of available coaches
@@ -309,7 +350,7 @@ router.get('/available', workoutController.getAvailableWorkout);
  * /workouts:
  *   post:
  *     summary: Book a new workout
- *     description: Books a workout with a coach at a specific date and time
+ *     description: Books a workout with a coach at a specific date and time in the client's time zone (their profile setting, or the gym's). The workout is stored in UTC.
  *     tags: [Workouts]
  *     security:
  *       - bearerAuth: []
@@ -348,6 +389,16 @@ router.get('/available', workoutController.getAvailableWorkout);
  *                 message:
  *                   type: string
  *                   example: Unauthorized access
+ *       403:
+ *         description: Forbidden - only clients with a verified email can book workouts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Access denied
  *       404:
  *         description: Coach or client not found, or time slot not available
  *         content:
@@ -367,14 +418,14 @@ router.get('/available', workoutController.getAvailableWorkout);
  *             schema:
  *               $ref: '#/components/schemas/ServerError'
  */
-router.post('/', auth, workoutController.bookNewWorkout);
+router.post('/', auth, requireRole('CLIENT'), requireVerifiedEmail, workoutController.bookNewWorkout);
 
 /**
  * @swagger
  * /workouts/booked:
  *   get:
  *     summary: Get user's booked workouts
- *     description: Retrieves all workouts for the authenticated user (client or coach)
+ *     description: Retrieves all workouts for the authenticated user (client or coach), with local times in the user's time zone
  *     tags: [Workouts]
  *     security:
  *       - bearerAuth: []
@@ -405,6 +456,16 @@ router.post('/', auth, workoutController.bookNewWorkout);
  *                 message:
  *                   type: string
  *                   example: Unauthorized access
+ *       403:
+ *         description: Forbidden - the user's role or ownership does not allow this action
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Access denied
  *       500:
  *         description: Internal server error
  *         content:
@@ -416,7 +477,7 @@ router.post('/', auth, workoutController.bookNewWorkout);
  *                   type: string
  *                   example: Error fetching workouts
  */
-router.get('/booked', auth, workoutController.getUserWorkouts);
+router.get('/booked', auth, requireRole('CLIENT', 'COACH'), workoutController.getUserWorkouts);
 
 /**
  * @swagger
@@ -490,6 +551,6 @@ router.get('/booked', auth, workoutController.getUserWorkouts);
  *                   type: string
  *                   example: Error cancelling workout
  */
-router.delete('/:workoutId', auth, workoutController.cancelWorkout);
+router.delete('/:workoutId', auth, requireRole('CLIENT', 'COACH'), workoutController.cancelWorkout);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,68 @@
+// One-off backfill: feedback ratings used to be strings and User.rating an unused
+// string. This converts the stored ratings to numbers and computes the rating
+// aggregate of every coach. It can be re-run at any time to rebuild the aggregates.
+//
+// Usage: npm run migrate:coach-ratings
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const mongoose = require("mongoose");
+const Feedback = require("../models/Feedback");
+const User = require("../models/User");
+const { refreshCoachRating } = require("../utils/coachRatings");
+
+async function backfillCoachRatings() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Raw collection updates: the schema no longer accepts string ratings
+  const converted = await Feedback.collection.updateMany({ rating: { $type: "string" } }, [
+    {
+      $set: {
+        rating: {
+          $convert: { input: { $trim: { input: "$rating" } }, to: "double", onError: "$rating" },
+        },
+      },
+    },
+  ]);
+
+  // Unreadable or out-of-range ratings are reported and left for a manual fix
+  const invalid = await Feedback.collection
+    .find(
+      {
+        $or: [
+          { rating: { $not: { $type: "number" } } },
+          { rating: { $lt: 1 } },
+          { rating: { $gt: 5 } },
+        ],
+      },
+      { projection: { rating: 1, coachId: 1 } }
+    )
+    .toArray();
+  for (const { _id, rating, coachId } of invalid) {
+    console.error(`Feedback ${_id} of coach ${coachId} has an invalid rating: ${JSON.stringify(rating)}`);
+  }
+
+  // Drop the legacy string ratings of other users; coaches get theirs replaced below
+  await User.collection.updateMany(
+    { role: { $ne: "COACH" }, rating: { $type: "string" } },
+    { $unset: { rating: "" } }
+  );
+
+  let coaches = 0;
+  for await (const { _id } of User.find({ role: "COACH" }).select("_id").lean().cursor()) {
+    await refreshCoachRating(_id);
+    coaches++;
+  }
+
+  console.log(
+    `Ratings: ${converted.modifiedCount} converted, ${invalid.length} invalid; ${coaches} coaches updated`
+  );
+}
+
+backfillCoachRatings()
+  .catch((err) => {
+    console.error("Backfill failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
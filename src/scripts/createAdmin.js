@@ -0,0 +1,69 @@
+// Bootstrap the first ADMIN account.
+//
+// Usage: ADMIN_EMAIL=... ADMIN_PASSWORD=... npm run create-admin
+// If a user with ADMIN_EMAIL already exists it is promoted instead of created.
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+const { revokeAllSessions } = require("../utils/session");
+const { checkPasswordRules, setPassword } = require("../utils/passwordPolicy");
+
+dotenv.config();
+
+async function createAdmin() {
+  const {
+    ADMIN_EMAIL,
+    ADMIN_PASSWORD,
+    ADMIN_FIRST_NAME = "Admin",
+    ADMIN_LAST_NAME = "User",
+  } = process.env;
+
+  if (!ADMIN_EMAIL) {
+    throw new Error("ADMIN_EMAIL is required");
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const existingAdmin = await User.findOne({ role: "ADMIN" });
+  if (existingAdmin) {
+    console.log(`An admin already exists (${existingAdmin.email}), nothing to do`);
+    return;
+  }
+
+  let user = await User.findOne({ email: ADMIN_EMAIL });
+  if (user) {
+    user.role = "ADMIN";
+    await user.save();
+    // Existing tokens still carry the old role
+    await revokeAllSessions(user._id, "ROLE_CHANGED");
+    console.log(`Promoted ${user.email} to ADMIN`);
+    return;
+  }
+
+  if (!ADMIN_PASSWORD) {
+    throw new Error("ADMIN_PASSWORD is required to create a new admin user");
+  }
+
+  const passwordValidation = checkPasswordRules(ADMIN_PASSWORD);
+  if (!passwordValidation.isValid) {
+    throw new Error(`ADMIN_PASSWORD rejected: ${passwordValidation.message}`);
+  }
+
+  user = new User({
+    firstName: ADMIN_FIRST_NAME,
+    lastName: ADMIN_LAST_NAME,
+    email: ADMIN_EMAIL,
+    role: "ADMIN",
+    target: "GENERAL_FITNESS",
+  });
+  await setPassword(user, ADMIN_PASSWORD);
+  await user.save();
+  console.log(`Created admin ${user.email}`);
+}
+
+createAdmin()
+  .catch((err) => {
+    console.error("Failed to create admin:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,65 @@
+// One-off migration: replace the legacy User.imageUrl string with avatar variants.
+// Each old image is downloaded and run through the avatar pipeline; if that fails
+// (deleted file, unreachable bucket) the old URL is kept for every variant.
+//
+// Usage: npm run migrate:avatars
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { storeAvatar } = require("../utils/avatar");
+
+async function downloadImage(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`download failed with status ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+async function migrateAvatars() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // imageUrl is no longer in the schema, so read it straight from the collection
+  const cursor = User.collection.find(
+    { imageUrl: { $exists: true } },
+    { projection: { imageUrl: 1 } }
+  );
+
+  let processed = 0;
+  let kept = 0;
+  let cleared = 0;
+
+  for await (const { _id, imageUrl } of cursor) {
+    const update = { $unset: { imageUrl: "" } };
+
+    if (imageUrl) {
+      try {
+        const { image, keys } = await storeAvatar(await downloadImage(imageUrl));
+        update.$set = { image, imageKeys: keys };
+        processed++;
+      } catch (error) {
+        console.error(`Keeping original image for user ${_id}: ${error.message}`);
+        update.$set = { image: { thumbnail: imageUrl, card: imageUrl, full: imageUrl } };
+        kept++;
+      }
+    } else {
+      cleared++;
+    }
+
+    await User.collection.updateOne({ _id }, update);
+  }
+
+  console.log(
+    `Avatars: ${processed} processed, ${kept} kept as original, ${cleared} empty removed`
+  );
+}
+
+migrateAvatars()
+  .catch((err) => {
+    console.error("Migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,83 @@
+// One-off migration: turn the legacy User.fileUrls strings into UserDocument records.
+// Each file is downloaded and stored again as a private document of type OTHER;
+// files that cannot be downloaded are reported and left where they are.
+//
+// Usage: npm run migrate:documents
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const { fileUrl, deleteFile } = require("../utils/storage");
+const { detectFileType } = require("../utils/fileType");
+const { storeDocument } = require("../utils/documents");
+
+async function downloadFile(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`download failed with status ${response.status}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Storage key of a URL handed out by the storage module, or null for foreign URLs
+const storageKeyOf = (url) => {
+  const prefix = fileUrl("");
+  return url.startsWith(prefix) ? url.slice(prefix.length) : null;
+};
+
+async function migrateDocuments() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // fileUrls is no longer in the schema, so read it straight from the collection
+  const cursor = User.collection.find(
+    { fileUrls: { $exists: true } },
+    { projection: { fileUrls: 1 } }
+  );
+
+  let migrated = 0;
+  let failed = 0;
+
+  for await (const { _id, fileUrls } of cursor) {
+    const remaining = [];
+
+    for (const [index, url] of (fileUrls || []).entries()) {
+      try {
+        const buffer = await downloadFile(url);
+        const contentType = detectFileType(buffer) || "application/octet-stream";
+        await storeDocument(_id, buffer, contentType, {
+          name: `Document ${index + 1}`,
+          type: "OTHER",
+        });
+
+        const key = storageKeyOf(url);
+        if (key) {
+          await deleteFile(key).catch((error) =>
+            console.error(`Error deleting ${key}:`, error.message)
+          );
+        }
+        migrated++;
+      } catch (error) {
+        console.error(`Could not migrate ${url} of user ${_id}: ${error.message}`);
+        remaining.push(url);
+        failed++;
+      }
+    }
+
+    // Failed URLs stay on the user so the migration can be re-run for them
+    const update = remaining.length
+      ? { $set: { fileUrls: remaining } }
+      : { $unset: { fileUrls: "" } };
+    await User.collection.updateOne({ _id }, update);
+  }
+
+  console.log(`Documents: ${migrated} migrated, ${failed} failed`);
+}
+
+migrateDocuments()
+  .catch((err) => {
+    console.error("Migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
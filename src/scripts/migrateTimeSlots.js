@@ -0,0 +1,81 @@
+// One-off migration: coach time slots used to be stored as display strings such as
+// "10:30 AM - 11:30 AM". This converts User.availableTimeSlots and the slots of
+// every CoachAvailability to { startMinute, duration }. Duplicates are dropped and
+// unreadable slots are reported and removed. Already converted slots are kept, so
+// running the script again changes nothing.
+//
+// Usage: npm run migrate:time-slots
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const CoachAvailability = require("../models/CoachAvailability");
+const { toSlot, sortSlots } = require("../utils/timeSlots");
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+let unreadable = 0;
+
+// Structured, de-duplicated slots of a stored list; `owner` names it in reports
+const convertSlots = (slots, owner) =>
+  sortSlots(
+    (slots || [])
+      .map((slot) => {
+        const converted = toSlot(slot);
+        if (!converted) {
+          console.error(`Dropping unreadable slot ${JSON.stringify(slot)} of ${owner}`);
+          unreadable++;
+        }
+        return converted;
+      })
+      .filter(Boolean)
+  );
+
+async function migrateTimeSlots() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // Raw collections: the schemas no longer accept string slots
+  let users = 0;
+  const userCursor = User.collection.find(
+    { availableTimeSlots: { $elemMatch: { $type: "string" } } },
+    { projection: { availableTimeSlots: 1 } }
+  );
+  for await (const { _id, availableTimeSlots } of userCursor) {
+    await User.collection.updateOne(
+      { _id },
+      { $set: { availableTimeSlots: convertSlots(availableTimeSlots, `user ${_id}`) } }
+    );
+    users++;
+  }
+
+  let schedules = 0;
+  for await (const availability of CoachAvailability.collection.find({})) {
+    const owner = `the schedule of coach ${availability.coachId}`;
+    const weeklySchedule = {};
+    for (const day of WEEKDAYS) {
+      weeklySchedule[day] = convertSlots(availability.weeklySchedule?.[day], owner);
+    }
+    const extraSlots = (availability.extraSlots || [])
+      .map((extraSlot) => ({ ...extraSlot, slot: convertSlots([extraSlot.slot], owner)[0] }))
+      .filter((extraSlot) => extraSlot.slot);
+
+    await CoachAvailability.collection.updateOne(
+      { _id: availability._id },
+      { $set: { weeklySchedule, extraSlots } }
+    );
+    schedules++;
+  }
+
+  console.log(
+    `Time slots: ${users} users and ${schedules} schedules converted, ${unreadable} unreadable slots dropped`
+  );
+}
+
+migrateTimeSlots()
+  .catch((err) => {
+    console.error("Migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
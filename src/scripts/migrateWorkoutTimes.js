@@ -0,0 +1,63 @@
+// One-off migration: workouts booked before per-user time zones stored the gym's
+// wall-clock time (IST) as if it were UTC. This rewrites those dateTimes to the
+// real UTC instant. Only workouts created before --before are touched, and each
+// one is marked so that running the script again changes nothing.
+//
+// Usage: npm run migrate:workout-times -- --before=2025-06-01T00:00:00Z
+//        (LEGACY_TIME_ZONE overrides the zone the old times were in, default Asia/Kolkata)
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const mongoose = require("mongoose");
+const Workout = require("../models/Workout");
+const { isValidTimeZone, zonedTimeToUtc } = require("../utils/time");
+
+const argument = (name) => {
+  const prefix = `--${name}=`;
+  const arg = process.argv.find((value) => value.startsWith(prefix));
+  return arg && arg.slice(prefix.length);
+};
+
+async function migrateWorkoutTimes() {
+  const before = new Date(argument("before"));
+  if (Number.isNaN(before.getTime())) {
+    throw new Error("Pass --before=<ISO date>, the time the time zone release was deployed");
+  }
+
+  const legacyTimeZone = process.env.LEGACY_TIME_ZONE || "Asia/Kolkata";
+  if (!isValidTimeZone(legacyTimeZone)) {
+    throw new Error(`Invalid LEGACY_TIME_ZONE "${legacyTimeZone}"`);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  // The marker is not part of the schema, so work on the raw collection
+  const cursor = Workout.collection.find(
+    { createdAt: { $lt: before }, timeZoneMigrated: { $ne: true } },
+    { projection: { dateTime: 1 } }
+  );
+
+  let migrated = 0;
+
+  for await (const { _id, dateTime } of cursor) {
+    // The stored UTC fields are really the wall clock in the legacy zone
+    const wallClock = dateTime.toISOString();
+    const instant = zonedTimeToUtc(wallClock.slice(0, 10), wallClock.slice(11, 16), legacyTimeZone);
+
+    await Workout.collection.updateOne(
+      { _id },
+      { $set: { dateTime: instant, timeZoneMigrated: true } }
+    );
+    migrated++;
+  }
+
+  console.log(`Workouts: ${migrated} converted from ${legacyTimeZone} wall-clock time to UTC`);
+}
+
+migrateWorkoutTimes()
+  .catch((err) => {
+    console.error("Migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,26 @@
+// One-off migration: accounts created before email verification existed are
+// treated as verified, so existing members can keep booking workouts.
+//
+// Usage: npm run migrate:verify-existing-emails
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../models/User");
+
+dotenv.config();
+
+async function verifyExistingEmails() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await User.updateMany(
+    { emailVerified: { $exists: false } },
+    { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+  );
+  console.log(`Marked ${result.modifiedCount} existing users as verified`);
+}
+
+verifyExistingEmails()
+  .catch((err) => {
+    console.error("Migration failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
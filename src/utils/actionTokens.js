@@ -0,0 +1,49 @@
+const ActionToken = require("../models/ActionToken");
+const { generateToken, hashToken } = require("./tokens");
+
+/**
+ * Issue a new token of the given type for a user, replacing any unused one.
+ * Returns the raw token, which is only ever sent to the user.
+ */
+async function issueActionToken(userId, type, ttlMinutes) {
+  await ActionToken.deleteMany({ userId, type, usedAt: null });
+
+  const token = generateToken();
+  await ActionToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+  });
+  return token;
+}
+
+/**
+ * Look up a usable token without consuming it
+ */
+async function findActionToken(token, type) {
+  return ActionToken.findOne({
+    tokenHash: hashToken(token),
+    type,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+}
+
+/**
+ * Mark a token as used and return it, or null if it is unknown, expired or already used
+ */
+async function consumeActionToken(token, type) {
+  return ActionToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+}
+
+module.exports = { issueActionToken, findActionToken, consumeActionToken };
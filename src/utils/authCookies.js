@@ -0,0 +1,138 @@
+const jwt = require("jsonwebtoken");
+const { generateToken, hashToken } = require("./tokens");
+
+// Opt-in cookie session mode: tokens go into HttpOnly cookies instead of the response body
+const COOKIE_MODE = process.env.AUTH_COOKIES === "true";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const ACCESS_COOKIE = "access_token";
+const REFRESH_COOKIE = "refresh_token";
+const CSRF_COOKIE = "csrf_token";
+const OIDC_STATE_COOKIE = "oidc_state";
+// The refresh cookie is only ever sent to the auth endpoints
+const REFRESH_COOKIE_PATH = "/auth";
+const OIDC_STATE_COOKIE_PATH = "/auth/oidc";
+
+const baseCookieOptions = () => ({
+  sameSite: process.env.AUTH_COOKIE_SAMESITE || "lax",
+  secure: process.env.AUTH_COOKIE_SECURE
+    ? process.env.AUTH_COOKIE_SECURE === "true"
+    : process.env.NODE_ENV === "production",
+  domain: process.env.AUTH_COOKIE_DOMAIN || undefined,
+});
+
+function setSessionCookies(res, session) {
+  const options = baseCookieOptions();
+  const { exp } = jwt.decode(session.token);
+  const refreshMaxAge = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+  res.cookie(ACCESS_COOKIE, session.token, {
+    ...options,
+    httpOnly: true,
+    path: "/",
+    maxAge: exp * 1000 - Date.now(),
+  });
+  res.cookie(REFRESH_COOKIE, session.refreshToken, {
+    ...options,
+    httpOnly: true,
+    path: REFRESH_COOKIE_PATH,
+    maxAge: refreshMaxAge,
+  });
+  // Readable by the frontend, which echoes it in the X-CSRF-Token header (double submit)
+  res.cookie(CSRF_COOKIE, generateToken(), {
+    ...options,
+    httpOnly: false,
+    path: "/",
+    maxAge: refreshMaxAge,
+  });
+}
+
+function clearSessionCookies(res) {
+  const options = baseCookieOptions();
+  res.clearCookie(ACCESS_COOKIE, { ...options, path: "/" });
+  res.clearCookie(REFRESH_COOKIE, { ...options, path: REFRESH_COOKIE_PATH });
+  res.clearCookie(CSRF_COOKIE, { ...options, path: "/" });
+}
+
+/**
+ * Bind an OIDC login to the browser that started it: the callback only accepts
+ * the state whose hash this cookie holds. Set in every session mode.
+ */
+function setOidcStateCookie(res, state, maxAge) {
+  res.cookie(OIDC_STATE_COOKIE, hashToken(state), {
+    ...baseCookieOptions(),
+    // Lax still sends it on the provider's top-level redirect back to the callback
+    sameSite: "lax",
+    httpOnly: true,
+    path: OIDC_STATE_COOKIE_PATH,
+    maxAge,
+  });
+}
+
+function clearOidcStateCookie(res) {
+  res.clearCookie(OIDC_STATE_COOKIE, {
+    ...baseCookieOptions(),
+    sameSite: "lax",
+    path: OIDC_STATE_COOKIE_PATH,
+  });
+}
+
+// Whether the OIDC state cookie of this browser belongs to `state`
+function matchesOidcStateCookie(req, state) {
+  const stored = req.cookies?.[OIDC_STATE_COOKIE];
+  return typeof stored === "string" && typeof state === "string" && stored === hashToken(state);
+}
+
+/**
+ * Respond with a new session. In cookie mode the tokens are set as cookies
+ * and left out of the body; otherwise they are returned as JSON.
+ */
+function sendSession(res, status, session, extra = {}) {
+  if (!COOKIE_MODE) {
+    return res.status(status).json({ ...extra, ...session });
+  }
+
+  setSessionCookies(res, session);
+  return res.status(status).json({ ...extra, user: session.user });
+}
+
+/**
+ * Token of a "Bearer" Authorization header, or null for any other header
+ */
+function readBearerToken(req) {
+  const authHeader = req.header("Authorization");
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return authHeader.split(" ")[1];
+  }
+  return null;
+}
+
+/**
+ * Access token from the Authorization header, falling back to the session cookie
+ */
+function readAccessToken(req) {
+  const bearerToken = readBearerToken(req);
+  if (bearerToken !== null) {
+    return bearerToken;
+  }
+
+  return req.cookies?.[ACCESS_COOKIE] || null;
+}
+
+function readRefreshToken(req) {
+  return req.body?.refreshToken || req.cookies?.[REFRESH_COOKIE];
+}
+
+module.exports = {
+  ACCESS_COOKIE,
+  REFRESH_COOKIE,
+  CSRF_COOKIE,
+  sendSession,
+  clearSessionCookies,
+  setOidcStateCookie,
+  clearOidcStateCookie,
+  matchesOidcStateCookie,
+  readBearerToken,
+  readAccessToken,
+  readRefreshToken,
+};
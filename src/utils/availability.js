@@ -0,0 +1,196 @@
+const CoachAvailability = require("../models/CoachAvailability");
+const Workout = require("../models/Workout");
+const User = require("../models/User");
+const { MAX_DURATION, slotInstants, sortSlots, findSlotStartingAt } = require("./timeSlots");
+const { formatDate, addDays } = require("./time");
+
+// Indexed like Date#getUTCDay
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Workouts that take up a coach's time
+const BOOKED_STATES = ["SCHEDULED", "IN_PROGRESS"];
+// Length of workouts stored before they had a duration
+const DEFAULT_DURATION = 60;
+
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+
+/**
+ * Availability of each coach, keyed by coach id; coaches who never set one get
+ * their seeded default
+ */
+async function loadAvailability(coaches) {
+  const saved = await CoachAvailability.find({
+    coachId: { $in: coaches.map((coach) => coach._id) },
+  });
+  const byCoach = new Map(saved.map((availability) => [String(availability.coachId), availability]));
+
+  return new Map(
+    coaches.map((coach) => [
+      String(coach._id),
+      byCoach.get(String(coach._id)) || CoachAvailability.seedFor(coach),
+    ])
+  );
+}
+
+const isDayOff = (availability, date) =>
+  availability.blockedDates.some((blocked) => blocked.date === date) ||
+  availability.vacations.some((vacation) => vacation.from <= date && date <= vacation.to);
+
+/**
+ * Slots of the coach's calendar `date`: the weekday's schedule plus extra slots,
+ * or none on blocked dates and vacations
+ */
+function slotsOnDate(availability, date) {
+  if (isDayOff(availability, date)) return [];
+
+  const extra = availability.extraSlots
+    .filter((extraSlot) => extraSlot.date === date)
+    .map((extraSlot) => extraSlot.slot);
+  return sortSlots([...(availability.weeklySchedule?.[weekdayOf(date)] || []), ...extra]);
+}
+
+/**
+ * Every slot occurrence (UTC { start, end, slot }) that starts in [start, end),
+ * earliest first. A day in another zone can overlap two or three of the coach's
+ * calendar days, so all of them are expanded.
+ */
+function slotsBetween(availability, timeZone, start, end) {
+  const lastDate = formatDate(new Date(end.getTime() - 1), timeZone);
+  const occurrences = new Map();
+
+  for (let date = formatDate(start, timeZone); date <= lastDate; date = addDays(date, 1)) {
+    for (const slot of slotsOnDate(availability, date)) {
+      const instants = slotInstants(slot, date, timeZone);
+      if (instants.start >= start && instants.start < end) {
+        occurrences.set(instants.start.getTime(), { ...instants, slot });
+      }
+    }
+  }
+
+  return [...occurrences.values()].sort((a, b) => a.start - b.start);
+}
+
+// The coach's slot that starts at `instant`, if any
+const findSlotAt = (availability, instant, timeZone) =>
+  findSlotStartingAt(slotsOnDate(availability, formatDate(instant, timeZone)), instant, timeZone);
+
+// End of a workout as an aggregation expression
+const BOOKING_END = {
+  $add: ["$dateTime", { $multiply: [{ $ifNull: ["$duration", DEFAULT_DURATION] }, 60000] }],
+};
+
+// Bookings are at most MAX_DURATION long, which bounds how early they can start
+const earliestBookingStart = (start) => new Date(start.getTime() - MAX_DURATION * 60000);
+
+/**
+ * Booked workouts ({ coachId, dateTime, duration }) of `filter`'s coaches or
+ * clients that overlap [start, end)
+ */
+const findBookings = (filter, start, end) =>
+  Workout.find({
+    ...filter,
+    dateTime: { $gt: earliestBookingStart(start), $lt: end },
+    state: { $in: BOOKED_STATES },
+    $expr: { $gt: [BOOKING_END, start] },
+  })
+    .select("coachId clientId dateTime duration")
+    .lean();
+
+// Whether none of `bookings` overlaps the { start, end } slot occurrence
+const isFree = (bookings, { start, end }) =>
+  !bookings.some(
+    (booking) =>
+      booking.dateTime < end &&
+      booking.dateTime.getTime() + (booking.duration ?? DEFAULT_DURATION) * 60000 > start
+  );
+
+/**
+ * Coaches matching `filter` with their availability and the bookings that overlap
+ * [start, end), fetched in one aggregation:
+ * [{ coach, availability, bookings }], ordered by name
+ */
+async function loadCoachSchedules(filter, start, end) {
+  const coaches = await User.aggregate([
+    { $match: { ...filter, role: "COACH", status: { $ne: "SUSPENDED" } } },
+    {
+      $lookup: {
+        from: CoachAvailability.collection.name,
+        localField: "_id",
+        foreignField: "coachId",
+        as: "availability",
+      },
+    },
+    {
+      $lookup: {
+        from: Workout.collection.name,
+        let: { coachId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$coachId", "$$coachId"] },
+                  { $in: ["$state", BOOKED_STATES] },
+                  { $gt: ["$dateTime", earliestBookingStart(start)] },
+                  { $lt: ["$dateTime", end] },
+                  { $gt: [BOOKING_END, start] },
+                ],
+              },
+            },
+          },
+          { $project: { dateTime: 1, duration: 1 } },
+        ],
+        as: "bookings",
+      },
+    },
+    {
+      $project: {
+        firstName: 1,
+        lastName: 1,
+        email: 1,
+        about: 1,
+        preferableActivity: 1,
+        "image.thumbnail": 1,
+        "image.card": 1,
+        timeZone: 1,
+        availableTimeSlots: 1,
+        availability: { $first: "$availability" },
+        bookings: 1,
+      },
+    },
+    { $sort: { firstName: 1, lastName: 1, _id: 1 } },
+  ]);
+
+  return coaches.map(({ availability, bookings, ...coach }) => ({
+    coach,
+    availability: availability
+      ? CoachAvailability.hydrate(availability)
+      : CoachAvailability.seedFor(coach),
+    bookings,
+  }));
+}
+
+/**
+ * Free slot occurrences ({ start, end, slot }) of a loaded coach schedule that
+ * start in [start, end) and are still ahead
+ */
+function freeSlots({ coach, availability, bookings }, gymZone, start, end) {
+  const now = new Date();
+  return slotsBetween(availability, coach.timeZone || gymZone, start, end).filter(
+    (instants) => instants.start > now && isFree(bookings, instants)
+  );
+}
+
+module.exports = {
+  WEEKDAYS,
+  BOOKED_STATES,
+  weekdayOf,
+  loadAvailability,
+  slotsOnDate,
+  slotsBetween,
+  findSlotAt,
+  findBookings,
+  isFree,
+  loadCoachSchedules,
+  freeSlots,
+};
@@ -0,0 +1,41 @@
+const { saveFile, deleteFile } = require("./storage");
+const { processAvatar } = require("./imageProcessing");
+
+/**
+ * Process an uploaded image and store all avatar variants.
+ * Returns { image: { thumbnail, card, full } URLs, keys } for User.image and User.imageKeys.
+ */
+async function storeAvatar(buffer) {
+  const variants = await processAvatar(buffer);
+  const image = {};
+  const keys = [];
+
+  for (const [name, output] of Object.entries(variants)) {
+    const { key, url } = await saveFile("img", output, "image/webp");
+    image[name] = url;
+    keys.push(key);
+  }
+
+  return { image, keys };
+}
+
+/**
+ * Delete the variants of a replaced avatar. Failures are only logged, since the
+ * new avatar is already saved and leftover files do no harm.
+ */
+async function removeAvatarFiles(keys = []) {
+  await Promise.all(
+    keys.map((key) =>
+      deleteFile(key).catch((error) => console.error(`Error deleting ${key}:`, error))
+    )
+  );
+}
+
+// Avatar URLs of a user, with empty strings for users without an avatar
+const avatarUrls = (user) => ({
+  thumbnail: user.image?.thumbnail || "",
+  card: user.image?.card || "",
+  full: user.image?.full || "",
+});
+
+module.exports = { storeAvatar, removeAvatarFiles, avatarUrls };
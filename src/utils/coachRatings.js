@@ -0,0 +1,118 @@
+const Feedback = require("../models/Feedback");
+const User = require("../models/User");
+
+// How many ratings at the gym-wide mean every coach starts with, so a coach
+// with a single 5-star review does not outrank one with many 4.8s
+const PRIOR_WEIGHT = Number(process.env.RATING_PRIOR_WEIGHT) || 5;
+// Prior mean used until anyone has been rated
+const DEFAULT_PRIOR_MEAN = 3;
+
+const STARS = ["1", "2", "3", "4", "5"];
+
+const emptyHistogram = () => Object.fromEntries(STARS.map((star) => [star, 0]));
+
+// Ratings may be halves; they count towards the nearest star, halves rounding up
+const starOf = { $min: [5, { $max: [1, { $floor: { $add: ["$rating", 0.5] } }] }] };
+
+/**
+ * Average, count and 1-5 histogram of the client ratings of a coach
+ */
+async function computeCoachRating(coachId) {
+  const buckets = await Feedback.aggregate([
+    { $match: { coachId, authorRole: "CLIENT", rating: { $type: "number" } } },
+    { $group: { _id: starOf, count: { $sum: 1 }, total: { $sum: "$rating" } } },
+  ]);
+
+  const histogram = emptyHistogram();
+  let count = 0;
+  let total = 0;
+  for (const bucket of buckets) {
+    histogram[String(bucket._id)] = bucket.count;
+    count += bucket.count;
+    total += bucket.total;
+  }
+
+  return {
+    average: count ? Math.round((total / count) * 100) / 100 : null,
+    count,
+    histogram,
+    updatedAt: new Date(),
+  };
+}
+
+/**
+ * Recompute and store a coach's rating aggregate; call after any change to the
+ * coach's client feedback
+ */
+async function refreshCoachRating(coachId) {
+  const rating = await computeCoachRating(coachId);
+  await User.updateOne({ _id: coachId, role: "COACH" }, { $set: { rating } });
+  return rating;
+}
+
+/**
+ * Prior of the Bayesian average: the mean of all client ratings and its weight
+ */
+async function ratingPrior() {
+  const [stats] = await User.aggregate([
+    { $match: { role: "COACH", "rating.count": { $gt: 0 } } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: { $multiply: ["$rating.average", "$rating.count"] } },
+        count: { $sum: "$rating.count" },
+      },
+    },
+  ]);
+
+  return {
+    mean: stats?.count ? stats.total / stats.count : DEFAULT_PRIOR_MEAN,
+    weight: PRIOR_WEIGHT,
+  };
+}
+
+const weightedRating = ({ average, count } = {}, prior) =>
+  Math.round(
+    ((prior.mean * prior.weight + (average || 0) * (count || 0)) / (prior.weight + (count || 0))) *
+      100
+  ) / 100;
+
+// Aggregation expression of weightedRating, for sorting coach listings
+const weightedRatingExpression = (prior) => ({
+  $divide: [
+    {
+      $add: [
+        prior.mean * prior.weight,
+        {
+          $multiply: [
+            { $ifNull: ["$rating.average", 0] },
+            { $ifNull: ["$rating.count", 0] },
+          ],
+        },
+      ],
+    },
+    { $add: [prior.weight, { $ifNull: ["$rating.count", 0] }] },
+  ],
+});
+
+/**
+ * Rating as returned by the API; coaches that were never rated get an empty aggregate
+ */
+const toRatingResponse = (rating, prior) => {
+  const { average = null, count = 0, histogram } = rating || {};
+  return {
+    average,
+    count,
+    histogram: { ...emptyHistogram(), ...(histogram instanceof Map ? Object.fromEntries(histogram) : histogram) },
+    weighted: weightedRating({ average, count }, prior),
+  };
+};
+
+module.exports = {
+  computeCoachRating,
+  refreshCoachRating,
+  ratingPrior,
+  weightedRating,
+  weightedRatingExpression,
+  toRatingResponse,
+};
@@ -0,0 +1,39 @@
+const UserDocument = require("../models/UserDocument");
+const { saveFile, signedFileUrl } = require("./storage");
+
+const DOCUMENT_TYPES = UserDocument.schema.path("type").enumValues;
+
+// Lifetime of the signed links handed out for document files
+const URL_TTL_SECONDS = (Number(process.env.DOCUMENT_URL_TTL_MINUTES) || 15) * 60;
+
+/**
+ * Store a document file privately and record it for `userId`
+ */
+async function storeDocument(userId, buffer, contentType, { name, type } = {}) {
+  const { key } = await saveFile(`documents/${userId}`, buffer, contentType);
+  return UserDocument.create({
+    userId,
+    name,
+    type,
+    storageKey: key,
+    contentType,
+    size: buffer.length,
+  });
+}
+
+// API representation of a document, with a freshly signed link to the file
+const toDocumentResponse = (document) => ({
+  id: document._id,
+  name: document.name,
+  type: document.type,
+  contentType: document.contentType,
+  size: document.size,
+  uploadedAt: document.uploadedAt,
+  verificationStatus: document.verificationStatus,
+  reviewedAt: document.reviewedAt,
+  reviewNote: document.reviewNote,
+  url: signedFileUrl(document.storageKey, URL_TTL_SECONDS),
+  urlExpiresAt: new Date(Date.now() + URL_TTL_SECONDS * 1000),
+});
+
+module.exports = { DOCUMENT_TYPES, storeDocument, toDocumentResponse };
@@ -0,0 +1,9 @@
+/**
+ * Validate email format
+ */
+function validateEmail(email) {
+  const emailRegex = /^[a-zA-Z0-9._-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,6}$/;
+  return typeof email === "string" && emailRegex.test(email);
+}
+
+module.exports = { validateEmail };
@@ -0,0 +1,84 @@
+// Builders for the transactional emails we send
+
+const appUrl = (pathname, params) => {
+  const url = new URL(pathname, process.env.APP_BASE_URL || "http://localhost:3000");
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
+exports.emailVerificationEmail = (user, token) => {
+  const link = appUrl("/verify-email", { token });
+  return {
+    to: user.email,
+    subject: "Verify your EnergyX email address",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      "Please confirm your email address to start booking workouts:\n\n" +
+      `${link}\n\n` +
+      "If you did not create an EnergyX account you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      "<p>Please confirm your email address to start booking workouts:</p>" +
+      `<p><a href="${link}">Verify email</a></p>` +
+      "<p>If you did not create an EnergyX account you can ignore this email.</p>",
+  };
+};
+
+exports.passwordResetEmail = (user, token, ttlMinutes) => {
+  const link = appUrl("/reset-password", { token });
+  return {
+    to: user.email,
+    subject: "Reset your EnergyX password",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Use the link below to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once.\n\n` +
+      `${link}\n\n` +
+      "If you did not ask for a password reset you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      `<p>Use the link below to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once.</p>` +
+      `<p><a href="${link}">Reset password</a></p>` +
+      "<p>If you did not ask for a password reset you can ignore this email.</p>",
+  };
+};
+
+exports.accountLockedEmail = (user, token, ttlMinutes) => {
+  const link = appUrl("/unlock-account", { token });
+  return {
+    to: user.email,
+    subject: "Your EnergyX account has been locked",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      "We locked your account after several failed sign-in attempts. " +
+      `If this was you, use the link below to unlock it. It expires in ${ttlMinutes} minutes.\n\n` +
+      `${link}\n\n` +
+      "If this was not you, consider resetting your password.",
+    html:
+      `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      "<p>We locked your account after several failed sign-in attempts. " +
+      `If this was you, use the link below to unlock it. It expires in ${ttlMinutes} minutes.</p>` +
+      `<p><a href="${link}">Unlock account</a></p>` +
+      "<p>If this was not you, consider resetting your password.</p>",
+  };
+};
+
+exports.magicLinkEmail = (user, token, ttlMinutes) => {
+  const link = appUrl("/magic-link", { token });
+  return {
+    to: user.email,
+    subject: "Your EnergyX sign-in link",
+    text:
+      `Hi ${user.firstName},\n\n` +
+      `Use the link below to sign in without a password. It expires in ${ttlMinutes} minutes and can only be used once.\n\n` +
+      `${link}\n\n` +
+      "If you did not ask to sign in you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(user.firstName)},</p>` +
+      `<p>Use the link below to sign in without a password. It expires in ${ttlMinutes} minutes and can only be used once.</p>` +
+      `<p><a href="${link}">Sign in to EnergyX</a></p>` +
+      "<p>If you did not ask to sign in you can ignore this email.</p>",
+  };
+};
@@ -0,0 +1,34 @@
+const jwt = require("jsonwebtoken");
+const { sendMail } = require("./mailer");
+const { emailVerificationEmail } = require("./emailTemplates");
+
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || "24h";
+const PURPOSE = "email-verification";
+
+/**
+ * Email the user a signed verification link.
+ * The token is bound to the address, so it stops working if the email changes.
+ */
+async function sendVerificationEmail(user) {
+  const token = jwt.sign(
+    { sub: String(user._id), email: user.email, purpose: PURPOSE },
+    process.env.JWT_SECRET || "secret",
+    { expiresIn: EMAIL_VERIFICATION_TTL }
+  );
+  await sendMail(emailVerificationEmail(user, token));
+}
+
+/**
+ * Returns the { userId, email } a verification token was issued for, or null if it is invalid
+ */
+function readVerificationToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || "secret");
+    if (decoded.purpose !== PURPOSE) return null;
+    return { userId: decoded.sub, email: decoded.email };
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = { sendVerificationEmail, readVerificationToken };
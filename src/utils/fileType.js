@@ -0,0 +1,32 @@
+// Detect a file's type from its leading bytes instead of trusting the client
+
+const SIGNATURES = [
+  { type: "image/jpeg", matches: (b) => b.length >= 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  {
+    type: "image/png",
+    matches: (b) =>
+      b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  {
+    type: "image/gif",
+    matches: (b) => ["GIF87a", "GIF89a"].includes(b.subarray(0, 6).toString("latin1")),
+  },
+  {
+    type: "image/webp",
+    matches: (b) =>
+      b.length >= 12 &&
+      b.subarray(0, 4).toString("latin1") === "RIFF" &&
+      b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+  { type: "application/pdf", matches: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+];
+
+/**
+ * Return the MIME type matching the buffer's magic bytes, or null if unknown
+ */
+function detectFileType(buffer) {
+  const signature = SIGNATURES.find(({ matches }) => matches(buffer));
+  return signature ? signature.type : null;
+}
+
+module.exports = { detectFileType };
@@ -0,0 +1,147 @@
+const Goal = require("../models/Goal");
+const Measurement = require("../models/Measurement");
+const Workout = require("../models/Workout");
+const { METRIC_UNITS, isValidMetric, metricValue, metricFilter } = require("./metrics");
+const { formatDate } = require("./time");
+
+// Goals count finished workouts when their metric is "workouts"
+const WORKOUTS_METRIC = "workouts";
+
+// Progress thresholds (percent) recorded as milestones
+const MILESTONES = [25, 50, 75, 100];
+
+// Workouts that took place; feedback may still be pending
+const COMPLETED_WORKOUT_STATES = [
+  "WAITING FOR FEEDBACK FROM CLIENT",
+  "WAITING FOR FEEDBACK FROM COACH",
+  "FINISHED",
+];
+
+// What a goal measures when it is created from a user's target alone
+const TARGET_METRICS = {
+  LOSE_WEIGHT: "weightKg",
+  GAIN_WEIGHT: "weightKg",
+  BUILD_MUSCLE: "girths.arm",
+  IMPROVE_FLEXIBILITY: WORKOUTS_METRIC,
+  GENERAL_FITNESS: WORKOUTS_METRIC,
+  REHABILITATION_RECOVERY: WORKOUTS_METRIC,
+};
+
+const isValidGoalMetric = (metric) => metric === WORKOUTS_METRIC || isValidMetric(metric);
+
+const unitOf = (metric) =>
+  metric === WORKOUTS_METRIC ? "workouts" : METRIC_UNITS[metric] || "";
+
+/**
+ * Latest recorded value of a body metric for a user, or null
+ */
+async function latestMetricValue(userId, metric, since) {
+  const filter = { userId, ...metricFilter(metric) };
+  if (since) filter.measuredAt = { $gte: since };
+
+  const measurement = await Measurement.findOne(filter).sort({ measuredAt: -1, _id: -1 }).lean();
+  return measurement ? metricValue(measurement, metric) : null;
+}
+
+// Current value of the goal's metric: workouts done since it started, or the
+// latest measurement since it started (the baseline until there is one)
+async function currentValueOf(goal) {
+  if (goal.metric === WORKOUTS_METRIC) {
+    return Workout.countDocuments({
+      clientId: goal.userId,
+      state: { $in: COMPLETED_WORKOUT_STATES },
+      dateTime: { $gte: goal.startedAt, $lte: new Date() },
+    });
+  }
+  const value = await latestMetricValue(goal.userId, goal.metric, goal.startedAt);
+  return value ?? goal.baseline;
+}
+
+// Share of the way from baseline to target, 0-100; works in both directions
+const progressOf = ({ baseline, targetValue }, current) => {
+  if (targetValue === baseline) return 100;
+  const progress = ((current - baseline) / (targetValue - baseline)) * 100;
+  return Math.round(Math.min(Math.max(progress, 0), 100));
+};
+
+/**
+ * Recompute an active goal's progress, record newly reached milestones and
+ * mark it achieved at 100%. Milestones and achievements are never taken back.
+ */
+async function refreshGoal(goal) {
+  if (goal.status !== "ACTIVE") return goal;
+
+  const current = await currentValueOf(goal);
+  const progress = progressOf(goal, current);
+  const now = new Date();
+
+  goal.currentValue = current;
+  goal.progressPercent = progress;
+
+  const reached = new Set(goal.milestones.map(({ percent }) => percent));
+  for (const percent of MILESTONES) {
+    if (progress >= percent && !reached.has(percent)) {
+      goal.milestones.push({ percent, value: current, reachedAt: now });
+    }
+  }
+
+  if (progress >= 100) {
+    goal.status = "ACHIEVED";
+    goal.achievedAt = now;
+  }
+
+  if (goal.isModified()) await goal.save();
+  return goal;
+}
+
+/**
+ * Refresh every active goal of a user, e.g. after a measurement was logged
+ */
+async function refreshGoals(userId) {
+  const goals = await Goal.find({ userId, status: "ACTIVE" });
+  for (const goal of goals) {
+    await refreshGoal(goal);
+  }
+}
+
+// API representation of a goal, with dates and pace in the caller's time zone
+const toGoalResponse = (goal, timeZone) => {
+  const now = Date.now();
+  const response = {
+    id: goal._id,
+    target: goal.target,
+    title: goal.title || "",
+    metric: goal.metric,
+    unit: unitOf(goal.metric),
+    baseline: goal.baseline,
+    targetValue: goal.targetValue,
+    currentValue: goal.currentValue ?? goal.baseline,
+    progressPercent: goal.progressPercent,
+    status: goal.status,
+    startedAt: goal.startedAt,
+    deadline: goal.deadline ? formatDate(goal.deadline, timeZone) : null,
+    achievedAt: goal.achievedAt,
+    milestones: goal.milestones,
+  };
+
+  if (goal.deadline) {
+    const total = goal.deadline - goal.startedAt;
+    const elapsed = Math.min(Math.max(now - goal.startedAt, 0), total);
+    response.daysRemaining = Math.max(Math.ceil((goal.deadline - now) / 86400000), 0);
+    response.expectedProgressPercent = total > 0 ? Math.round((elapsed / total) * 100) : 100;
+    response.onTrack = goal.status === "ACHIEVED" || goal.progressPercent >= response.expectedProgressPercent;
+    response.overdue = goal.status === "ACTIVE" && now > goal.deadline;
+  }
+
+  return response;
+};
+
+module.exports = {
+  WORKOUTS_METRIC,
+  TARGET_METRICS,
+  isValidGoalMetric,
+  latestMetricValue,
+  refreshGoal,
+  refreshGoals,
+  toGoalResponse,
+};
@@ -0,0 +1,47 @@
+const sharp = require("sharp");
+
+// Avatar variants generated from every uploaded profile image
+const AVATAR_VARIANTS = {
+  thumbnail: { width: 96, height: 96, fit: "cover" },
+  card: { width: 400, height: 400, fit: "cover" },
+  full: { width: 1200, height: 1200, fit: "inside" },
+};
+
+// Refuse decompression bombs before decoding any pixels
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+class InvalidImageError extends Error {}
+
+/**
+ * Decode an uploaded image and render every avatar variant as WebP.
+ * The image is rotated according to its EXIF orientation first; the output
+ * carries no metadata (EXIF, GPS, ICC), because sharp drops it by default.
+ * Returns { thumbnail, card, full } buffers.
+ */
+async function processAvatar(buffer) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch (error) {
+    throw new InvalidImageError("The file is not a readable image");
+  }
+
+  if (!metadata.width || !metadata.height) {
+    throw new InvalidImageError("The file is not a readable image");
+  }
+
+  const entries = await Promise.all(
+    Object.entries(AVATAR_VARIANTS).map(async ([name, { width, height, fit }]) => {
+      const output = await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+        .rotate()
+        .resize({ width, height, fit, withoutEnlargement: fit === "inside" })
+        .webp({ quality: 82 })
+        .toBuffer();
+      return [name, output];
+    })
+  );
+
+  return Object.fromEntries(entries);
+}
+
+module.exports = { AVATAR_VARIANTS, InvalidImageError, processAvatar };
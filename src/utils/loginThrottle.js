@@ -0,0 +1,131 @@
+const LoginAttempt = require("../models/LoginAttempt");
+
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const MAX_FAILED_ATTEMPTS_PER_IP =
+  Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const BACKOFF_BASE_SECONDS = Number(process.env.LOGIN_BACKOFF_BASE_SECONDS) || 1;
+const MAX_BACKOFF_SECONDS = Number(process.env.LOGIN_MAX_BACKOFF_SECONDS) || 30;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+// Every sign-in is counted against the account and against the client IP
+const keysFor = (email, ip) => [
+  { scope: "ACCOUNT", identifier: String(email).toLowerCase(), threshold: MAX_FAILED_ATTEMPTS },
+  { scope: "IP", identifier: ip || "unknown", threshold: MAX_FAILED_ATTEMPTS_PER_IP },
+];
+
+/**
+ * Seconds until the key may be tried again: either the lockout, or an
+ * exponential delay (1s, 2s, 4s, ... up to MAX_BACKOFF_SECONDS) after each
+ * consecutive failure
+ */
+function secondsUntilAllowed(attempt, now) {
+  if (attempt.lockedUntil && attempt.lockedUntil.getTime() > now) {
+    return Math.ceil((attempt.lockedUntil.getTime() - now) / 1000);
+  }
+
+  if (attempt.failures > 0 && attempt.lastFailureAt) {
+    const delayMs =
+      Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempt.failures - 1), MAX_BACKOFF_SECONDS) * 1000;
+    const nextAllowedAt = attempt.lastFailureAt.getTime() + delayMs;
+    if (nextAllowedAt > now) {
+      return Math.ceil((nextAllowedAt - now) / 1000);
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Check whether a sign-in for this email from this IP may be attempted now.
+ * Returns { allowed, retryAfterSeconds, locked, scope }
+ */
+async function checkLoginAllowed(email, ip) {
+  const now = Date.now();
+  const attempts = await LoginAttempt.find({
+    $or: keysFor(email, ip).map(({ scope, identifier }) => ({ scope, identifier })),
+  });
+
+  let result = { allowed: true, retryAfterSeconds: 0, locked: false, scope: null };
+  for (const attempt of attempts) {
+    const seconds = secondsUntilAllowed(attempt, now);
+    if (seconds > result.retryAfterSeconds) {
+      result = {
+        allowed: false,
+        retryAfterSeconds: seconds,
+        locked: Boolean(attempt.lockedUntil && attempt.lockedUntil.getTime() > now),
+        scope: attempt.scope,
+      };
+    }
+  }
+  return result;
+}
+
+/**
+ * Count a failed sign-in and lock the account/IP once it reaches its threshold.
+ * Returns { accountLocked } which is true only for the failure that caused the lock.
+ */
+async function recordLoginFailure(email, ip) {
+  let accountLocked = false;
+
+  for (const { scope, identifier, threshold } of keysFor(email, ip)) {
+    const now = new Date();
+    const attempt = await LoginAttempt.findOneAndUpdate(
+      { scope, identifier },
+      {
+        $inc: { failures: 1 },
+        $set: {
+          lastFailureAt: now,
+          expiresAt: new Date(now.getTime() + FORGET_AFTER_MS),
+        },
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    if (attempt.failures < threshold) continue;
+
+    const lockMs = Math.min(
+      LOCKOUT_MINUTES * 60 * 1000 * 2 ** attempt.lockCount,
+      MAX_LOCKOUT_MS
+    );
+    const lockedUntil = new Date(now.getTime() + lockMs);
+
+    // Conditional on the counter so concurrent failures only lock once
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { _id: attempt._id, failures: { $gte: threshold } },
+      {
+        $set: {
+          failures: 0,
+          lockedUntil,
+          expiresAt: new Date(lockedUntil.getTime() + FORGET_AFTER_MS),
+        },
+        $inc: { lockCount: 1 },
+      },
+      { new: true }
+    );
+
+    if (locked && scope === "ACCOUNT") {
+      accountLocked = true;
+    }
+  }
+
+  return { accountLocked };
+}
+
+/**
+ * Forget failed attempts and any lock for an account, after a successful
+ * sign-in or an unlock. IP counters are left alone on purpose.
+ */
+async function clearAccountAttempts(email) {
+  await LoginAttempt.deleteOne({
+    scope: "ACCOUNT",
+    identifier: String(email).toLowerCase(),
+  });
+}
+
+module.exports = {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountAttempts,
+};
@@ -0,0 +1,68 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+// Writes every message as a JSON file to a local outbox, so mail works without SMTP
+const createFileTransport = () => {
+  const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || "outbox");
+
+  return {
+    async send(message) {
+      await fs.mkdir(outboxDir, { recursive: true });
+      const filename = `${Date.now()}-${uuidv4()}.json`;
+      await fs.writeFile(
+        path.join(outboxDir, filename),
+        JSON.stringify({ ...message, createdAt: new Date() }, null, 2)
+      );
+      return { id: filename };
+    },
+  };
+};
+
+// Logs messages instead of sending them
+const createConsoleTransport = () => ({
+  async send(message) {
+    console.log("Mail:", JSON.stringify(message, null, 2));
+    return { id: uuidv4() };
+  },
+});
+
+const transportFactories = {
+  file: createFileTransport,
+  console: createConsoleTransport,
+};
+
+let transport;
+
+/**
+ * Make another transport (e.g. SMTP or a provider API) selectable via MAIL_TRANSPORT.
+ * A factory returns an object with an async send({ from, to, subject, text, html }).
+ */
+function registerTransport(name, factory) {
+  transportFactories[name] = factory;
+  transport = undefined;
+}
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || "file";
+    const factory = transportFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+async function sendMail({ to, subject, text, html }) {
+  return getTransport().send({
+    from: process.env.MAIL_FROM || "EnergyX <no-reply@energyx.local>",
+    to,
+    subject,
+    text,
+    html,
+  });
+}
+
+module.exports = { sendMail, registerTransport };
@@ -0,0 +1,48 @@
+// Body metrics that measurements record and goals track. Standard metrics are
+// paths on a Measurement; custom ones are addressed as "custom:<name>".
+
+const METRIC_UNITS = {
+  weightKg: "kg",
+  bodyFatPercent: "%",
+  restingHeartRate: "bpm",
+  "girths.neck": "cm",
+  "girths.chest": "cm",
+  "girths.waist": "cm",
+  "girths.hips": "cm",
+  "girths.arm": "cm",
+  "girths.thigh": "cm",
+  "girths.calf": "cm",
+};
+const METRICS = Object.keys(METRIC_UNITS);
+
+const CUSTOM_PREFIX = "custom:";
+
+const isCustomMetric = (metric) =>
+  typeof metric === "string" && /^custom:.{1,50}$/.test(metric);
+
+const isValidMetric = (metric) => METRICS.includes(metric) || isCustomMetric(metric);
+
+// Value of `metric` in a measurement, or undefined when it was not recorded
+const metricValue = (measurement, metric) => {
+  if (isCustomMetric(metric)) {
+    const name = metric.slice(CUSTOM_PREFIX.length);
+    return (measurement.custom || []).find((entry) => entry.name === name)?.value;
+  }
+  return metric.split(".").reduce((value, key) => value?.[key], measurement);
+};
+
+// Measurement filter matching documents that recorded `metric`
+const metricFilter = (metric) =>
+  isCustomMetric(metric)
+    ? { custom: { $elemMatch: { name: metric.slice(CUSTOM_PREFIX.length), value: { $type: "number" } } } }
+    : { [metric]: { $type: "number" } };
+
+module.exports = {
+  METRIC_UNITS,
+  METRICS,
+  CUSTOM_PREFIX,
+  isCustomMetric,
+  isValidMetric,
+  metricValue,
+  metricFilter,
+};
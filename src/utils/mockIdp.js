@@ -0,0 +1,135 @@
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+// Minimal local OpenID Connect provider for development and tests.
+// Mounted at /mock-idp when OIDC_MOCK_IDP=true; never enable it in production.
+//
+// /authorize signs the user in without a prompt. The identity comes from the
+// query string: login_hint (email), name, sub and email_verified=false.
+
+const CODE_TTL_MS = 60 * 1000;
+
+// Whether the mock IdP is served and offered as a provider; never in production
+const isMockIdpEnabled = () =>
+  process.env.OIDC_MOCK_IDP === "true" && process.env.NODE_ENV !== "production";
+
+function createMockIdp({ issuer }) {
+  const router = express.Router();
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const kid = crypto.randomBytes(8).toString("hex");
+  const codes = new Map();
+
+  router.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+    });
+  });
+
+  router.get("/jwks", (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: "jwk" }), kid, use: "sig", alg: "RS256" }],
+    });
+  });
+
+  router.get("/authorize", (req, res) => {
+    const {
+      response_type,
+      client_id,
+      redirect_uri,
+      state,
+      nonce,
+      code_challenge,
+      code_challenge_method,
+      login_hint,
+      name,
+      sub,
+      email_verified,
+    } = req.query;
+
+    if (response_type !== "code" || !client_id || !redirect_uri || !code_challenge) {
+      return res.status(400).json({ error: "invalid_request" });
+    }
+    if (code_challenge_method !== "S256") {
+      return res.status(400).json({ error: "invalid_request", error_description: "S256 required" });
+    }
+
+    const email = login_hint || "mock.user@example.com";
+    const [givenName, ...familyName] = (name || "Mock User").split(" ");
+    const code = crypto.randomBytes(16).toString("base64url");
+
+    codes.set(code, {
+      clientId: client_id,
+      redirectUri: redirect_uri,
+      codeChallenge: code_challenge,
+      nonce,
+      expiresAt: Date.now() + CODE_TTL_MS,
+      claims: {
+        sub: sub || crypto.createHash("sha256").update(email).digest("hex").slice(0, 24),
+        email,
+        email_verified: email_verified !== "false",
+        given_name: givenName,
+        family_name: familyName.join(" ") || "User",
+      },
+    });
+
+    const location = new URL(redirect_uri);
+    location.searchParams.set("code", code);
+    if (state) location.searchParams.set("state", state);
+    res.redirect(location.toString());
+  });
+
+  router.post("/token", express.urlencoded({ extended: false }), (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, code_verifier } = req.body;
+    const grant = codes.get(code);
+    codes.delete(code);
+
+    if (grant_type !== "authorization_code" || !grant || grant.expiresAt < Date.now()) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const challenge = crypto
+      .createHash("sha256")
+      .update(code_verifier || "")
+      .digest("base64url");
+    if (
+      grant.clientId !== client_id ||
+      grant.redirectUri !== redirect_uri ||
+      grant.codeChallenge !== challenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const idToken = jwt.sign(
+      { ...grant.claims, nonce: grant.nonce },
+      privateKey,
+      {
+        algorithm: "RS256",
+        keyid: kid,
+        issuer,
+        audience: client_id,
+        expiresIn: "5m",
+      }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString("base64url"),
+      token_type: "Bearer",
+      expires_in: 300,
+      id_token: idToken,
+    });
+  });
+
+  return router;
+}
+
+module.exports = { isMockIdpEnabled, createMockIdp };
@@ -0,0 +1,181 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { apiBaseUrl } = require("./urls");
+const { isMockIdpEnabled } = require("./mockIdp");
+
+// Provider-agnostic OpenID Connect client (authorization code flow with PKCE).
+//
+// Providers are configured from the environment:
+//   OIDC_PROVIDERS=google,okta
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...        (optional for public clients)
+//   OIDC_GOOGLE_SCOPES="openid email profile"
+//   OIDC_GOOGLE_LABEL=Google
+// With OIDC_MOCK_IDP=true (outside production) a "mock" provider pointing at the
+// local mock IdP is added.
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+function loadProviders() {
+  const providers = {};
+
+  (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((name) => name.trim().toLowerCase())
+    .filter(Boolean)
+    .forEach((name) => {
+      const prefix = `OIDC_${name.toUpperCase()}_`;
+      const issuer = process.env[`${prefix}ISSUER`];
+      const clientId = process.env[`${prefix}CLIENT_ID`];
+      if (!issuer || !clientId) {
+        console.error(`OIDC provider "${name}" is missing ${prefix}ISSUER or ${prefix}CLIENT_ID, skipping`);
+        return;
+      }
+      providers[name] = {
+        name,
+        label: process.env[`${prefix}LABEL`] || name,
+        issuer,
+        clientId,
+        clientSecret: process.env[`${prefix}CLIENT_SECRET`],
+        scopes: process.env[`${prefix}SCOPES`] || "openid email profile",
+      };
+    });
+
+  if (isMockIdpEnabled() && !providers.mock) {
+    providers.mock = {
+      name: "mock",
+      label: "Mock IdP",
+      issuer: `${apiBaseUrl()}/mock-idp`,
+      clientId: "mock-client",
+      scopes: "openid email profile",
+    };
+  }
+
+  return providers;
+}
+
+const providers = loadProviders();
+
+const getProvider = (name) => providers[name] || null;
+
+const listProviders = () =>
+  Object.values(providers).map(({ name, label }) => ({ name, label }));
+
+const redirectUriFor = (provider) =>
+  `${apiBaseUrl()}/auth/oidc/${provider.name}/callback`;
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  if (!response.ok) {
+    throw new Error(`OIDC request to ${url} failed with status ${response.status}`);
+  }
+  return response.json();
+}
+
+async function discover(provider) {
+  if (!discoveryCache.has(provider.issuer)) {
+    const issuer = provider.issuer.replace(/\/$/, "");
+    const metadata = await fetchJson(`${issuer}/.well-known/openid-configuration`);
+    discoveryCache.set(provider.issuer, metadata);
+  }
+  return discoveryCache.get(provider.issuer);
+}
+
+async function getSigningKey(metadata, kid) {
+  let keys = jwksCache.get(metadata.jwks_uri);
+  // Unknown key id usually means the provider rotated its keys
+  if (!keys || !keys.some((key) => key.kid === kid)) {
+    ({ keys } = await fetchJson(metadata.jwks_uri));
+    jwksCache.set(metadata.jwks_uri, keys);
+  }
+
+  const jwk = keys.find((key) => key.kid === kid) || (keys.length === 1 ? keys[0] : null);
+  if (!jwk) {
+    throw new Error("No matching signing key for ID token");
+  }
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+}
+
+/**
+ * Build the provider's authorization URL plus the PKCE verifier, state and
+ * nonce that must be kept until the callback
+ */
+async function createAuthorizationRequest(provider) {
+  const metadata = await discover(provider);
+  const codeVerifier = crypto.randomBytes(32).toString("base64url");
+  const state = crypto.randomBytes(16).toString("base64url");
+  const nonce = crypto.randomBytes(16).toString("base64url");
+  const codeChallenge = crypto
+    .createHash("sha256")
+    .update(codeVerifier)
+    .digest("base64url");
+
+  const url = new URL(metadata.authorization_endpoint);
+  url.search = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUriFor(provider),
+    scope: provider.scopes,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  }).toString();
+
+  return { authorizationUrl: url.toString(), state, nonce, codeVerifier };
+}
+
+/**
+ * Exchange the authorization code and return the verified ID token claims
+ */
+async function exchangeCode(provider, { code, codeVerifier, nonce }) {
+  const metadata = await discover(provider);
+
+  const body = new URLSearchParams({
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: redirectUriFor(provider),
+    client_id: provider.clientId,
+    code_verifier: codeVerifier,
+  });
+  if (provider.clientSecret) {
+    body.set("client_secret", provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body,
+  });
+
+  if (!tokens.id_token) {
+    throw new Error("Token response did not include an ID token");
+  }
+
+  const { header } = jwt.decode(tokens.id_token, { complete: true }) || {};
+  if (!header) {
+    throw new Error("Malformed ID token");
+  }
+
+  const key = await getSigningKey(metadata, header.kid);
+  const claims = jwt.verify(tokens.id_token, key, {
+    algorithms: ["RS256", "RS384", "RS512", "ES256", "ES384", "ES512", "PS256"],
+    audience: provider.clientId,
+    issuer: metadata.issuer,
+  });
+
+  if (claims.nonce !== nonce) {
+    throw new Error("ID token nonce mismatch");
+  }
+
+  return claims;
+}
+
+module.exports = {
+  getProvider,
+  listProviders,
+  createAuthorizationRequest,
+  exchangeCode,
+};
@@ -0,0 +1,143 @@
+const fs = require("fs");
+const path = require("path");
+const bcrypt = require("bcryptjs");
+
+// Single password policy for sign-up, password reset, password change and admin bootstrap.
+//
+// Configured from the environment:
+//   PASSWORD_MIN_LENGTH (8), PASSWORD_MAX_LENGTH (30, at most 72 because bcrypt ignores the rest)
+//   PASSWORD_REQUIRE_UPPERCASE / _LOWERCASE / _NUMBER / _SPECIAL ("true"/"false")
+//   PASSWORD_HISTORY_SIZE (5) - how many previous passwords cannot be reused
+//   PASSWORD_BLOCKLIST_FILE - newline-separated list of common/breached passwords
+//   PASSWORD_BLOCK_COMMON ("true") - reject passwords found in that list
+
+const BCRYPT_MAX_BYTES = 72;
+const DEFAULT_BLOCKLIST_FILE = path.join(__dirname, "..", "data", "common-passwords.txt");
+
+const flag = (name, fallback) =>
+  process.env[name] === undefined ? fallback : process.env[name] === "true";
+
+const policy = {
+  minLength: Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+  maxLength: Math.min(Number(process.env.PASSWORD_MAX_LENGTH) || 30, BCRYPT_MAX_BYTES),
+  requireUppercase: flag("PASSWORD_REQUIRE_UPPERCASE", true),
+  requireLowercase: flag("PASSWORD_REQUIRE_LOWERCASE", false),
+  requireNumber: flag("PASSWORD_REQUIRE_NUMBER", true),
+  requireSpecial: flag("PASSWORD_REQUIRE_SPECIAL", true),
+  historySize: Number(process.env.PASSWORD_HISTORY_SIZE ?? 5),
+  blockCommon: flag("PASSWORD_BLOCK_COMMON", true),
+  blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || DEFAULT_BLOCKLIST_FILE,
+};
+
+let blocklist = null;
+
+// Loaded on first use and kept in memory; entries are compared case-insensitively
+function getBlocklist() {
+  if (!blocklist) {
+    blocklist = new Set(
+      fs
+        .readFileSync(policy.blocklistFile, "utf8")
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith("#"))
+    );
+  }
+  return blocklist;
+}
+
+/**
+ * Check a password against the composition rules and the common-password list.
+ * Returns { isValid, message }.
+ */
+function checkPasswordRules(password) {
+  if (typeof password !== "string") {
+    return { isValid: false, message: "Password is required" };
+  }
+
+  if (password.length < policy.minLength) {
+    return {
+      isValid: false,
+      message: `Password must be at least ${policy.minLength} characters long`,
+    };
+  }
+
+  if (password.length > policy.maxLength || Buffer.byteLength(password) > BCRYPT_MAX_BYTES) {
+    return {
+      isValid: false,
+      message: `Password cannot exceed ${policy.maxLength} characters`,
+    };
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    return { isValid: false, message: "Password must contain at least one capital letter" };
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    return { isValid: false, message: "Password must contain at least one lowercase letter" };
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    return { isValid: false, message: "Password must contain at least one number" };
+  }
+
+  // Any printable character that is not a letter, digit or whitespace counts as special
+  if (policy.requireSpecial && !/[^A-Za-z0-9\s]/.test(password)) {
+    return { isValid: false, message: "Password must contain at least one special character" };
+  }
+
+  if (policy.blockCommon && getBlocklist().has(password.toLowerCase())) {
+    return {
+      isValid: false,
+      message: "This password is too common or has appeared in a data breach, choose another one",
+    };
+  }
+
+  return { isValid: true, message: "Strong password" };
+}
+
+/**
+ * Full check for an existing user: the rules plus the current and last N passwords.
+ * The user document must include `passwordHistory` (it is not selected by default).
+ */
+async function validatePassword(password, user) {
+  const result = checkPasswordRules(password);
+  if (!result.isValid || !user) {
+    return result;
+  }
+
+  const previous = [user.password, ...(user.passwordHistory || [])]
+    .filter(Boolean)
+    .slice(0, policy.historySize + 1);
+
+  for (const hash of previous) {
+    if (await bcrypt.compare(password, hash)) {
+      return {
+        isValid: false,
+        message:
+          policy.historySize > 0
+            ? `Password must differ from your last ${policy.historySize} passwords`
+            : "Password must differ from your current password",
+      };
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Hash a new password onto the user, moving the current hash into the history.
+ * Does not save the user.
+ */
+async function setPassword(user, password) {
+  if (user.password && policy.historySize > 0) {
+    user.passwordHistory = [user.password, ...(user.passwordHistory || [])].slice(
+      0,
+      policy.historySize
+    );
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+}
+
+module.exports = { checkPasswordRules, validatePassword, setPassword };
@@ -0,0 +1,157 @@
+const jwt = require("jsonwebtoken");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const { generateToken, hashToken } = require("./tokens");
+const { avatarUrls } = require("./avatar");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+const USER_AGENT_MAX_LENGTH = 512;
+
+const refreshTokenExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Build the user object embedded in access tokens (never includes the password)
+ */
+function buildUserPayload(user) {
+  return {
+    id: user._id,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    email: user.email,
+    role: user.role,
+    image: avatarUrls(user),
+    emailVerified: Boolean(user.emailVerified),
+    timeZone: user.timeZone || null,
+  };
+}
+
+/**
+ * Device details recorded on a session, taken from the request that uses it
+ */
+function clientInfo(req) {
+  if (!req) return {};
+  return {
+    userAgent: (req.get("user-agent") || "").slice(0, USER_AGENT_MAX_LENGTH),
+    ip: req.ip || "",
+  };
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { user: buildUserPayload(user), sid: sessionId },
+    process.env.JWT_SECRET || "secret",
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+async function issueRefreshToken(session) {
+  const token = generateToken(48);
+  const record = await RefreshToken.create({
+    sessionId: session._id,
+    userId: session.userId,
+    tokenHash: hashToken(token),
+    expiresAt: session.expiresAt,
+  });
+  return { token, record };
+}
+
+/**
+ * Start a new session for a user and return the access/refresh token pair.
+ * Pass the request so the session records the device it was started from.
+ */
+async function createSession(user, req) {
+  const session = await Session.create({
+    userId: user._id,
+    expiresAt: refreshTokenExpiry(),
+    ...clientInfo(req),
+  });
+  const { token: refreshToken } = await issueRefreshToken(session);
+
+  return {
+    user: buildUserPayload(user),
+    token: signAccessToken(user, session._id),
+    refreshToken,
+  };
+}
+
+/**
+ * Revoke a session so neither its access tokens nor its refresh tokens work anymore
+ */
+async function revokeSession(sessionId, reason = "LOGOUT") {
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+}
+
+/**
+ * Revoke every active session of a user and return how many were revoked
+ */
+async function revokeAllSessions(userId, reason) {
+  const result = await Session.updateMany(
+    { userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * Each refresh token is single-use; presenting one that was already rotated
+ * means it leaked, so the whole family (session) is revoked.
+ * Returns null when the token cannot be used.
+ */
+async function rotateRefreshToken(presentedToken, req) {
+  const stored = await RefreshToken.findOne({
+    tokenHash: hashToken(presentedToken),
+  });
+  if (!stored) return null;
+
+  // Claim the token atomically so two concurrent refreshes cannot both succeed
+  const claimed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, usedAt: null },
+    { usedAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) {
+    await revokeSession(stored.sessionId, "REFRESH_TOKEN_REUSE");
+    return null;
+  }
+
+  if (claimed.expiresAt < new Date()) return null;
+
+  const session = await Session.findById(claimed.sessionId);
+  if (!session || session.revokedAt) return null;
+
+  const user = await User.findById(claimed.userId);
+  if (!user || user.status === "SUSPENDED") return null;
+
+  session.set({
+    expiresAt: refreshTokenExpiry(),
+    lastSeenAt: new Date(),
+    ...clientInfo(req),
+  });
+  await session.save();
+
+  const { token: refreshToken, record } = await issueRefreshToken(session);
+  claimed.replacedBy = record._id;
+  await claimed.save();
+
+  return {
+    user: buildUserPayload(user),
+    token: signAccessToken(user, session._id),
+    refreshToken,
+  };
+}
+
+module.exports = {
+  buildUserPayload,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+};
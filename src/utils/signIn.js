@@ -0,0 +1,55 @@
+const { createSession } = require("./session");
+const { sendSession } = require("./authCookies");
+const { isTwoFactorRequired, issueChallengeToken } = require("./twoFactor");
+
+/**
+ * Why `user` may not get a session, as { status, body }, or null: suspended
+ * accounts and accounts an admin flagged for a password reset
+ */
+function signInRefusal(user) {
+  if (user.status === "SUSPENDED") {
+    return { status: 403, body: { message: "Account is suspended" } };
+  }
+
+  if (user.passwordResetRequired) {
+    return {
+      status: 403,
+      body: {
+        message: "A password reset is required. Use the link sent to your email or request a new one.",
+        passwordResetRequired: true,
+      },
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Finish a successful first-factor sign-in: refuse suspended accounts and
+ * accounts an admin flagged for a password reset, answer with a challenge when
+ * a second factor (or enrolling in one) is needed, otherwise start the session.
+ */
+async function completeSignIn(req, res, user) {
+  const refusal = signInRefusal(user);
+  if (refusal) {
+    return res.status(refusal.status).json(refusal.body);
+  }
+
+  if (user.twoFactor?.enabled) {
+    return res.status(200).json({
+      twoFactorRequired: true,
+      challengeToken: issueChallengeToken(user),
+    });
+  }
+
+  if (await isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      twoFactorSetupRequired: true,
+      challengeToken: issueChallengeToken(user, { enrollment: true }),
+    });
+  }
+
+  return sendSession(res, 200, await createSession(user, req));
+}
+
+module.exports = { signInRefusal, completeSignIn };
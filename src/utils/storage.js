@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const { apiBaseUrl } = require("./urls");
+
+// File storage behind one interface, selected with STORAGE_DRIVER ("local" or "s3").
+// Keys look like "img/<uuid>.png"; callers keep the returned URL or key.
+// Files in private folders are only reachable through expiring signed URLs.
+
+const CONTENT_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  pdf: "application/pdf",
+  bin: "application/octet-stream",
+};
+
+const PRIVATE_FOLDERS = ["documents"];
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*\/[A-Za-z0-9_-]+\.[a-z0-9]+$/;
+
+const extensionFor = (contentType) =>
+  Object.keys(CONTENT_TYPES).find((ext) => ext !== "jpg" && CONTENT_TYPES[ext] === contentType) ||
+  "bin";
+
+const contentTypeFor = (key) =>
+  CONTENT_TYPES[path.extname(key).slice(1).toLowerCase()] || CONTENT_TYPES.bin;
+
+const isValidKey = (key) => typeof key === "string" && KEY_PATTERN.test(key);
+
+const isPrivateKey = (key) => PRIVATE_FOLDERS.includes(key.split("/")[0]);
+
+const signingSecret = () =>
+  process.env.FILE_SIGNING_SECRET || process.env.JWT_SECRET || "secret";
+
+const signature = (key, expires) =>
+  crypto.createHmac("sha256", signingSecret()).update(`${key}:${expires}`).digest("base64url");
+
+// Signed link to the /files route, used for private files kept on the local disk
+const signedFilesUrl = (key, ttlSeconds) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  return `${apiBaseUrl()}/files/${key}?expires=${expires}&signature=${signature(key, expires)}`;
+};
+
+// Files under STORAGE_LOCAL_DIR (default uploads/), served by the /files route
+const createLocalStorage = () => {
+  const rootDir = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+  const filePath = (key) => path.join(rootDir, ...key.split("/"));
+
+  return {
+    async save(key, buffer) {
+      await fsp.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fsp.writeFile(filePath(key), buffer);
+    },
+
+    async remove(key) {
+      await fsp.rm(filePath(key), { force: true });
+    },
+
+    async read(key) {
+      try {
+        const { size } = await fsp.stat(filePath(key));
+        return { stream: fs.createReadStream(filePath(key)), size };
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+
+    url(key) {
+      return `${apiBaseUrl()}/files/${key}`;
+    },
+
+    signedUrl: signedFilesUrl,
+  };
+};
+
+// Amazon S3 or any S3-compatible service (MinIO, Ceph, R2, ...)
+const createS3Storage = () => {
+  const AWS = require("aws-sdk");
+  const bucket = process.env.STORAGE_S3_BUCKET;
+  if (!bucket) {
+    throw new Error("STORAGE_S3_BUCKET is required when STORAGE_DRIVER=s3");
+  }
+
+  const region = process.env.STORAGE_S3_REGION || process.env.AWS_REGION || "us-east-1";
+  const endpoint = process.env.STORAGE_S3_ENDPOINT;
+  const forcePathStyle = process.env.STORAGE_S3_FORCE_PATH_STYLE === "true";
+  const acl = process.env.STORAGE_S3_ACL;
+  const publicBaseUrl = process.env.STORAGE_S3_PUBLIC_URL;
+
+  const s3 = new AWS.S3({
+    region,
+    ...(endpoint && { endpoint }),
+    s3ForcePathStyle: forcePathStyle,
+  });
+
+  const defaultBaseUrl = () => {
+    if (endpoint) {
+      return `${endpoint.replace(/\/$/, "")}/${bucket}`;
+    }
+    return `https://${bucket}.s3.${region}.amazonaws.com`;
+  };
+
+  return {
+    async save(key, buffer, contentType, { isPrivate = false } = {}) {
+      await s3
+        .putObject({
+          Bucket: bucket,
+          Key: key,
+          Body: buffer,
+          ContentType: contentType,
+          ...(acl && !isPrivate && { ACL: acl }),
+        })
+        .promise();
+    },
+
+    async remove(key) {
+      await s3.deleteObject({ Bucket: bucket, Key: key }).promise();
+    },
+
+    async read(key) {
+      try {
+        const { ContentLength } = await s3.headObject({ Bucket: bucket, Key: key }).promise();
+        const stream = s3.getObject({ Bucket: bucket, Key: key }).createReadStream();
+        return { stream, size: ContentLength };
+      } catch (error) {
+        if (error.code === "NotFound" || error.code === "NoSuchKey") return null;
+        throw error;
+      }
+    },
+
+    url(key) {
+      return `${(publicBaseUrl || defaultBaseUrl()).replace(/\/$/, "")}/${key}`;
+    },
+
+    signedUrl(key, ttlSeconds) {
+      return s3.getSignedUrl("getObject", { Bucket: bucket, Key: key, Expires: ttlSeconds });
+    },
+  };
+};
+
+const driverFactories = {
+  local: createLocalStorage,
+  s3: createS3Storage,
+};
+
+let driver;
+
+/**
+ * Make another storage backend selectable via STORAGE_DRIVER.
+ * A factory returns an object with async save(key, buffer, contentType, { isPrivate }),
+ * async remove(key), async read(key) -> { stream, size } | null, url(key) and,
+ * optionally, signedUrl(key, ttlSeconds) (otherwise the /files route signs links).
+ */
+function registerDriver(name, factory) {
+  driverFactories[name] = factory;
+  driver = undefined;
+}
+
+function getDriver() {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || "local";
+    const factory = driverFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown storage driver "${name}"`);
+    }
+    driver = factory();
+  }
+  return driver;
+}
+
+/**
+ * Store a file under a new random key in `folder` and return { key, url }.
+ * Files in private folders get no public URL (url is null); use signedFileUrl.
+ */
+async function saveFile(folder, buffer, contentType) {
+  // Only known types keep their content type; anything else is served as a download
+  const extension = extensionFor(contentType);
+  const key = `${folder}/${uuidv4()}.${extension}`;
+  const isPrivate = isPrivateKey(key);
+  await getDriver().save(key, buffer, CONTENT_TYPES[extension], { isPrivate });
+  return { key, url: isPrivate ? null : getDriver().url(key) };
+}
+
+async function deleteFile(key) {
+  await getDriver().remove(key);
+}
+
+/**
+ * Open a stored file for streaming; null when the key is invalid or missing,
+ * or when a private file is requested without a valid, unexpired signature
+ */
+async function readFile(key, { expires, signature: presented } = {}) {
+  if (!isValidKey(key)) return null;
+
+  const isPrivate = isPrivateKey(key);
+  if (isPrivate) {
+    const expected = Buffer.from(signature(key, expires));
+    const given = Buffer.from(String(presented || ""));
+    const valid =
+      Number(expires) * 1000 > Date.now() &&
+      expected.length === given.length &&
+      crypto.timingSafeEqual(expected, given);
+    if (!valid) return null;
+  }
+
+  const file = await getDriver().read(key);
+  return file && { ...file, contentType: contentTypeFor(key), isPrivate };
+}
+
+const fileUrl = (key) => getDriver().url(key);
+
+/**
+ * Time-limited URL for a (private) file
+ */
+const signedFileUrl = (key, ttlSeconds) => {
+  const driver = getDriver();
+  return driver.signedUrl ? driver.signedUrl(key, ttlSeconds) : signedFilesUrl(key, ttlSeconds);
+};
+
+module.exports = {
+  saveFile,
+  deleteFile,
+  readFile,
+  fileUrl,
+  signedFileUrl,
+  registerDriver,
+};
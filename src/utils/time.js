@@ -0,0 +1,150 @@
+const GymSettings = require("../models/GymSettings");
+
+// Time zone helpers built on Intl. Instants are stored in UTC; dates ("YYYY-MM-DD")
+// and times ("HH:MM") coming from clients are wall-clock values in an IANA zone.
+
+const formatters = new Map();
+
+const partsFormatter = (timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+      })
+    );
+  }
+  return formatters.get(timeZone);
+};
+
+const pad = (value) => String(value).padStart(2, "0");
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || !timeZone) return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock fields of `date` in `timeZone`: { year, month, day, hour, minute, second }
+ */
+function localParts(date, timeZone) {
+  const parts = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(date)) {
+    if (type !== "literal") parts[type] = Number(value);
+  }
+  return parts;
+}
+
+/**
+ * Offset of `timeZone` from UTC at the instant `date`, in minutes (330 for IST)
+ */
+function timeZoneOffset(date, timeZone) {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The UTC instant at which the clock in `timeZone` shows `date` ("YYYY-MM-DD")
+ * and `time` ("HH:MM"). The offset is looked up for that day, so DST is respected;
+ * a time skipped by a DST jump resolves to the instant just after the jump.
+ */
+function zonedTimeToUtc(date, time, timeZone) {
+  const [year, month, day] = date.split("-").map(Number);
+  const [hour, minute] = time.split(":").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  const firstOffset = timeZoneOffset(new Date(wallClock), timeZone);
+  const firstGuess = wallClock - firstOffset * 60000;
+  const offset = timeZoneOffset(new Date(firstGuess), timeZone);
+  const result = new Date(wallClock - offset * 60000);
+
+  // Inside a DST gap neither offset reproduces the wall clock; the earlier
+  // (pre-jump) offset lands just after the jump
+  const local = localParts(result, timeZone);
+  if (local.hour !== hour || local.minute !== minute) {
+    return new Date(wallClock - Math.min(firstOffset, offset) * 60000);
+  }
+  return result;
+}
+
+// "YYYY-MM-DD" of `date` in `timeZone`
+function formatDate(date, timeZone) {
+  const { year, month, day } = localParts(date, timeZone);
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// "10:30 AM" style time of `date` in `timeZone`, as used by coach time slots
+function formatTime12h(date, timeZone) {
+  const { hour, minute } = localParts(date, timeZone);
+  const period = hour >= 12 ? "PM" : "AM";
+  return `${hour % 12 === 0 ? 12 : hour % 12}:${pad(minute)} ${period}`;
+}
+
+// ISO 8601 string of `date` with the local offset, e.g. "2025-06-01T10:30:00+05:30"
+function toLocalISOString(date, timeZone) {
+  const { year, month, day, hour, minute, second } = localParts(date, timeZone);
+  const offset = timeZoneOffset(date, timeZone);
+  const sign = offset < 0 ? "-" : "+";
+  const absolute = Math.abs(offset);
+  return (
+    `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}:${pad(second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`
+  );
+}
+
+// Calendar date `days` after `date` ("YYYY-MM-DD")
+function addDays(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * UTC bounds of a local calendar day: { start, end } with end exclusive.
+ * Days are 23 or 25 hours long when DST changes.
+ */
+function dayRange(date, timeZone) {
+  return {
+    start: zonedTimeToUtc(date, "00:00", timeZone),
+    end: zonedTimeToUtc(addDays(date, 1), "00:00", timeZone),
+  };
+}
+
+async function gymTimeZone() {
+  const settings = await GymSettings.getSettings();
+  return settings.timeZone;
+}
+
+/**
+ * First valid zone among `candidates` (user setting, query parameter, ...),
+ * falling back to the gym's time zone
+ */
+async function resolveTimeZone(...candidates) {
+  return candidates.find(isValidTimeZone) || gymTimeZone();
+}
+
+module.exports = {
+  isValidTimeZone,
+  localParts,
+  timeZoneOffset,
+  zonedTimeToUtc,
+  formatDate,
+  formatTime12h,
+  toLocalISOString,
+  addDays,
+  dayRange,
+  gymTimeZone,
+  resolveTimeZone,
+};
@@ -0,0 +1,119 @@
+const { zonedTimeToUtc, localParts, formatTime12h } = require("./time");
+
+// Coach time slots are { startMinute, duration }: minutes after local midnight in
+// the coach's own time zone, and length in minutes. Text such as
+// "10:30 AM - 11:30 AM" is only produced (and accepted) at the API edge.
+
+const MIN_DURATION = 15;
+const MAX_DURATION = 12 * 60;
+const MINUTES_PER_DAY = 24 * 60;
+
+const LABEL_PATTERN = /^(1[0-2]|0?[1-9]):([0-5]\d) (AM|PM) - (1[0-2]|0?[1-9]):([0-5]\d) (AM|PM)$/;
+
+const pad = (value) => String(value).padStart(2, "0");
+
+const toMinutes12h = (hour, minute, period) =>
+  ((Number(hour) % 12) + (period === "PM" ? 12 : 0)) * 60 + Number(minute);
+
+const isValidSlot = (slot) =>
+  Boolean(slot) &&
+  Number.isInteger(slot.startMinute) &&
+  slot.startMinute >= 0 &&
+  slot.startMinute < MINUTES_PER_DAY &&
+  Number.isInteger(slot.duration) &&
+  slot.duration >= MIN_DURATION &&
+  slot.duration <= MAX_DURATION;
+
+/**
+ * { startMinute, duration } of a "10:30 AM - 11:30 AM" label, or null if it is
+ * malformed; an end at or before the start is on the next day
+ */
+function parseSlotLabel(label) {
+  const match = LABEL_PATTERN.exec(String(label).trim());
+  if (!match) return null;
+  const startMinute = toMinutes12h(match[1], match[2], match[3]);
+  const endMinute = toMinutes12h(match[4], match[5], match[6]);
+  const slot = {
+    startMinute,
+    duration: endMinute > startMinute ? endMinute - startMinute : endMinute + MINUTES_PER_DAY - startMinute,
+  };
+  return isValidSlot(slot) ? slot : null;
+}
+
+/**
+ * A slot from API input: { startMinute, duration } or a "10:30 AM - 11:30 AM"
+ * label. Null when it is neither or out of range.
+ */
+function toSlot(value) {
+  if (typeof value === "string") return parseSlotLabel(value);
+  if (!value || typeof value !== "object") return null;
+  const slot = { startMinute: value.startMinute, duration: value.duration };
+  return isValidSlot(slot) ? slot : null;
+}
+
+const slotKey = (slot) => `${slot.startMinute}+${slot.duration}`;
+
+// Unique slots ordered by their start
+const sortSlots = (slots) => {
+  const unique = new Map((slots || []).map((slot) => [slotKey(slot), slot]));
+  return [...unique.values()].sort((a, b) => a.startMinute - b.startMinute || a.duration - b.duration);
+};
+
+// Whether two slots of the same day overlap
+const slotsOverlap = (a, b) =>
+  a.startMinute < b.startMinute + b.duration && b.startMinute < a.startMinute + a.duration;
+
+// "HH:MM" of minutes after midnight
+const formatMinutes24h = (minutes) =>
+  `${pad(Math.floor(minutes / 60) % 24)}:${pad(minutes % 60)}`;
+
+// "10:30 AM" of minutes after midnight
+const formatMinutes12h = (minutes) => {
+  const hour = Math.floor(minutes / 60) % 24;
+  return `${hour % 12 || 12}:${pad(minutes % 60)} ${hour < 12 ? "AM" : "PM"}`;
+};
+
+// "10:30 AM - 11:30 AM" label of a slot in its own zone
+const slotLabel = (slot) =>
+  `${formatMinutes12h(slot.startMinute)} - ${formatMinutes12h(slot.startMinute + slot.duration)}`;
+
+/**
+ * UTC { start, end } of `slot` on `date` ("YYYY-MM-DD") in `timeZone`
+ */
+function slotInstants(slot, date, timeZone) {
+  const start = zonedTimeToUtc(date, formatMinutes24h(slot.startMinute), timeZone);
+  return { start, end: new Date(start.getTime() + slot.duration * 60000) };
+}
+
+// "10:30 AM - 11:30 AM" rendering of two instants in `timeZone`
+const formatSlot = ({ start, end }, timeZone) =>
+  `${formatTime12h(start, timeZone)} - ${formatTime12h(end, timeZone)}`;
+
+// The slot of `slots` (in `timeZone`) that starts at `instant`, if any
+const findSlotStartingAt = (slots, instant, timeZone) => {
+  const { hour, minute } = localParts(instant, timeZone);
+  return (slots || []).find((slot) => slot.startMinute === hour * 60 + minute);
+};
+
+// A slot as returned by the API
+const toSlotResponse = (slot) => ({
+  startMinute: slot.startMinute,
+  duration: slot.duration,
+  start: formatMinutes24h(slot.startMinute),
+  end: formatMinutes24h(slot.startMinute + slot.duration),
+  label: slotLabel(slot),
+});
+
+module.exports = {
+  MIN_DURATION,
+  MAX_DURATION,
+  parseSlotLabel,
+  toSlot,
+  sortSlots,
+  slotsOverlap,
+  slotLabel,
+  slotInstants,
+  formatSlot,
+  findSlotStartingAt,
+  toSlotResponse,
+};
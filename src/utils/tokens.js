@@ -0,0 +1,10 @@
+const crypto = require("crypto");
+
+// Random, URL-safe token handed to the client exactly once
+const generateToken = (bytes = 32) => crypto.randomBytes(bytes).toString("base64url");
+
+// Tokens are only ever persisted as a SHA-256 hash
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+module.exports = { generateToken, hashToken };
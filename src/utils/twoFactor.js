@@ -0,0 +1,106 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const bcrypt = require("bcryptjs");
+const User = require("../models/User");
+const GymSettings = require("../models/GymSettings");
+const { verifyTotp } = require("./totp");
+
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || "5m";
+const CHALLENGE_PURPOSE = "2fa-challenge";
+const RECOVERY_CODE_COUNT = 10;
+
+// Fields hidden by default that the 2FA endpoints need
+const TWO_FACTOR_SECRET_FIELDS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep";
+
+async function isTwoFactorRequired(user) {
+  const settings = await GymSettings.getSettings();
+  return settings.twoFactorRequiredRoles.includes(user.role);
+}
+
+/**
+ * Short-lived token proving the password step succeeded.
+ * With `enrollment` it only allows enrolling in 2FA, for roles where it is mandatory.
+ */
+function issueChallengeToken(user, { enrollment = false } = {}) {
+  return jwt.sign(
+    { sub: String(user._id), purpose: CHALLENGE_PURPOSE, enrollment },
+    process.env.JWT_SECRET || "secret",
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+/**
+ * Returns { userId, enrollment } for a valid challenge token, or null
+ */
+function readChallengeToken(token) {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || "secret");
+    if (decoded.purpose !== CHALLENGE_PURPOSE) return null;
+    return { userId: decoded.sub, enrollment: Boolean(decoded.enrollment) };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Generate a fresh set of recovery codes. The plain codes are shown to the
+ * user once; only the bcrypt hashes are stored, like passwords.
+ */
+async function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  const salt = await bcrypt.genSalt(10);
+  const hashes = await Promise.all(codes.map((code) => bcrypt.hash(code, salt)));
+  return { codes, hashes };
+}
+
+/**
+ * Check a TOTP code or a recovery code for a user loaded with TWO_FACTOR_SECRET_FIELDS.
+ * An accepted TOTP step or recovery code is recorded atomically so it cannot be used twice.
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code) {
+    const lastUsedStep = user.twoFactor.lastUsedStep ?? -1;
+    const step = verifyTotp(user.twoFactor.secret, code, { lastUsedStep });
+    if (step === null) return false;
+
+    const result = await User.updateOne(
+      {
+        _id: user._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": { $exists: false } },
+        ],
+      },
+      { $set: { "twoFactor.lastUsedStep": step } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  if (recoveryCode) {
+    const normalized = String(recoveryCode).trim().toLowerCase();
+    for (const hash of user.twoFactor.recoveryCodes || []) {
+      if (await bcrypt.compare(normalized, hash)) {
+        const result = await User.updateOne(
+          { _id: user._id, "twoFactor.recoveryCodes": hash },
+          { $pull: { "twoFactor.recoveryCodes": hash } }
+        );
+        return result.modifiedCount === 1;
+      }
+    }
+  }
+
+  return false;
+}
+
+module.exports = {
+  TWO_FACTOR_SECRET_FIELDS,
+  isTwoFactorRequired,
+  issueChallengeToken,
+  readChallengeToken,
+  generateRecoveryCodes,
+  verifySecondFactor,
+};
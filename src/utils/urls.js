@@ -0,0 +1,5 @@
+// Public base URL of this API, used for links back to it (OIDC redirects, stored files)
+const apiBaseUrl = () =>
+  (process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 5000}`).replace(/\/$/, "");
+
+module.exports = { apiBaseUrl };
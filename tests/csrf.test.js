@@ -0,0 +1,73 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const csrf = require("../src/middleware/csrf");
+const { ACCESS_COOKIE, CSRF_COOKIE } = require("../src/utils/authCookies");
+
+const CSRF_VALUE = "a".repeat(64);
+
+// Runs the middleware on a fake request; resolves to "next" or the response status
+function run({ method = "POST", cookies = {}, headers = {} } = {}) {
+  const lowerCaseHeaders = Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+  );
+  const req = {
+    method,
+    cookies,
+    header: (name) => lowerCaseHeaders[name.toLowerCase()],
+  };
+  let outcome = "next";
+  const res = {
+    status(code) {
+      outcome = code;
+      return this;
+    },
+    json() {
+      return this;
+    },
+  };
+  csrf(req, res, () => {});
+  return outcome;
+}
+
+const sessionCookies = { [ACCESS_COOKIE]: "access-token", [CSRF_COOKIE]: CSRF_VALUE };
+
+describe("CSRF middleware", () => {
+  it("lets safe methods through", () => {
+    assert.equal(run({ method: "GET", cookies: sessionCookies }), "next");
+  });
+
+  it("lets requests without a session cookie through", () => {
+    assert.equal(run(), "next");
+  });
+
+  it("lets Bearer-token requests through", () => {
+    assert.equal(
+      run({ cookies: sessionCookies, headers: { Authorization: "Bearer access-token" } }),
+      "next"
+    );
+  });
+
+  it("still checks cookie sessions that send another Authorization scheme", () => {
+    assert.equal(
+      run({ cookies: sessionCookies, headers: { Authorization: "Basic dXNlcjpwYXNz" } }),
+      403
+    );
+  });
+
+  it("accepts a header token matching the cookie", () => {
+    assert.equal(run({ cookies: sessionCookies, headers: { "X-CSRF-Token": CSRF_VALUE } }), "next");
+  });
+
+  it("refuses a missing or different header token", () => {
+    assert.equal(run({ cookies: sessionCookies }), 403);
+    assert.equal(
+      run({ cookies: sessionCookies, headers: { "X-CSRF-Token": "b".repeat(64) } }),
+      403
+    );
+    assert.equal(run({ cookies: sessionCookies, headers: { "X-CSRF-Token": "a" } }), 403);
+  });
+
+  it("refuses cookie sessions without a CSRF cookie", () => {
+    assert.equal(run({ cookies: { [ACCESS_COOKIE]: "access-token" } }), 403);
+  });
+});
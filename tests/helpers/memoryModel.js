@@ -0,0 +1,123 @@
+// In-memory stand-in for the static query methods of a Mongoose model, so the
+// logic built on them can be tested without a MongoDB server. It understands
+// the filters and updates that logic uses: equality (null also matches a
+// missing field), $gt/$gte/$lt/$lte/$ne, $or, and $set/$inc updates with upsert.
+
+const OPERATORS = {
+  $gt: (value, operand) => value != null && value > operand,
+  $gte: (value, operand) => value != null && value >= operand,
+  $lt: (value, operand) => value != null && value < operand,
+  $lte: (value, operand) => value != null && value <= operand,
+  $ne: (value, operand) => !isEqual(value, operand),
+};
+
+const isOperatorObject = (condition) =>
+  condition !== null &&
+  typeof condition === "object" &&
+  !(condition instanceof Date) &&
+  Object.keys(condition).some((key) => key.startsWith("$"));
+
+function isEqual(value, expected) {
+  if (expected === null) return value == null;
+  if (value instanceof Date || expected instanceof Date) {
+    return value != null && new Date(value).getTime() === new Date(expected).getTime();
+  }
+  return value != null && String(value) === String(expected);
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === "$or") return condition.some((branch) => matches(doc, branch));
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([operator, operand]) =>
+        OPERATORS[operator](doc[key], operand)
+      );
+    }
+    return isEqual(doc[key], condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  if (!Object.keys(update).some((key) => key.startsWith("$"))) {
+    Object.assign(doc, update);
+    return;
+  }
+  Object.assign(doc, update.$set);
+  for (const [key, amount] of Object.entries(update.$inc || {})) {
+    doc[key] = (doc[key] || 0) + amount;
+  }
+}
+
+const STATICS = [
+  "create",
+  "find",
+  "findOne",
+  "findById",
+  "findOneAndUpdate",
+  "updateOne",
+  "updateMany",
+  "deleteOne",
+];
+
+/**
+ * Replace the query statics of `Model` with an in-memory store. Returns
+ * { docs, restore }; documents get schema defaults, an _id, set() and save().
+ */
+function useMemoryModel(Model) {
+  const docs = [];
+
+  const build = (data) => {
+    const doc = new Model(data).toObject();
+    Object.defineProperties(doc, {
+      set: { value: (values) => Object.assign(doc, values) },
+      save: { value: async () => doc },
+    });
+    docs.push(doc);
+    return doc;
+  };
+
+  // Plain equality conditions of a filter, the fields an upsert starts from
+  const equalityFields = (filter) =>
+    Object.fromEntries(
+      Object.entries(filter).filter(
+        ([key, condition]) => !key.startsWith("$") && !isOperatorObject(condition)
+      )
+    );
+
+  Object.assign(Model, {
+    create: async (data) => build(data),
+    find: async (filter) => docs.filter((doc) => matches(doc, filter)),
+    findOne: async (filter) => docs.find((doc) => matches(doc, filter)) || null,
+    findById: async (id) => docs.find((doc) => isEqual(doc._id, id)) || null,
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      let doc = docs.find((candidate) => matches(candidate, filter));
+      if (!doc && !options.upsert) return null;
+      const before = doc && { ...doc };
+      doc = doc || build(equalityFields(filter));
+      applyUpdate(doc, update);
+      return options.new ? doc : before || null;
+    },
+    updateOne: async (filter, update) => {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (doc) applyUpdate(doc, update);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+    updateMany: async (filter, update) => {
+      const matched = docs.filter((doc) => matches(doc, filter));
+      matched.forEach((doc) => applyUpdate(doc, update));
+      return { modifiedCount: matched.length };
+    },
+    deleteOne: async (filter) => {
+      const index = docs.findIndex((doc) => matches(doc, filter));
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+  });
+
+  return {
+    docs,
+    restore: () => STATICS.forEach((name) => delete Model[name]),
+  };
+}
+
+module.exports = { useMemoryModel };
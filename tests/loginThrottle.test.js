@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const LoginAttempt = require("../src/models/LoginAttempt");
+const {
+  checkLoginAllowed,
+  recordLoginFailure,
+  clearAccountAttempts,
+} = require("../src/utils/loginThrottle");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+const EMAIL = "Jane@Example.com";
+const IP = "203.0.113.7";
+
+// Moves the account's last failure into the past, as if the client had waited
+const waitOutBackoff = (docs) =>
+  docs.forEach((attempt) => {
+    attempt.lastFailureAt = new Date(Date.now() - 60 * 1000);
+  });
+
+describe("sign-in throttling", () => {
+  let store;
+
+  beforeEach(() => {
+    store = useMemoryModel(LoginAttempt);
+  });
+
+  afterEach(() => store.restore());
+
+  it("allows the first attempt", async () => {
+    assert.deepEqual(await checkLoginAllowed(EMAIL, IP), {
+      allowed: true,
+      retryAfterSeconds: 0,
+      locked: false,
+      scope: null,
+    });
+  });
+
+  it("doubles the delay after each consecutive failure", async () => {
+    const delays = [];
+    for (let failure = 1; failure <= 3; failure++) {
+      await recordLoginFailure(EMAIL, IP);
+      const { allowed, retryAfterSeconds, locked } = await checkLoginAllowed(EMAIL, IP);
+      assert.equal(allowed, false);
+      assert.equal(locked, false);
+      delays.push(retryAfterSeconds);
+    }
+    assert.deepEqual(delays, [1, 2, 4]);
+
+    waitOutBackoff(store.docs);
+    assert.equal((await checkLoginAllowed(EMAIL, IP)).allowed, true);
+  });
+
+  it("locks the account on the fifth failure, case-insensitively", async () => {
+    const results = [];
+    for (let failure = 1; failure <= 5; failure++) {
+      results.push(await recordLoginFailure(failure % 2 ? EMAIL : EMAIL.toLowerCase(), IP));
+    }
+    assert.deepEqual(
+      results.map((result) => result.accountLocked),
+      [false, false, false, false, true]
+    );
+
+    const check = await checkLoginAllowed(EMAIL, IP);
+    assert.equal(check.locked, true);
+    assert.equal(check.scope, "ACCOUNT");
+    assert.ok(check.retryAfterSeconds > 14 * 60 && check.retryAfterSeconds <= 15 * 60);
+  });
+
+  it("makes every further lockout twice as long", async () => {
+    for (let failure = 1; failure <= 5; failure++) await recordLoginFailure(EMAIL, IP);
+    const account = store.docs.find((attempt) => attempt.scope === "ACCOUNT");
+    account.lockedUntil = new Date(Date.now() - 1000);
+
+    for (let failure = 1; failure <= 5; failure++) await recordLoginFailure(EMAIL, IP);
+
+    assert.equal(account.lockCount, 2);
+    const { retryAfterSeconds } = await checkLoginAllowed(EMAIL, IP);
+    assert.ok(retryAfterSeconds > 29 * 60 && retryAfterSeconds <= 30 * 60);
+  });
+
+  it("clears the account on success but keeps counting the IP", async () => {
+    for (let failure = 1; failure <= 5; failure++) await recordLoginFailure(EMAIL, IP);
+    await clearAccountAttempts(EMAIL);
+
+    assert.deepEqual(
+      store.docs.map((attempt) => [attempt.scope, attempt.failures]),
+      [["IP", 5]]
+    );
+  });
+});
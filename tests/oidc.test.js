@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { createMockIdp } = require("../src/utils/mockIdp");
+
+const OIDC_MODULE = require.resolve("../src/utils/oidc");
+
+// Providers are read once when the module loads, so each environment gets a fresh copy
+function loadOidc(env) {
+  Object.assign(process.env, env);
+  delete require.cache[OIDC_MODULE];
+  return require(OIDC_MODULE);
+}
+
+// Follows the mock IdP's redirect back to the API and returns its query parameters
+async function authorize(authorizationUrl) {
+  const response = await fetch(authorizationUrl, { redirect: "manual" });
+  assert.equal(response.status, 302);
+  return new URL(response.headers.get("location")).searchParams;
+}
+
+describe("OpenID Connect sign-in against the mock IdP", () => {
+  const originalEnv = { ...process.env };
+  let server;
+  let oidc;
+  let provider;
+
+  before(async () => {
+    const app = express();
+    server = app.listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    app.use("/mock-idp", createMockIdp({ issuer: `${baseUrl}/mock-idp` }));
+
+    oidc = loadOidc({ OIDC_MOCK_IDP: "true", NODE_ENV: "test", API_BASE_URL: baseUrl });
+    provider = oidc.getProvider("mock");
+  });
+
+  after(() => {
+    process.env = originalEnv;
+    delete require.cache[OIDC_MODULE];
+    server.close();
+  });
+
+  it("offers the mock provider outside production", () => {
+    assert.ok(oidc.listProviders().some(({ name }) => name === "mock"));
+  });
+
+  it("signs in through the authorization code flow with PKCE", async () => {
+    const request = await oidc.createAuthorizationRequest(provider);
+    const url = new URL(request.authorizationUrl);
+    url.searchParams.set("login_hint", "jane@example.com");
+    url.searchParams.set("name", "Jane Doe");
+
+    const callback = await authorize(url);
+    assert.equal(callback.get("state"), request.state);
+
+    const claims = await oidc.exchangeCode(provider, {
+      code: callback.get("code"),
+      codeVerifier: request.codeVerifier,
+      nonce: request.nonce,
+    });
+    assert.equal(claims.email, "jane@example.com");
+    assert.equal(claims.email_verified, true);
+    assert.equal(claims.given_name, "Jane");
+    assert.equal(claims.family_name, "Doe");
+    assert.equal(claims.aud, "mock-client");
+
+    // The subject is derived from the email, so repeated sign-ins find the same account
+    const again = await oidc.createAuthorizationRequest(provider);
+    const againUrl = new URL(again.authorizationUrl);
+    againUrl.searchParams.set("login_hint", "jane@example.com");
+    const againClaims = await oidc.exchangeCode(provider, {
+      code: (await authorize(againUrl)).get("code"),
+      codeVerifier: again.codeVerifier,
+      nonce: again.nonce,
+    });
+    assert.equal(againClaims.sub, claims.sub);
+  });
+
+  it("refuses a code redeemed with the wrong PKCE verifier", async () => {
+    const request = await oidc.createAuthorizationRequest(provider);
+    const callback = await authorize(request.authorizationUrl);
+
+    await assert.rejects(
+      oidc.exchangeCode(provider, {
+        code: callback.get("code"),
+        codeVerifier: "not-the-verifier",
+        nonce: request.nonce,
+      }),
+      /status 400/
+    );
+  });
+
+  it("refuses an ID token issued for another nonce", async () => {
+    const request = await oidc.createAuthorizationRequest(provider);
+    const callback = await authorize(request.authorizationUrl);
+
+    await assert.rejects(
+      oidc.exchangeCode(provider, {
+        code: callback.get("code"),
+        codeVerifier: request.codeVerifier,
+        nonce: "another-nonce",
+      }),
+      /nonce mismatch/
+    );
+  });
+
+  it("never offers the mock provider in production", () => {
+    const production = loadOidc({ NODE_ENV: "production" });
+
+    assert.equal(production.getProvider("mock"), null);
+    assert.ok(!production.listProviders().some(({ name }) => name === "mock"));
+  });
+});
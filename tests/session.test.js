@@ -0,0 +1,70 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const User = require("../src/models/User");
+const Session = require("../src/models/Session");
+const RefreshToken = require("../src/models/RefreshToken");
+const { createSession, rotateRefreshToken, revokeSession } = require("../src/utils/session");
+const { useMemoryModel } = require("./helpers/memoryModel");
+
+describe("refresh token rotation", () => {
+  let stores;
+  let user;
+
+  beforeEach(async () => {
+    stores = {
+      users: useMemoryModel(User),
+      sessions: useMemoryModel(Session),
+      refreshTokens: useMemoryModel(RefreshToken),
+    };
+    user = await User.create({
+      firstName: "Jane",
+      lastName: "Doe",
+      email: "jane@example.com",
+      password: "hash",
+      target: "GENERAL_FITNESS",
+    });
+  });
+
+  afterEach(() => Object.values(stores).forEach((store) => store.restore()));
+
+  it("exchanges a refresh token for a new pair in the same session", async () => {
+    const first = await createSession(user);
+    const second = await rotateRefreshToken(first.refreshToken);
+
+    assert.ok(second);
+    assert.notEqual(second.refreshToken, first.refreshToken);
+    assert.equal(stores.sessions.docs.length, 1);
+
+    const [used, issued] = stores.refreshTokens.docs;
+    assert.ok(used.usedAt);
+    assert.equal(String(used.replacedBy), String(issued._id));
+  });
+
+  it("revokes the whole session when a rotated token is presented again", async () => {
+    const first = await createSession(user);
+    const second = await rotateRefreshToken(first.refreshToken);
+
+    assert.equal(await rotateRefreshToken(first.refreshToken), null);
+
+    const [session] = stores.sessions.docs;
+    assert.ok(session.revokedAt);
+    assert.equal(session.revokedReason, "REFRESH_TOKEN_REUSE");
+    // The legitimate successor dies with the session
+    assert.equal(await rotateRefreshToken(second.refreshToken), null);
+  });
+
+  it("refuses tokens of revoked sessions and unknown tokens", async () => {
+    const { refreshToken } = await createSession(user);
+    await revokeSession(stores.sessions.docs[0]._id, "LOGOUT");
+
+    assert.equal(await rotateRefreshToken(refreshToken), null);
+    assert.equal(await rotateRefreshToken("not-a-token"), null);
+  });
+
+  it("refuses suspended users", async () => {
+    const { refreshToken } = await createSession(user);
+    user.status = "SUSPENDED";
+
+    assert.equal(await rotateRefreshToken(refreshToken), null);
+  });
+});
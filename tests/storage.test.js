@@ -0,0 +1,85 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Files go to a throwaway directory; the driver reads this when first used
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"));
+process.env.STORAGE_DRIVER = "local";
+process.env.STORAGE_LOCAL_DIR = storageDir;
+
+const { saveFile, readFile, signedFileUrl } = require("../src/utils/storage");
+
+const PDF = Buffer.from("%PDF-1.4 test document");
+const PNG = Buffer.from("not really a png");
+
+async function readAll(file) {
+  const chunks = [];
+  for await (const chunk of file.stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+const signatureOf = (url) => {
+  const { searchParams } = new URL(url);
+  return { expires: searchParams.get("expires"), signature: searchParams.get("signature") };
+};
+
+describe("file storage signed URLs", () => {
+  let documentKey;
+
+  before(async () => {
+    const saved = await saveFile("documents", PDF, "application/pdf");
+    assert.equal(saved.url, null);
+    documentKey = saved.key;
+  });
+
+  after(() => fs.rmSync(storageDir, { recursive: true, force: true }));
+
+  it("serves a private file for a valid signature", async () => {
+    const url = signedFileUrl(documentKey, 60);
+    assert.ok(url.includes(`/files/${documentKey}?`));
+
+    const file = await readFile(documentKey, signatureOf(url));
+    assert.equal(file.contentType, "application/pdf");
+    assert.equal(file.isPrivate, true);
+    assert.deepEqual(await readAll(file), PDF);
+  });
+
+  it("refuses a private file without a signature", async () => {
+    assert.equal(await readFile(documentKey), null);
+  });
+
+  it("refuses a tampered signature or expiry", async () => {
+    const { expires, signature } = signatureOf(signedFileUrl(documentKey, 60));
+    const tampered = `${signature[0] === "A" ? "B" : "A"}${signature.slice(1)}`;
+
+    assert.equal(await readFile(documentKey, { expires, signature: tampered }), null);
+    assert.equal(await readFile(documentKey, { expires: Number(expires) + 3600, signature }), null);
+  });
+
+  it("refuses an expired signature", async () => {
+    const url = signedFileUrl(documentKey, -1);
+    assert.equal(await readFile(documentKey, signatureOf(url)), null);
+  });
+
+  it("refuses a signature made for another file", async () => {
+    const other = await saveFile("documents", PDF, "application/pdf");
+    const url = signedFileUrl(other.key, 60);
+    assert.equal(await readFile(documentKey, signatureOf(url)), null);
+  });
+
+  it("refuses keys outside the storage layout", async () => {
+    assert.equal(await readFile("../secrets.txt"), null);
+    assert.equal(await readFile(`${documentKey}/../../x.pdf`), null);
+  });
+
+  it("serves public files without a signature", async () => {
+    const saved = await saveFile("img", PNG, "image/png");
+    assert.ok(saved.url.endsWith(`/files/${saved.key}`));
+
+    const file = await readFile(saved.key);
+    assert.equal(file.isPrivate, false);
+    assert.deepEqual(await readAll(file), PNG);
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const GymSettings = require("../src/models/GymSettings");
+const {
+  isValidTimeZone,
+  zonedTimeToUtc,
+  formatDate,
+  formatTime12h,
+  toLocalISOString,
+  addDays,
+  dayRange,
+  resolveTimeZone,
+} = require("../src/utils/time");
+
+const HOUR = 60 * 60 * 1000;
+
+describe("time zone conversion", () => {
+  it("converts wall-clock times to UTC with the offset of that day", () => {
+    assert.equal(
+      zonedTimeToUtc("2025-06-01", "10:30", "Asia/Kolkata").toISOString(),
+      "2025-06-01T05:00:00.000Z"
+    );
+    assert.equal(
+      zonedTimeToUtc("2025-07-15", "09:00", "Europe/Berlin").toISOString(),
+      "2025-07-15T07:00:00.000Z"
+    );
+    assert.equal(
+      zonedTimeToUtc("2025-01-15", "09:00", "Europe/Berlin").toISOString(),
+      "2025-01-15T08:00:00.000Z"
+    );
+    assert.equal(
+      zonedTimeToUtc("2025-01-15", "09:00", "America/New_York").toISOString(),
+      "2025-01-15T14:00:00.000Z"
+    );
+  });
+
+  it("resolves a time skipped by a DST jump to just after the jump", () => {
+    // Clocks go from 02:00 to 03:00, so 02:30 does not exist
+    assert.equal(
+      zonedTimeToUtc("2030-03-31", "02:30", "Europe/Berlin").toISOString(),
+      "2030-03-31T01:30:00.000Z"
+    );
+    assert.equal(
+      zonedTimeToUtc("2030-03-10", "02:30", "America/New_York").toISOString(),
+      "2030-03-10T07:30:00.000Z"
+    );
+  });
+
+  it("makes DST days 23 and 25 hours long", () => {
+    const spring = dayRange("2030-03-31", "Europe/Berlin");
+    const autumn = dayRange("2030-10-27", "Europe/Berlin");
+    const regular = dayRange("2030-06-01", "Europe/Berlin");
+
+    assert.equal(spring.start.toISOString(), "2030-03-30T23:00:00.000Z");
+    assert.equal(spring.end - spring.start, 23 * HOUR);
+    assert.equal(autumn.end - autumn.start, 25 * HOUR);
+    assert.equal(regular.end - regular.start, 24 * HOUR);
+  });
+
+  it("formats instants in the given zone", () => {
+    const instant = new Date("2025-06-01T20:15:00Z");
+
+    assert.equal(formatDate(instant, "UTC"), "2025-06-01");
+    assert.equal(formatDate(instant, "Asia/Kolkata"), "2025-06-02");
+    assert.equal(formatTime12h(instant, "Asia/Kolkata"), "1:45 AM");
+    assert.equal(formatTime12h(new Date("2025-06-01T12:05:00Z"), "UTC"), "12:05 PM");
+    assert.equal(toLocalISOString(instant, "Asia/Kolkata"), "2025-06-02T01:45:00+05:30");
+    assert.equal(toLocalISOString(instant, "America/New_York"), "2025-06-01T16:15:00-04:00");
+    assert.equal(toLocalISOString(instant, "UTC"), "2025-06-01T20:15:00+00:00");
+  });
+
+  it("adds calendar days across months and years", () => {
+    assert.equal(addDays("2025-01-31", 1), "2025-02-01");
+    assert.equal(addDays("2024-02-28", 1), "2024-02-29");
+    assert.equal(addDays("2025-12-31", 1), "2026-01-01");
+    assert.equal(addDays("2026-01-01", -1), "2025-12-31");
+  });
+
+  it("accepts only IANA zone names", () => {
+    assert.equal(isValidTimeZone("Europe/Berlin"), true);
+    assert.equal(isValidTimeZone("UTC"), true);
+    assert.equal(isValidTimeZone("Mars/Olympus"), false);
+    assert.equal(isValidTimeZone(""), false);
+    assert.equal(isValidTimeZone(["Europe/Berlin"]), false);
+  });
+
+  it("falls back to the gym's zone when no candidate is valid", async (t) => {
+    t.mock.method(GymSettings, "getSettings", async () => ({ timeZone: "Asia/Kolkata" }));
+
+    assert.equal(await resolveTimeZone(undefined, "Europe/Berlin"), "Europe/Berlin");
+    assert.equal(await resolveTimeZone("Nowhere/City", null), "Asia/Kolkata");
+  });
+});